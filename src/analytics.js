@@ -0,0 +1,321 @@
+import { classifySpecialCategory, getCategoryId, getParentId } from './categories.js';
+import { createCurrencyConverter, getWalletCurrency } from './currency.js';
+import { addDays, addMonths, diffDays, isMonthEnd, isMonthStart, isoWeek } from './dateUtils.js';
+import {
+  extractTransactions,
+  getRefId,
+  getTransactionAmount,
+  getTransactionCategoryId,
+  getTransactionDate,
+  getTransactionWalletId,
+  isExpense,
+  isIncome,
+  roundAmount
+} from './transactions.js';
+
+export const GROUP_BY_DIMENSIONS = Object.freeze([
+  'category',
+  'parentCategory',
+  'day',
+  'week',
+  'month',
+  'counterparty',
+  'wallet'
+]);
+
+const TIME_DIMENSIONS = new Set(['day', 'week', 'month']);
+
+const TRANSFER_KINDS = new Set(['OUTGOING_TRANSFER', 'INCOMING_TRANSFER']);
+
+const UNSPECIFIED = '(unspecified)';
+
+const resolveCategory = (transaction, categoriesById) => {
+  const category = transaction?.category;
+  if (category && typeof category === 'object') {
+    return categoriesById?.get(getCategoryId(category)) ?? category;
+  }
+  return categoriesById?.get(getTransactionCategoryId(transaction)) ?? null;
+};
+
+const categoryEntry = (category, fallbackId) => ({
+  key: getCategoryId(category) ?? fallbackId ?? UNSPECIFIED,
+  label: category?.name ?? fallbackId ?? UNSPECIFIED
+});
+
+/**
+ * Maps a transaction to the group(s) it belongs to for a dimension. Only the
+ * counterparty dimension can yield several groups; the amount is then split
+ * evenly between them.
+ */
+const getGroups = (transaction, groupBy, { categoriesById, walletsById }) => {
+  const date = getTransactionDate(transaction) ?? UNSPECIFIED;
+  switch (groupBy) {
+    case 'category':
+      return [categoryEntry(resolveCategory(transaction, categoriesById), getTransactionCategoryId(transaction))];
+    case 'parentCategory': {
+      const category = resolveCategory(transaction, categoriesById);
+      const parentId = getParentId(category);
+      const parent = parentId ? categoriesById?.get(parentId) ?? { _id: parentId } : category;
+      return [categoryEntry(parent, getTransactionCategoryId(transaction))];
+    }
+    case 'day':
+      return [{ key: date, label: date }];
+    case 'week': {
+      const week = date === UNSPECIFIED ? UNSPECIFIED : isoWeek(date);
+      return [{ key: week, label: week }];
+    }
+    case 'month': {
+      const month = date === UNSPECIFIED ? UNSPECIFIED : date.slice(0, 7);
+      return [{ key: month, label: month }];
+    }
+    case 'counterparty': {
+      const parties = (Array.isArray(transaction?.with) ? transaction.with : [])
+        .map(party => (typeof party === 'string' ? party : party?.name ?? '').trim())
+        .filter(Boolean);
+      return (parties.length > 0 ? parties : [UNSPECIFIED]).map(party => ({ key: party.toLowerCase(), label: party }));
+    }
+    case 'wallet': {
+      const walletId = getTransactionWalletId(transaction) ?? UNSPECIFIED;
+      const wallet = walletsById?.get(walletId) ?? transaction?.account;
+      return [{ key: walletId, label: (typeof wallet === 'object' && wallet?.name) || walletId }];
+    }
+    default:
+      throw new Error(`groupBy must be one of: ${GROUP_BY_DIMENSIONS.join(', ')}`);
+  }
+};
+
+const getTransactionCurrency = (transaction, walletsById) => {
+  const wallet = walletsById?.get(getTransactionWalletId(transaction)) ?? transaction?.account;
+  return typeof wallet === 'object' ? getWalletCurrency(wallet) : null;
+};
+
+const emptyBucket = () => ({ count: 0, incomeCount: 0, expenseCount: 0, income: 0, expense: 0, volume: 0, rates: new Map() });
+
+const finalizeBucket = bucket => ({
+  count: bucket.count,
+  incomeCount: bucket.incomeCount,
+  expenseCount: bucket.expenseCount,
+  income: roundAmount(bucket.income),
+  expense: roundAmount(bucket.expense),
+  net: roundAmount(bucket.income - bucket.expense),
+  averageIncome: bucket.incomeCount > 0 ? roundAmount(bucket.income / bucket.incomeCount) : 0,
+  averageExpense: bucket.expenseCount > 0 ? roundAmount(bucket.expense / bucket.expenseCount) : 0,
+  averageAmount: bucket.count > 0 ? roundAmount(bucket.volume / bucket.count) : 0,
+  ...(bucket.rates.size > 0 ? { rates: [...bucket.rates.values()] } : {})
+});
+
+const addToBucket = (bucket, amount, kind, conversion) => {
+  bucket.count += 1;
+  bucket.volume += amount;
+  if (conversion && conversion.originalCurrency !== conversion.currency) {
+    const key = `${conversion.originalCurrency}|${conversion.rateDate}|${conversion.via ?? ''}`;
+    const used = bucket.rates.get(key);
+    if (used) {
+      used.count += 1;
+    } else {
+      bucket.rates.set(key, {
+        from: conversion.originalCurrency,
+        to: conversion.currency,
+        rate: conversion.rate,
+        rateDate: conversion.rateDate,
+        ...(conversion.via ? { via: conversion.via } : {}),
+        count: 1
+      });
+    }
+  }
+  if (kind === 'income') {
+    bucket.income += amount;
+    bucket.incomeCount += 1;
+  } else if (kind === 'expense') {
+    bucket.expense += amount;
+    bucket.expenseCount += 1;
+  }
+};
+
+/**
+ * Aggregates transactions into totals and per-group figures. Amounts are always
+ * positive; the income/expense side comes from the category type. Transfers
+ * between wallets are left out unless `includeTransfers` is set. With a
+ * `converter` amounts are first converted to its reporting currency, and every
+ * bucket lists the rates it used.
+ */
+export const summarizeTransactions = (
+  transactions,
+  { groupBy = 'category', categoriesById = new Map(), walletsById = new Map(), includeTransfers = false, converter } = {}
+) => {
+  if (!GROUP_BY_DIMENSIONS.includes(groupBy)) {
+    throw new Error(`groupBy must be one of: ${GROUP_BY_DIMENSIONS.join(', ')}`);
+  }
+
+  const totals = emptyBucket();
+  const groups = new Map();
+  for (const transaction of Array.isArray(transactions) ? transactions : []) {
+    const category = resolveCategory(transaction, categoriesById);
+    if (!includeTransfers && TRANSFER_KINDS.has(classifySpecialCategory(category))) {
+      continue;
+    }
+    const kind = isIncome(transaction, categoriesById) ? 'income' : isExpense(transaction, categoriesById) ? 'expense' : null;
+    const conversion = converter
+      ? converter.convert(
+          getTransactionAmount(transaction),
+          getTransactionCurrency(transaction, walletsById),
+          getTransactionDate(transaction)
+        )
+      : null;
+    const amount = conversion ? conversion.amount : getTransactionAmount(transaction);
+    addToBucket(totals, amount, kind, conversion);
+
+    const entries = getGroups(transaction, groupBy, { categoriesById, walletsById });
+    for (const entry of entries) {
+      if (!groups.has(entry.key)) {
+        groups.set(entry.key, { key: entry.key, label: entry.label, bucket: emptyBucket() });
+      }
+      addToBucket(groups.get(entry.key).bucket, amount / entries.length, kind, conversion);
+    }
+  }
+
+  const sorted = [...groups.values()].map(group => ({ key: group.key, label: group.label, ...finalizeBucket(group.bucket) }));
+  if (TIME_DIMENSIONS.has(groupBy)) {
+    sorted.sort((a, b) => a.key.localeCompare(b.key));
+  } else {
+    sorted.sort((a, b) => b.income + b.expense - (a.income + a.expense) || a.label.localeCompare(b.label));
+  }
+
+  return {
+    groupBy,
+    ...(converter ? { reportingCurrency: converter.reportingCurrency } : {}),
+    totals: finalizeBucket(totals),
+    groups: sorted
+  };
+};
+
+/**
+ * Derives the comparison window for `previous_period` (the same number of days, or
+ * the same number of whole months when the range covers whole months) or
+ * `previous_year`.
+ */
+export const getComparisonRange = (startDate, endDate, compareWith) => {
+  if (compareWith === 'previous_year') {
+    return { startDate: addMonths(startDate, -12), endDate: addMonths(endDate, -12) };
+  }
+  if (compareWith !== 'previous_period') {
+    throw new Error('compareWith must be previous_period or previous_year');
+  }
+  if (isMonthStart(startDate) && isMonthEnd(endDate)) {
+    const months =
+      (Number(endDate.slice(0, 4)) - Number(startDate.slice(0, 4))) * 12 +
+      Number(endDate.slice(5, 7)) -
+      Number(startDate.slice(5, 7)) +
+      1;
+    const previousStart = addMonths(startDate, -months);
+    return { startDate: previousStart, endDate: addDays(startDate, -1) };
+  }
+  const length = diffDays(startDate, endDate) + 1;
+  return { startDate: addDays(startDate, -length), endDate: addDays(startDate, -1) };
+};
+
+const delta = (current, previous) => ({
+  current,
+  previous,
+  change: roundAmount(current - previous),
+  percentChange: previous !== 0 ? roundAmount(((current - previous) / Math.abs(previous)) * 100) : null
+});
+
+const compareBuckets = (current, previous) => ({
+  income: delta(current?.income ?? 0, previous?.income ?? 0),
+  expense: delta(current?.expense ?? 0, previous?.expense ?? 0),
+  net: delta(current?.net ?? 0, previous?.net ?? 0),
+  count: delta(current?.count ?? 0, previous?.count ?? 0)
+});
+
+/**
+ * Compares two summaries. Groups are matched by key, except for time dimensions
+ * where the keys of two different periods never overlap and only totals compare.
+ */
+export const compareSummaries = (current, previous) => {
+  const result = { totals: compareBuckets(current.totals, previous.totals) };
+  if (TIME_DIMENSIONS.has(current.groupBy)) {
+    return result;
+  }
+  const previousByKey = new Map(previous.groups.map(group => [group.key, group]));
+  const keys = new Set([...current.groups.map(group => group.key), ...previousByKey.keys()]);
+  const currentByKey = new Map(current.groups.map(group => [group.key, group]));
+  result.groups = [...keys].map(key => ({
+    key,
+    label: currentByKey.get(key)?.label ?? previousByKey.get(key)?.label ?? key,
+    ...compareBuckets(currentByKey.get(key), previousByKey.get(key))
+  }));
+  return result;
+};
+
+const loadPeriod = async (client, walletIds, startDate, endDate) => {
+  const transactions = [];
+  for (const walletId of walletIds) {
+    transactions.push(...extractTransactions(await client.getTransactions(walletId, startDate, endDate)));
+  }
+  return transactions;
+};
+
+/**
+ * Fetches transactions for one wallet (or every wallet) and summarizes them,
+ * optionally alongside a comparison period. Wallets in different currencies are
+ * only added up meaningfully with a `reportingCurrency`; otherwise the result
+ * carries a warning listing the currencies involved.
+ */
+export const getTransactionSummary = async (
+  client,
+  {
+    walletId,
+    startDate,
+    endDate,
+    groupBy = 'category',
+    includeTransfers = false,
+    compareWith,
+    compareStartDate,
+    compareEndDate,
+    reportingCurrency,
+    rates = []
+  }
+) => {
+  const wallets = (await client.getWallets()) ?? [];
+  const walletsById = new Map(wallets.map(wallet => [getRefId(wallet), wallet]));
+  const walletIds = walletId ? [walletId] : [...walletsById.keys()].filter(Boolean);
+
+  const categoriesById = new Map();
+  for (const id of walletIds) {
+    for (const category of (await client.getCategories(id)) ?? []) {
+      categoriesById.set(getCategoryId(category), category);
+    }
+  }
+
+  const converter = reportingCurrency ? createCurrencyConverter(rates, reportingCurrency) : null;
+  const options = { groupBy, categoriesById, walletsById, includeTransfers, converter };
+  const current = {
+    startDate,
+    endDate,
+    ...summarizeTransactions(await loadPeriod(client, walletIds, startDate, endDate), options)
+  };
+  const currencies = [...new Set(walletIds.map(id => getWalletCurrency(walletsById.get(id))).filter(Boolean))].sort();
+  if (!converter && currencies.length > 1) {
+    current.warning = `Totals mix amounts in ${currencies.join(', ')}; pass reportingCurrency to convert them`;
+  }
+
+  let comparisonRange = null;
+  if (compareStartDate && compareEndDate) {
+    comparisonRange = { startDate: compareStartDate, endDate: compareEndDate };
+  } else if (compareWith) {
+    comparisonRange = getComparisonRange(startDate, endDate, compareWith);
+  }
+  if (!comparisonRange) {
+    return current;
+  }
+
+  const previous = {
+    ...comparisonRange,
+    ...summarizeTransactions(
+      await loadPeriod(client, walletIds, comparisonRange.startDate, comparisonRange.endDate),
+      options
+    )
+  };
+  return { ...current, comparison: previous, deltas: compareSummaries(current, previous) };
+};
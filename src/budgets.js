@@ -0,0 +1,99 @@
+import { getCategoryId, getDescendantIds } from './categories.js';
+import { addDays, diffDays, minDate, toDateString } from './dateUtils.js';
+import {
+  extractTransactions,
+  getRefId,
+  getTransactionAmount,
+  getTransactionCategoryId,
+  getTransactionDate,
+  isExpense,
+  roundAmount
+} from './transactions.js';
+
+export const normalizeBudget = budget => ({
+  budgetId: getRefId(budget?._id ?? budget?.id),
+  walletId: getRefId(budget?.account),
+  categoryId: getRefId(budget?.category),
+  amount: Number(budget?.amount) || 0,
+  startDate: toDateString(budget?.start_date ?? budget?.startDate),
+  endDate: toDateString(budget?.end_date ?? budget?.endDate)
+});
+
+/**
+ * Computes spending progress for a single normalized budget. `categoryIds` limits
+ * the expenses that count towards the budget (all expenses when omitted) and
+ * `today` anchors the burn-rate projection.
+ */
+export const computeBudgetStatus = (budget, transactions, { today, categoryIds, categoriesById } = {}) => {
+  const { amount, startDate, endDate } = budget;
+  const matching = (Array.isArray(transactions) ? transactions : [])
+    .filter(transaction => isExpense(transaction, categoriesById))
+    .filter(transaction => !categoryIds || categoryIds.has(getTransactionCategoryId(transaction)))
+    .map(transaction => ({ date: getTransactionDate(transaction), amount: getTransactionAmount(transaction) }))
+    .filter(entry => entry.date && entry.date >= startDate && entry.date <= endDate)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  let spent = 0;
+  let overspentOn = null;
+  for (const entry of matching) {
+    spent += entry.amount;
+    if (!overspentOn && spent > amount) {
+      overspentOn = entry.date;
+    }
+  }
+
+  let projectedOverspendDate = overspentOn;
+  if (!projectedOverspendDate && today >= startDate && spent > 0) {
+    const elapsedDays = diffDays(startDate, minDate(today, endDate)) + 1;
+    const dailyRate = spent / elapsedDays;
+    const projected = addDays(startDate, Math.floor(amount / dailyRate));
+    projectedOverspendDate = projected <= endDate ? projected : null;
+  }
+
+  return {
+    ...budget,
+    spent: roundAmount(spent),
+    remaining: roundAmount(amount - spent),
+    percentUsed: amount > 0 ? roundAmount((spent / amount) * 100) : null,
+    overspent: spent > amount,
+    projectedOverspendDate,
+    transactionCount: matching.length
+  };
+};
+
+/**
+ * Loads budgets (optionally narrowed to a wallet or a single budget) and pairs each
+ * one with the expenses recorded over its period.
+ */
+export const getBudgetStatuses = async (client, { walletId, budgetId, now = new Date() } = {}) => {
+  const today = toDateString(now);
+  const budgets = ((await client.getBudgets(walletId)) ?? [])
+    .map(normalizeBudget)
+    .filter(budget => !budgetId || budget.budgetId === budgetId);
+
+  const categoriesByWallet = new Map();
+  const loadCategories = async id => {
+    if (!categoriesByWallet.has(id)) {
+      categoriesByWallet.set(id, (await client.getCategories(id)) ?? []);
+    }
+    return categoriesByWallet.get(id);
+  };
+
+  const statuses = [];
+  for (const budget of budgets) {
+    if (!budget.walletId || !budget.startDate || !budget.endDate) {
+      statuses.push({ ...budget, error: 'Budget is missing a wallet or period' });
+      continue;
+    }
+    const categories = await loadCategories(budget.walletId);
+    const categoriesById = new Map(categories.map(category => [getCategoryId(category), category]));
+    const categoryIds = budget.categoryId ? getDescendantIds(categories, budget.categoryId) : null;
+    const data = await client.getTransactions(budget.walletId, budget.startDate, budget.endDate);
+    statuses.push(
+      computeBudgetStatus(budget, extractTransactions(data), { today, categoryIds, categoriesById })
+    );
+  }
+  return statuses;
+};
+
+export default getBudgetStatuses;
@@ -0,0 +1,161 @@
+import { CategoryType } from './moneyloverClient.js';
+
+// Money Lover tags its built-in categories with a `metadata` marker (for example
+// `outgoing_transfer0`), while the visible name follows the user's language.
+const SPECIAL_CATEGORIES = Object.freeze({
+  OUTGOING_TRANSFER: { type: 'EXPENSE', pattern: /outgoing[\s_-]?transfer/i },
+  INCOMING_TRANSFER: { type: 'INCOME', pattern: /incoming[\s_-]?transfer/i },
+  DEBT: { type: 'INCOME', pattern: /^(is[\s_])?debts?\d*$/i },
+  LOAN: { type: 'EXPENSE', pattern: /^(is[\s_])?loans?\d*$/i },
+  REPAYMENT: { type: 'EXPENSE', pattern: /^(is[\s_])?repayments?\d*$/i },
+  DEBT_COLLECTION: { type: 'INCOME', pattern: /debt[\s_-]?collections?/i }
+});
+
+const matchesSpecial = (category, { type, pattern }) => {
+  if (!category || typeof category !== 'object') {
+    return false;
+  }
+  if (typeof category.type !== 'undefined' && Number(category.type) !== CategoryType[type]) {
+    return false;
+  }
+  const metadata = typeof category.metadata === 'string' ? category.metadata : '';
+  const name = typeof category.name === 'string' ? category.name : '';
+  return pattern.test(metadata) || pattern.test(name);
+};
+
+export const findSpecialCategory = (categories, kind) => {
+  const spec = SPECIAL_CATEGORIES[kind];
+  if (!spec) {
+    throw new Error(`Unknown special category: ${kind}`);
+  }
+  const list = Array.isArray(categories) ? categories : [];
+  return list.find(category => matchesSpecial(category, spec)) ?? null;
+};
+
+export const classifySpecialCategory = category =>
+  Object.keys(SPECIAL_CATEGORIES).find(kind => matchesSpecial(category, SPECIAL_CATEGORIES[kind])) ?? null;
+
+export const getCategoryId = category => category?._id ?? category?.id ?? null;
+
+export const getParentId = category => {
+  const parent = category?.parent;
+  if (!parent) {
+    return null;
+  }
+  return typeof parent === 'object' ? getCategoryId(parent) : String(parent);
+};
+
+/**
+ * Returns the identifier of `rootId` together with all of its descendants.
+ */
+export const getDescendantIds = (categories, rootId) => {
+  const list = Array.isArray(categories) ? categories : [];
+  const ids = new Set([String(rootId)]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const category of list) {
+      const id = getCategoryId(category);
+      const parentId = getParentId(category);
+      if (id && parentId && ids.has(parentId) && !ids.has(String(id))) {
+        ids.add(String(id));
+        grew = true;
+      }
+    }
+  }
+  return ids;
+};
+
+const typeName = type => Object.keys(CategoryType).find(key => CategoryType[key] === Number(type)) ?? null;
+
+/**
+ * Nests a flat `getCategories` list under each category's parent. Categories whose
+ * parent is missing from the list become roots, and parent cycles are broken by
+ * promoting one of their members to a root.
+ * Every node carries a `path` such as "Food > Restaurants".
+ */
+export const buildCategoryTree = categories => {
+  const list = Array.isArray(categories) ? categories : [];
+  const nodes = new Map();
+  for (const category of list) {
+    const id = getCategoryId(category);
+    if (!id) {
+      continue;
+    }
+    nodes.set(String(id), {
+      _id: String(id),
+      name: category.name ?? '',
+      type: typeName(category.type),
+      metadata: category.metadata ?? null,
+      parentId: getParentId(category),
+      children: []
+    });
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && node.parentId !== node._id ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const seen = new Set();
+  const assignPaths = (items, prefix) => {
+    for (const item of items) {
+      if (seen.has(item._id)) {
+        continue;
+      }
+      seen.add(item._id);
+      item.path = prefix ? `${prefix} > ${item.name}` : item.name;
+      assignPaths(item.children, item.path);
+    }
+  };
+  assignPaths(roots, '');
+
+  // Nodes unreachable from any root sit on, or below, a parent cycle. Walking up
+  // from one until a node repeats lands on the cycle, whose first member in list
+  // order becomes the root.
+  const order = [...nodes.keys()];
+  for (const node of nodes.values()) {
+    if (seen.has(node._id)) {
+      continue;
+    }
+    const walked = new Set();
+    let current = node;
+    while (!walked.has(current._id)) {
+      walked.add(current._id);
+      current = nodes.get(current.parentId);
+    }
+    const cycle = [current];
+    for (let member = nodes.get(current.parentId); member !== current; member = nodes.get(member.parentId)) {
+      cycle.push(member);
+    }
+    const root = cycle.reduce((first, member) => (order.indexOf(member._id) < order.indexOf(first._id) ? member : first));
+    const parent = nodes.get(root.parentId);
+    parent.children = parent.children.filter(child => child !== root);
+    roots.push(root);
+    assignPaths([root], '');
+  }
+
+  return roots;
+};
+
+/**
+ * Maps every category identifier to its tree path, e.g. "Food > Restaurants".
+ */
+export const getCategoryPaths = categories => {
+  const paths = new Map();
+  const visit = nodes => {
+    for (const node of nodes) {
+      paths.set(node._id, node.path);
+      visit(node.children);
+    }
+  };
+  visit(buildCategoryTree(categories));
+  return paths;
+};
+
+export { SPECIAL_CATEGORIES };
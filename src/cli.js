@@ -1,8 +1,22 @@
 #!/usr/bin/env node
+import { isCliCommand, runCli } from './cliCommands.js';
 import { startMoneyloverServer } from './server.js';
 
-startMoneyloverServer().catch(error => {
-  const err = error instanceof Error ? error : new Error(String(error));
-  console.error('Money Lover MCP server failed to start:', err.message);
-  process.exitCode = 1;
-});
+const argv = process.argv.slice(2);
+
+if (isCliCommand(argv)) {
+  runCli(argv)
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      console.error(error instanceof Error ? error.message : error);
+      process.exitCode = 1;
+    });
+} else {
+  startMoneyloverServer().catch(error => {
+    const err = error instanceof Error ? error : new Error(String(error));
+    console.error('Money Lover MCP server failed to start:', err.message);
+    process.exitCode = 1;
+  });
+}
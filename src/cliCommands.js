@@ -0,0 +1,368 @@
+import { parseArgs } from 'node:util';
+import { CategoryType } from './moneyloverClient.js';
+import { getCategoryId, getCategoryPaths } from './categories.js';
+import { getWalletBalance, getWalletCurrency } from './currency.js';
+import { getRefId } from './transactions.js';
+import { EXPORT_FORMATS, exportTransactions, loadTransactionRecords } from './transactionExport.js';
+import { addTransaction, getSession, loginWithPassword, lookupCache, runWithClient } from './server.js';
+
+export const USAGE = `Usage: moneylover-mcp [command] [options]
+
+Without a command the MCP server starts (see --http, --port, --host, --path,
+--read-only, --tools and --disable-tools).
+
+Commands:
+  login [--email <email> --password-stdin]   Log in and cache the token of a profile
+  wallets                                     List wallets
+  categories <wallet>                         List the categories of a wallet
+  tx list --from <date> --to <date> [--wallet <wallet>...]
+                                              List transactions, of every wallet by default
+  tx add --wallet <wallet> --category <category> --amount <amount> [--date <date>]
+         [--note <note>] [--with <name>...] [--idempotency-key <key>] [--dry-run]
+                                              Add a transaction (dates default to today);
+                                              --dry-run prints the request instead of sending it
+  export --format <${EXPORT_FORMATS.join('|')}> --from <date> --to <date>
+         [--wallet <wallet>...] [--output <file>]
+                                              Export transactions to stdout or a file
+  help                                        Show this help
+
+Common options:
+  --profile <name>   Account profile to use (see MONEYLOVER_PROFILE_* variables)
+  --json             Print JSON instead of a table
+
+Wallets and categories can be given by identifier or name.`;
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const COMMON_OPTIONS = {
+  profile: { type: 'string' },
+  json: { type: 'boolean', default: false }
+};
+
+const CATEGORY_TYPE_NAMES = { [CategoryType.INCOME]: 'income', [CategoryType.EXPENSE]: 'expense' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parse = (args, options = {}, { positionals = 0 } = {}) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: { ...COMMON_OPTIONS, ...options }, allowPositionals: positionals > 0 });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (parsed.positionals.length !== positionals) {
+    throw new UsageError(`Expected ${positionals} argument(s), got ${parsed.positionals.length}`);
+  }
+  return { ...parsed.values, positionals: parsed.positionals };
+};
+
+const requireDate = (values, name) => {
+  const value = values[name];
+  if (!value) {
+    throw new UsageError(`--${name} is required`);
+  }
+  if (!DATE_PATTERN.test(value)) {
+    throw new UsageError(`--${name} must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const readAll = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const cell = value => {
+  if (value === null || typeof value === 'undefined') {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value).replace(/[\r\n]+/g, ' ');
+};
+
+/**
+ * Renders rows as a plain-text table. Each column is `{ key, label, align }`;
+ * `align: 'right'` suits amounts.
+ */
+export const formatTable = (rows, columns) => {
+  if (rows.length === 0) {
+    return '(none)';
+  }
+  const lines = [columns.map(column => column.label), ...rows.map(row => columns.map(column => cell(row[column.key])))];
+  const widths = columns.map((column, index) => Math.max(...lines.map(line => line[index].length)));
+  const render = line =>
+    line
+      .map((value, index) =>
+        columns[index].align === 'right' ? value.padStart(widths[index]) : value.padEnd(widths[index])
+      )
+      .join('  ')
+      .trimEnd();
+  const [header, ...body] = lines;
+  return [render(header), render(widths.map(width => '-'.repeat(width))), ...body.map(render)].join('\n');
+};
+
+const keyValueColumns = [
+  { key: 'field', label: 'FIELD' },
+  { key: 'value', label: 'VALUE' }
+];
+
+const toKeyValueRows = data => Object.entries(data).map(([field, value]) => ({ field, value }));
+
+const login = async (args, { stdin }) => {
+  const values = parse(args, { email: { type: 'string' }, 'password-stdin': { type: 'boolean', default: false } });
+  if (values.email) {
+    if (!values['password-stdin']) {
+      throw new UsageError('--email requires --password-stdin; passwords are never read from the command line');
+    }
+    const password = (await readAll(stdin)).trim();
+    if (!password) {
+      throw new UsageError('No password received on stdin');
+    }
+    const { profile } = await loginWithPassword(values.email, password, values.profile);
+    const status = profile ? await getSession(profile).getStatus() : { email: values.email, profile: null };
+    return { data: status, columns: keyValueColumns, rows: toKeyValueRows(status) };
+  }
+
+  const session = getSession(values.profile);
+  if (!(await session.getToken(true))) {
+    throw new Error(
+      `Profile "${session.name}" has no credentials; set them in the environment or use --email with --password-stdin`
+    );
+  }
+  const status = await session.getStatus();
+  return { data: status, columns: keyValueColumns, rows: toKeyValueRows(status) };
+};
+
+const wallets = async args => {
+  const values = parse(args);
+  const data = (await runWithClient({ profile: values.profile }, client => client.getWallets())) ?? [];
+  return {
+    data,
+    columns: [
+      { key: 'id', label: 'ID' },
+      { key: 'name', label: 'NAME' },
+      { key: 'currency', label: 'CURRENCY' },
+      { key: 'balance', label: 'BALANCE', align: 'right' }
+    ],
+    rows: data.map(wallet => ({
+      id: getRefId(wallet),
+      name: wallet?.name,
+      currency: getWalletCurrency(wallet),
+      balance: getWalletBalance(wallet)
+    }))
+  };
+};
+
+const categories = async args => {
+  const values = parse(args, {}, { positionals: 1 });
+  const data = await runWithClient({ profile: values.profile }, async client => {
+    const walletId = await lookupCache.resolveWalletId(client, values.positionals[0]);
+    return (await client.getCategories(walletId)) ?? [];
+  });
+  const paths = getCategoryPaths(data);
+  return {
+    data,
+    columns: [
+      { key: 'id', label: 'ID' },
+      { key: 'type', label: 'TYPE' },
+      { key: 'path', label: 'CATEGORY' }
+    ],
+    rows: data.map(category => ({
+      id: getCategoryId(category),
+      type: CATEGORY_TYPE_NAMES[category?.type] ?? '',
+      path: paths.get(getCategoryId(category)) ?? category?.name
+    }))
+  };
+};
+
+const walletOption = { wallet: { type: 'string', multiple: true } };
+
+const resolveWallets = async (client, names = []) => {
+  const ids = [];
+  for (const name of names) {
+    ids.push(await lookupCache.resolveWalletId(client, name));
+  }
+  return ids;
+};
+
+const listTransactions = async args => {
+  const values = parse(args, { from: { type: 'string' }, to: { type: 'string' }, ...walletOption });
+  const startDate = requireDate(values, 'from');
+  const endDate = requireDate(values, 'to');
+  const data = await runWithClient({ profile: values.profile }, async client =>
+    loadTransactionRecords(client, { walletIds: await resolveWallets(client, values.wallet), startDate, endDate })
+  );
+  return {
+    data,
+    columns: [
+      { key: 'date', label: 'DATE' },
+      { key: 'wallet', label: 'WALLET' },
+      { key: 'categoryPath', label: 'CATEGORY' },
+      { key: 'amount', label: 'AMOUNT', align: 'right' },
+      { key: 'note', label: 'NOTE' },
+      { key: 'id', label: 'ID' }
+    ],
+    rows: data
+  };
+};
+
+const addTransactionCommand = async args => {
+  const values = parse(args, {
+    wallet: { type: 'string' },
+    category: { type: 'string' },
+    amount: { type: 'string' },
+    date: { type: 'string' },
+    note: { type: 'string' },
+    with: { type: 'string', multiple: true },
+    'idempotency-key': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  });
+  for (const name of ['wallet', 'category', 'amount']) {
+    if (!values[name]) {
+      throw new UsageError(`--${name} is required`);
+    }
+  }
+  const date = values.date ? requireDate(values, 'date') : today();
+  const data =
+    (await addTransaction(
+      { profile: values.profile },
+      {
+        walletId: values.wallet,
+        categoryId: values.category,
+        amount: values.amount,
+        note: values.note,
+        date,
+        with: values.with
+      },
+      { idempotencyKey: values['idempotency-key'], dryRun: values['dry-run'] }
+    )) ?? {};
+  if (data.dryRun) {
+    return {
+      data,
+      columns: [
+        { key: 'method', label: 'METHOD' },
+        { key: 'path', label: 'PATH' },
+        { key: 'body', label: 'BODY' }
+      ],
+      rows: data.requests.map(request => ({ ...request, body: JSON.stringify(request.body) }))
+    };
+  }
+  const written = data.duplicate ? data.result ?? {} : data;
+  const summary = data.queued
+    ? { status: 'queued', idempotencyKey: data.idempotencyKey }
+    : { status: data.duplicate ? 'duplicate' : 'added', id: getRefId(written.transaction ?? written) };
+  return { data, columns: keyValueColumns, rows: toKeyValueRows(summary) };
+};
+
+const exportCommand = async args => {
+  const values = parse(args, {
+    format: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    output: { type: 'string' },
+    ...walletOption
+  });
+  if (!EXPORT_FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const startDate = requireDate(values, 'from');
+  const endDate = requireDate(values, 'to');
+  const data = await runWithClient({ profile: values.profile }, async client =>
+    exportTransactions(client, {
+      walletIds: await resolveWallets(client, values.wallet),
+      startDate,
+      endDate,
+      format: values.format,
+      filePath: values.output
+    })
+  );
+  if (!values.output) {
+    // The export itself is the output, whatever --json says.
+    return { raw: data.content };
+  }
+  const { content, ...summary } = data;
+  return { data: summary, columns: keyValueColumns, rows: toKeyValueRows(summary) };
+};
+
+const COMMANDS = {
+  login,
+  wallets,
+  categories,
+  export: exportCommand,
+  tx: {
+    list: listTransactions,
+    add: addTransactionCommand
+  }
+};
+
+// Anything but a leading flag is a command; flags alone start the server.
+export const isCliCommand = argv => argv.length > 0 && !argv[0].startsWith('-');
+
+const findCommand = argv => {
+  const [name, ...rest] = argv;
+  const entry = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (typeof entry === 'function') {
+    return { run: entry, args: rest };
+  }
+  if (entry && Object.hasOwn(entry, rest[0] ?? '')) {
+    return { run: entry[rest[0]], args: rest.slice(1) };
+  }
+  throw new UsageError(entry ? `Unknown ${name} command: ${rest[0] ?? '(none)'}` : `Unknown command: ${name}`);
+};
+
+const write = (stream, text) => stream.write(text.endsWith('\n') ? text : `${text}\n`);
+
+/**
+ * Runs one command-line command and resolves with the process exit code: 0 on
+ * success, 1 when the command failed and 2 for invalid usage.
+ */
+export const runCli = async (
+  argv,
+  { stdout = process.stdout, stderr = process.stderr, stdin = process.stdin } = {}
+) => {
+  const json = argv.includes('--json');
+  if (argv[0] === 'help' || argv.includes('--help')) {
+    write(stdout, USAGE);
+    return 0;
+  }
+  try {
+    const { run, args } = findCommand(argv);
+    const result = await run(args, { stdin });
+    if (typeof result.raw === 'string') {
+      stdout.write(result.raw);
+    } else {
+      write(stdout, json ? JSON.stringify(result.data, null, 2) : formatTable(result.rows, result.columns));
+    }
+    return 0;
+  } catch (error) {
+    const err = error instanceof Error ? error : new Error(String(error));
+    if (err instanceof UsageError) {
+      write(stderr, `${err.message}\nRun "moneylover-mcp help" for usage.`);
+      return 2;
+    }
+    if (json) {
+      const payload = { error: err.name, message: err.message };
+      if (typeof err.code !== 'undefined' && err.code !== null) {
+        payload.code = err.code;
+      }
+      if (err.detail) {
+        payload.detail = err.detail;
+      }
+      write(stderr, JSON.stringify(payload, null, 2));
+    } else {
+      write(stderr, `Error: ${err.message}`);
+    }
+    return 1;
+  }
+};
+
+export default runCli;
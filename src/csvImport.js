@@ -0,0 +1,301 @@
+import { promises as fs } from 'node:fs';
+import { buildTransactionPayload } from './moneyloverClient.js';
+import { createLookupCache } from './resolver.js';
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+const detectDelimiter = text => {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? '';
+  const counts = DELIMITER_CANDIDATES.map(candidate => [candidate, firstLine.split(candidate).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+};
+
+/**
+ * Parses RFC 4180 style CSV: quoted fields may contain delimiters, doubled quotes
+ * and line breaks. Returns an array of rows, each an array of raw strings.
+ */
+export const parseCsv = (text, { delimiter } = {}) => {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const separator = delimiter ?? detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parses a date using a pattern made of YYYY, YY, MM, M, DD and D tokens separated by
+ * literal characters, for example `DD/MM/YYYY`. Returns a YYYY-MM-DD string.
+ */
+export const parseDate = (value, format = 'YYYY-MM-DD') => {
+  const raw = String(value ?? '').trim();
+  const tokens = format.match(/YYYY|YY|MM|M|DD|D|[^YMD]+/g) ?? [];
+  let pattern = '^';
+  for (const token of tokens) {
+    if (token === 'YYYY') {
+      pattern += '(?<year>\\d{4})';
+    } else if (token === 'YY') {
+      pattern += '(?<shortYear>\\d{2})';
+    } else if (token === 'MM' || token === 'M') {
+      pattern += '(?<month>\\d{1,2})';
+    } else if (token === 'DD' || token === 'D') {
+      pattern += '(?<day>\\d{1,2})';
+    } else {
+      pattern += token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const match = new RegExp(pattern + '$').exec(raw);
+  if (!match) {
+    throw new Error(`Date "${raw}" does not match format ${format}`);
+  }
+  const { year, shortYear, month, day } = match.groups;
+  const fullYear = year ? Number(year) : 2000 + Number(shortYear);
+  const date = new Date(Date.UTC(fullYear, Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    throw new Error(`Date "${raw}" is not a valid calendar date`);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Parses a bank-formatted number such as `1.234,56`, `(1,234.56)`, `-Rp 15.000` or
+ * `12.50 CR`. Returns null for empty cells.
+ */
+export const parseAmount = (value, { decimalSeparator = '.' } = {}) => {
+  let raw = String(value ?? '').trim();
+  if (!raw) {
+    return null;
+  }
+  let negative = false;
+  if (/^\(.*\)$/.test(raw)) {
+    negative = true;
+    raw = raw.slice(1, -1);
+  }
+  if (/\bDR$/i.test(raw)) {
+    negative = true;
+  }
+  // A minus sign counts at either end of the number once currency text is
+  // stripped; anywhere else the cell is not an amount.
+  const number = raw.replace(/^[^\d-]+|[^\d-]+$/g, '');
+  const unsigned = number.replace(/^-|-$/g, '');
+  if (unsigned.includes('-')) {
+    throw new Error(`Amount "${value}" is not a number`);
+  }
+  if (unsigned !== number) {
+    negative = true;
+  }
+  const thousands = decimalSeparator === ',' ? '.' : ',';
+  const cleaned = raw
+    .split(thousands)
+    .join('')
+    .replace(decimalSeparator, '.')
+    .replace(/[^\d.]/g, '');
+  const amount = Number(cleaned);
+  if (!cleaned || !Number.isFinite(amount)) {
+    throw new Error(`Amount "${value}" is not a number`);
+  }
+  return negative ? -amount : amount;
+};
+
+const columnIndex = (header, reference, name) => {
+  if (typeof reference === 'undefined' || reference === null || reference === '') {
+    return -1;
+  }
+  if (typeof reference === 'number') {
+    return reference;
+  }
+  const wanted = String(reference).trim().toLowerCase();
+  const index = header ? header.findIndex(cell => cell.trim().toLowerCase() === wanted) : -1;
+  if (index === -1) {
+    throw new Error(`Column "${reference}" for ${name} not found in CSV header`);
+  }
+  return index;
+};
+
+export const matchesCategoryRule = (rule, text) => {
+  const pattern = String(rule.pattern ?? '');
+  if (pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
+    const end = pattern.lastIndexOf('/');
+    return new RegExp(pattern.slice(1, end), pattern.slice(end + 1) || 'i').test(text);
+  }
+  return text.toLowerCase().includes(pattern.toLowerCase());
+};
+
+/**
+ * Turns a CSV row into `addTransaction` params. The sign of the amount (or the
+ * debit/credit column it came from) picks the default expense or income category;
+ * the amount sent to Money Lover is always positive.
+ */
+const mapRow = (cells, indexes, options) => {
+  const cell = index => (index >= 0 ? (cells[index] ?? '').trim() : '');
+  const { decimalSeparator } = options;
+
+  let amount = null;
+  if (indexes.amount >= 0) {
+    amount = parseAmount(cell(indexes.amount), { decimalSeparator });
+  } else {
+    const debit = parseAmount(cell(indexes.debit), { decimalSeparator });
+    const credit = parseAmount(cell(indexes.credit), { decimalSeparator });
+    if (debit) {
+      amount = -Math.abs(debit);
+    } else if (credit) {
+      amount = Math.abs(credit);
+    }
+  }
+  if (!amount) {
+    throw new Error('Row has no amount');
+  }
+  if (options.invertSign) {
+    amount = -amount;
+  }
+
+  const note = cell(indexes.note);
+  const isIncomeRow = amount > 0;
+  const rule = (options.categoryRules ?? []).find(candidate => matchesCategoryRule(candidate, note));
+  const category =
+    cell(indexes.category) ||
+    rule?.category ||
+    options.categoryId ||
+    (isIncomeRow ? options.incomeCategoryId : options.expenseCategoryId);
+  if (!category) {
+    throw new Error(`No ${isIncomeRow ? 'income' : 'expense'} category for row`);
+  }
+  const counterparty = cell(indexes.counterparty);
+
+  return {
+    wallet: cell(indexes.wallet) || options.walletId,
+    category,
+    amount: String(Math.abs(amount)),
+    note,
+    date: parseDate(cell(indexes.date), options.dateFormat),
+    with: counterparty ? [counterparty] : []
+  };
+};
+
+/**
+ * Imports transactions from a CSV bank statement. Each row is mapped through the
+ * `columns` configuration, resolved to a wallet and category (names are accepted)
+ * and written with `client.addTransaction`. With `dryRun` nothing is written and
+ * each row reports the exact payload that would be sent. Failures are reported
+ * per row and do not stop the import, unless `isFatalError` says the error
+ * affects every row (for example an expired token), in which case it is thrown.
+ */
+export const importTransactionsCsv = async (client, options) => {
+  const {
+    filePath,
+    text,
+    columns = {},
+    delimiter,
+    hasHeader = true,
+    skipRows = 0,
+    walletId,
+    dryRun = false,
+    resolver = createLookupCache(),
+    isFatalError = () => false
+  } = options ?? {};
+  if (columns.date === undefined) {
+    throw new Error('columns.date is required');
+  }
+  if (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined) {
+    throw new Error('columns.amount or columns.debit/columns.credit is required');
+  }
+  if (!walletId && columns.wallet === undefined) {
+    throw new Error('walletId or columns.wallet is required');
+  }
+
+  const source = typeof text === 'string' ? text : await fs.readFile(filePath, 'utf8');
+  const rows = parseCsv(source, { delimiter }).slice(skipRows);
+  const header = hasHeader ? rows.shift() : null;
+  const firstDataLine = skipRows + (hasHeader ? 2 : 1);
+  const indexes = Object.fromEntries(
+    ['date', 'amount', 'debit', 'credit', 'note', 'category', 'wallet', 'counterparty'].map(name => [
+      name,
+      columnIndex(header, columns[name], name)
+    ])
+  );
+
+  const results = [];
+  for (const [offset, cells] of rows.entries()) {
+    const row = firstDataLine + offset;
+    try {
+      const mapped = mapRow(cells, indexes, options);
+      const rowWalletId = await resolver.resolveWalletId(client, mapped.wallet);
+      const params = {
+        walletId: rowWalletId,
+        categoryId: await resolver.resolveCategoryId(client, rowWalletId, mapped.category),
+        amount: mapped.amount,
+        note: mapped.note,
+        date: mapped.date,
+        with: mapped.with
+      };
+      const payload = buildTransactionPayload(params);
+      if (dryRun) {
+        results.push({ row, status: 'preview', payload });
+        continue;
+      }
+      const created = await client.addTransaction(params);
+      results.push({ row, status: 'imported', payload, transactionId: created?._id ?? created?.id ?? null });
+    } catch (error) {
+      if (isFatalError(error)) {
+        throw error;
+      }
+      results.push({
+        row,
+        status: 'failed',
+        error: error instanceof Error ? error.message : String(error),
+        ...(error?.code ? { code: error.code } : {}),
+        ...(error?.detail?.candidates ? { candidates: error.detail.candidates } : {})
+      });
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    dryRun,
+    total: results.length,
+    imported: count('imported'),
+    previewed: count('preview'),
+    failed: count('failed'),
+    rows: results
+  };
+};
+
+export default importTransactionsCsv;
@@ -0,0 +1,195 @@
+import { toDateString } from './dateUtils.js';
+import { getRefId, roundAmount } from './transactions.js';
+
+const CURRENCY_PATTERN = /^[A-Z][A-Z0-9]{2,4}$/;
+
+export class CurrencyConversionError extends Error {
+  constructor(message, { code, detail } = {}) {
+    super(message);
+    this.name = 'CurrencyConversionError';
+    this.code = code ?? null;
+    if (detail) {
+      this.detail = detail;
+    }
+  }
+}
+
+export const normalizeCurrency = value => {
+  const code = String(value ?? '')
+    .trim()
+    .toUpperCase();
+  if (!CURRENCY_PATTERN.test(code)) {
+    throw new Error(`Invalid currency code: ${value}`);
+  }
+  return code;
+};
+
+export const getWalletCurrency = wallet => wallet?.currency?.c ?? wallet?.currency?.code ?? wallet?.currency_code ?? null;
+
+/**
+ * Reads a wallet balance, which Money Lover returns either as a plain number or
+ * as a list of `{ [currency]: amount }` entries.
+ */
+export const getWalletBalance = wallet => {
+  const raw = wallet?.balance;
+  for (const entry of Array.isArray(raw) ? raw : [raw]) {
+    let value = entry;
+    if (entry && typeof entry === 'object') {
+      const currency = getWalletCurrency(wallet);
+      value = currency && currency in entry ? entry[currency] : Object.values(entry)[0];
+    }
+    if (value !== null && value !== '' && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+  }
+  return null;
+};
+
+export const normalizeExchangeRate = ({ from, to, rate, date }) => {
+  const entry = { from: normalizeCurrency(from), to: normalizeCurrency(to), rate: Number(rate), date: toDateString(date) };
+  if (entry.from === entry.to) {
+    throw new Error('from and to must be different currencies');
+  }
+  if (!Number.isFinite(entry.rate) || entry.rate <= 0) {
+    throw new Error('rate must be a positive number');
+  }
+  if (!entry.date || Number.isNaN(Date.parse(entry.date))) {
+    throw new Error('date must be in YYYY-MM-DD format');
+  }
+  return entry;
+};
+
+// Latest quote for a pair dated on or before `date`, using an entry for the
+// opposite direction (inverted) when that is what the table holds.
+const latestQuote = (rates, from, to, date) => {
+  let best = null;
+  for (const entry of rates) {
+    if (entry.date > date) {
+      continue;
+    }
+    const direct = entry.from === from && entry.to === to;
+    if (!direct && !(entry.from === to && entry.to === from)) {
+      continue;
+    }
+    if (!best || entry.date > best.rateDate || (entry.date === best.rateDate && direct && best.inverted)) {
+      best = { rate: direct ? entry.rate : 1 / entry.rate, rateDate: entry.date, inverted: !direct };
+    }
+  }
+  return best;
+};
+
+/**
+ * Finds the rate to convert `from` into `to` on `date`: the most recent direct or
+ * inverted entry dated on or before that day, or else a cross rate through one
+ * intermediate currency, dated by the older of its two legs. Rates are never
+ * taken from the future.
+ */
+export const findExchangeRate = (rates, from, to, date) => {
+  if (from === to) {
+    return { from, to, rate: 1, rateDate: null };
+  }
+  const direct = latestQuote(rates, from, to, date);
+  if (direct) {
+    return { from, to, rate: direct.rate, rateDate: direct.rateDate };
+  }
+
+  const pivots = new Set(rates.flatMap(entry => [entry.from, entry.to]));
+  let best = null;
+  for (const pivot of pivots) {
+    if (pivot === from || pivot === to) {
+      continue;
+    }
+    const first = latestQuote(rates, from, pivot, date);
+    const second = first ? latestQuote(rates, pivot, to, date) : null;
+    if (!second) {
+      continue;
+    }
+    const rateDate = first.rateDate < second.rateDate ? first.rateDate : second.rateDate;
+    if (!best || rateDate > best.rateDate) {
+      best = { from, to, rate: first.rate * second.rate, rateDate, via: pivot };
+    }
+  }
+  if (best) {
+    return best;
+  }
+  throw new CurrencyConversionError(`No exchange rate from ${from} to ${to} on or before ${date}`, {
+    code: 'RATE_NOT_FOUND',
+    detail: { from, to, date }
+  });
+};
+
+/**
+ * Returns a converter into `reportingCurrency` backed by a rate table. Every
+ * result carries the rate and the rate date that were applied.
+ */
+export const createCurrencyConverter = (rates, reportingCurrency) => {
+  const to = normalizeCurrency(reportingCurrency);
+  const table = (Array.isArray(rates) ? rates : []).map(normalizeExchangeRate);
+  const cache = new Map();
+
+  const convert = (amount, currency, date) => {
+    if (!currency) {
+      throw new CurrencyConversionError(`Cannot convert to ${to}: the source currency is unknown`, {
+        code: 'UNKNOWN_CURRENCY'
+      });
+    }
+    const from = normalizeCurrency(currency);
+    const day = toDateString(date) ?? toDateString(new Date());
+    const key = `${from}|${day}`;
+    if (!cache.has(key)) {
+      cache.set(key, findExchangeRate(table, from, to, day));
+    }
+    const quote = cache.get(key);
+    return {
+      amount: roundAmount(amount * quote.rate),
+      currency: to,
+      originalAmount: amount,
+      originalCurrency: from,
+      rate: quote.rate,
+      rateDate: quote.rateDate,
+      ...(quote.via ? { via: quote.via } : {})
+    };
+  };
+
+  return { reportingCurrency: to, convert };
+};
+
+/**
+ * Converts every wallet balance into the reporting currency as of `date` and adds
+ * up the wallets that count towards the total. A wallet that cannot be converted
+ * (unknown currency or no rate) reports `converted: null` with the error and is
+ * left out of the total.
+ */
+export const convertWalletBalances = (wallets, { rates, reportingCurrency, date }) => {
+  const converter = createCurrencyConverter(rates, reportingCurrency);
+  const day = toDateString(date) ?? toDateString(new Date());
+  let total = 0;
+  const items = (Array.isArray(wallets) ? wallets : []).map(wallet => {
+    const balance = getWalletBalance(wallet);
+    const currency = getWalletCurrency(wallet);
+    const excludedFromTotal = Boolean(wallet?.exclude_total ?? wallet?.excludeTotal);
+    let converted = null;
+    let failure = null;
+    try {
+      converted = balance === null ? null : converter.convert(balance, currency, day);
+    } catch (error) {
+      if (!(error instanceof CurrencyConversionError)) {
+        throw error;
+      }
+      failure = { error: error.message, code: error.code };
+    }
+    if (converted && !excludedFromTotal) {
+      total += converted.amount;
+    }
+    return {
+      walletId: getRefId(wallet),
+      name: wallet?.name ?? '',
+      balance,
+      currency,
+      excludedFromTotal,
+      converted: converted && { amount: converted.amount, rate: converted.rate, rateDate: converted.rateDate, via: converted.via },
+      ...failure
+    };
+  });
+  return { reportingCurrency: converter.reportingCurrency, date: day, total: roundAmount(total), wallets: items };
+};
@@ -0,0 +1,80 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// All helpers work on UTC calendar days expressed as YYYY-MM-DD strings, which is
+// how Money Lover stores `displayDate`.
+
+export const toDateString = value => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'string' && DATE_PATTERN.test(value.trim())) {
+    return value.trim().slice(0, 10);
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+  return null;
+};
+
+const toUtcMs = dateString => Date.parse(`${dateString}T00:00:00.000Z`);
+
+export const addDays = (dateString, days) => new Date(toUtcMs(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Adds calendar months, clamping the day to the end of shorter months so that a
+ * date on the 31st lands on the last day of February rather than in March.
+ */
+export const addMonths = (dateString, months) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+export const diffDays = (from, to) => Math.round((toUtcMs(to) - toUtcMs(from)) / DAY_MS);
+
+export const minDate = (a, b) => (a <= b ? a : b);
+
+export const maxDate = (a, b) => (a >= b ? a : b);
+
+/**
+ * Returns the ISO-8601 week label (for example `2024-W18`) of a date.
+ */
+export const isoWeek = dateString => {
+  const date = new Date(toUtcMs(dateString));
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date.getTime() - yearStart) / DAY_MS + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+export const isMonthStart = dateString => dateString.endsWith('-01');
+
+export const isMonthEnd = dateString => addDays(dateString, 1).endsWith('-01');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Returns the first and last day of a `YYYY-MM` calendar month.
+ */
+export const getMonthRange = month => {
+  if (!MONTH_PATTERN.test(month ?? '')) {
+    throw new Error(`Month must be in YYYY-MM format: ${month}`);
+  }
+  const startDate = `${month}-01`;
+  return { startDate, endDate: addDays(addMonths(startDate, 1), -1) };
+};
+
+/**
+ * Lists the `YYYY-MM` months overlapping a date range, oldest first.
+ */
+export const monthsBetween = (startDate, endDate) => {
+  const months = [];
+  for (let month = `${startDate.slice(0, 7)}-01`; month <= endDate; month = addMonths(month, 1)) {
+    months.push(month.slice(0, 7));
+  }
+  return months;
+};
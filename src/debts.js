@@ -0,0 +1,155 @@
+import { classifySpecialCategory, findSpecialCategory, getCategoryId } from './categories.js';
+import { toDateString } from './dateUtils.js';
+import {
+  extractTransactions,
+  getRefId,
+  getTransactionAmount,
+  getTransactionCategoryId,
+  roundAmount
+} from './transactions.js';
+
+// A DEBT is money you borrowed and settle with a REPAYMENT; a LOAN is money you
+// lent and settle with a DEBT_COLLECTION.
+const SETTLEMENT_KIND = Object.freeze({
+  DEBT: 'REPAYMENT',
+  LOAN: 'DEBT_COLLECTION'
+});
+
+const EARLIEST_DATE = '2000-01-01';
+
+const UNSPECIFIED_COUNTERPARTY = '(unspecified)';
+
+const requireCategoryId = async (client, walletId, kind) => {
+  const categories = (await client.getCategories(walletId)) ?? [];
+  const categoryId = getCategoryId(findSpecialCategory(categories, kind));
+  if (!categoryId) {
+    const label = kind.toLowerCase().replace('_', ' ');
+    throw new Error(`Wallet ${walletId} has no ${label} category`);
+  }
+  return categoryId;
+};
+
+const ensureKind = kind => {
+  if (!Object.hasOwn(SETTLEMENT_KIND, kind)) {
+    throw new Error('kind must be DEBT or LOAN');
+  }
+  return kind;
+};
+
+const writeDebtTransaction = async (client, kind, { walletId, person, amount, date, note }) => {
+  if (typeof person !== 'string' || person.trim() === '') {
+    throw new Error('person is required');
+  }
+  const categoryId = await requireCategoryId(client, walletId, kind);
+  return client.addTransaction({
+    walletId,
+    categoryId,
+    amount,
+    note,
+    date,
+    with: [person.trim()]
+  });
+};
+
+/**
+ * Records a new debt (money borrowed from `person`) or loan (money lent to
+ * `person`) in the wallet's built-in debt or loan category.
+ */
+export const recordDebt = (client, { kind, ...params }) => writeDebtTransaction(client, ensureKind(kind), params);
+
+/**
+ * Records a full or partial settlement: a repayment of a debt or a collection of a loan.
+ */
+export const recordRepayment = (client, { kind, ...params }) =>
+  writeDebtTransaction(client, SETTLEMENT_KIND[ensureKind(kind)], params);
+
+const getCounterparties = transaction => {
+  const parties = (Array.isArray(transaction?.with) ? transaction.with : [])
+    .map(party => (typeof party === 'string' ? party : party?.name ?? ''))
+    .map(name => name.trim())
+    .filter(Boolean);
+  return parties.length > 0 ? parties : [UNSPECIFIED_COUNTERPARTY];
+};
+
+/**
+ * Aggregates debt, loan, repayment and collection transactions per counterparty.
+ * Transactions shared by several people are split evenly between them. Names are
+ * matched case-insensitively; the first spelling seen is reported.
+ */
+export const computeDebtBalances = (transactions, categoriesById) => {
+  const balances = new Map();
+  for (const transaction of Array.isArray(transactions) ? transactions : []) {
+    const category =
+      transaction?.category && typeof transaction.category === 'object'
+        ? transaction.category
+        : categoriesById?.get?.(getTransactionCategoryId(transaction));
+    const kind = classifySpecialCategory(category);
+    if (!['DEBT', 'LOAN', 'REPAYMENT', 'DEBT_COLLECTION'].includes(kind)) {
+      continue;
+    }
+
+    const parties = getCounterparties(transaction);
+    const share = getTransactionAmount(transaction) / parties.length;
+    for (const party of parties) {
+      const key = party.toLowerCase();
+      if (!balances.has(key)) {
+        balances.set(key, { counterparty: party, borrowed: 0, repaid: 0, lent: 0, collected: 0 });
+      }
+      const entry = balances.get(key);
+      if (kind === 'DEBT') {
+        entry.borrowed += share;
+      } else if (kind === 'REPAYMENT') {
+        entry.repaid += share;
+      } else if (kind === 'LOAN') {
+        entry.lent += share;
+      } else {
+        entry.collected += share;
+      }
+    }
+  }
+
+  return [...balances.values()]
+    .map(entry => {
+      const youOwe = entry.borrowed - entry.repaid;
+      const owedToYou = entry.lent - entry.collected;
+      return {
+        counterparty: entry.counterparty,
+        borrowed: roundAmount(entry.borrowed),
+        repaid: roundAmount(entry.repaid),
+        lent: roundAmount(entry.lent),
+        collected: roundAmount(entry.collected),
+        youOwe: roundAmount(youOwe),
+        owedToYou: roundAmount(owedToYou),
+        net: roundAmount(owedToYou - youOwe)
+      };
+    })
+    .sort((a, b) => Math.abs(b.net) - Math.abs(a.net) || a.counterparty.localeCompare(b.counterparty));
+};
+
+/**
+ * Loads debt-related transactions for one wallet (or every wallet) and returns the
+ * per-counterparty balances. Settled counterparties are left out unless requested.
+ */
+export const getDebtBalances = async (
+  client,
+  { walletId, startDate = EARLIEST_DATE, endDate, includeSettled = false, now = new Date() } = {}
+) => {
+  const walletIds = walletId
+    ? [walletId]
+    : ((await client.getWallets()) ?? []).map(wallet => getRefId(wallet)).filter(Boolean);
+  const until = endDate ?? toDateString(now);
+
+  const transactions = [];
+  const categoriesById = new Map();
+  for (const id of walletIds) {
+    for (const category of (await client.getCategories(id)) ?? []) {
+      categoriesById.set(getCategoryId(category), category);
+    }
+    transactions.push(...extractTransactions(await client.getTransactions(id, startDate, until)));
+  }
+
+  const balances = computeDebtBalances(transactions, categoriesById);
+  return includeSettled ? balances : balances.filter(entry => entry.youOwe !== 0 || entry.owedToYou !== 0);
+};
+
+export { SETTLEMENT_KIND };
@@ -0,0 +1,165 @@
+import { diffDays } from './dateUtils.js';
+import { normalizeName, similarity } from './resolver.js';
+import {
+  extractTransactions,
+  getRefId,
+  getTransactionAmount,
+  getTransactionCategoryId,
+  getTransactionDate,
+  getTransactionWalletId,
+  roundAmount
+} from './transactions.js';
+
+export const DEFAULT_DUPLICATE_RULES = Object.freeze({
+  maxDaysApart: 1,
+  sameCategory: true,
+  minNoteSimilarity: 0.6,
+  amountTolerance: 0,
+  acrossWallets: false
+});
+
+// A missing note neither confirms nor rules out a duplicate.
+const NEUTRAL_NOTE_SIMILARITY = 0.5;
+
+const summarize = transaction => ({
+  id: getRefId(transaction?._id ?? transaction?.id),
+  walletId: getTransactionWalletId(transaction),
+  categoryId: getTransactionCategoryId(transaction),
+  date: getTransactionDate(transaction),
+  amount: getTransactionAmount(transaction),
+  note: typeof transaction?.note === 'string' ? transaction.note : ''
+});
+
+const noteSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  return left && right ? similarity(left, right) : null;
+};
+
+/**
+ * Scores a pair of transactions against the rules. Returns null when the pair
+ * fails a rule, otherwise a confidence between 0 and 1 built from amount,
+ * date proximity, category and note similarity.
+ */
+export const scorePair = (a, b, rules) => {
+  if (!a.date || !b.date) {
+    return null;
+  }
+  if (!rules.acrossWallets && a.walletId !== b.walletId) {
+    return null;
+  }
+  const amountGap = Math.abs(a.amount - b.amount);
+  if (amountGap > rules.amountTolerance) {
+    return null;
+  }
+  const daysApart = Math.abs(diffDays(a.date, b.date));
+  if (daysApart > rules.maxDaysApart) {
+    return null;
+  }
+  const sameCategory = a.categoryId === b.categoryId;
+  if (rules.sameCategory && !sameCategory) {
+    return null;
+  }
+  const notes = noteSimilarity(a.note, b.note);
+  if (notes !== null && notes < rules.minNoteSimilarity) {
+    return null;
+  }
+
+  const amountScore = amountGap === 0 ? 1 : 1 - amountGap / Math.max(a.amount, b.amount, 1);
+  const dateScore = 1 - daysApart / (rules.maxDaysApart + 1);
+  const score = 0.35 * amountScore + 0.2 * dateScore + 0.15 * (sameCategory ? 1 : 0) + 0.3 * (notes ?? NEUTRAL_NOTE_SIMILARITY);
+  return roundAmount(score);
+};
+
+/**
+ * Groups likely duplicates. Pairs that pass the rules are linked, and linked
+ * transactions form one group whose confidence is the average pair score. Each
+ * group suggests keeping the entry with the longest note and removing the rest.
+ */
+export const findDuplicateGroups = (transactions, rules = {}) => {
+  const effective = { ...DEFAULT_DUPLICATE_RULES, ...rules };
+  const items = (Array.isArray(transactions) ? transactions : [])
+    .map(summarize)
+    .filter(item => item.id)
+    .sort((a, b) => (a.date ?? '').localeCompare(b.date ?? ''));
+
+  const parent = items.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const pairScores = [];
+
+  for (let i = 0; i < items.length; i += 1) {
+    for (let j = i + 1; j < items.length; j += 1) {
+      if (items[j].date && items[i].date && diffDays(items[i].date, items[j].date) > effective.maxDaysApart) {
+        break;
+      }
+      const score = scorePair(items[i], items[j], effective);
+      if (score !== null) {
+        pairScores.push({ i, j, score });
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const { i, score } of pairScores) {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, { members: new Set(), scores: [] });
+    }
+    groups.get(root).scores.push(score);
+  }
+  items.forEach((item, index) => groups.get(find(index))?.members.add(index));
+
+  return [...groups.values()]
+    .map(group => {
+      const members = [...group.members].map(index => items[index]);
+      const [keep, ...extras] = [...members].sort(
+        (a, b) => b.note.length - a.note.length || a.id.localeCompare(b.id)
+      );
+      return {
+        confidence: roundAmount(group.scores.reduce((sum, score) => sum + score, 0) / group.scores.length),
+        transactions: members,
+        suggestedKeepId: keep.id,
+        suggestedRemoveIds: extras.map(item => item.id)
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Loads transactions for one wallet (or every wallet) and returns duplicate
+ * candidate groups.
+ */
+export const findDuplicateTransactions = async (client, { walletId, startDate, endDate, rules } = {}) => {
+  const walletIds = walletId
+    ? [walletId]
+    : ((await client.getWallets()) ?? []).map(wallet => getRefId(wallet)).filter(Boolean);
+  const transactions = [];
+  for (const id of walletIds) {
+    for (const transaction of extractTransactions(await client.getTransactions(id, startDate, endDate))) {
+      transactions.push(getTransactionWalletId(transaction) ? transaction : { ...transaction, account: id });
+    }
+  }
+  const groups = findDuplicateGroups(transactions, rules);
+  return { scanned: transactions.length, groups };
+};
+
+/**
+ * Deletes the given transactions one by one and reports the outcome of each.
+ */
+export const removeTransactions = async (client, transactionIds) => {
+  const results = [];
+  for (const transactionId of transactionIds) {
+    try {
+      await client.deleteTransaction(transactionId);
+      results.push({ transactionId, status: 'deleted' });
+    } catch (error) {
+      results.push({ transactionId, status: 'failed', error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+  return {
+    deleted: results.filter(result => result.status === 'deleted').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results
+  };
+};
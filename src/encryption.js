@@ -0,0 +1,74 @@
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'node:crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const SCRYPT_PARAMS = Object.freeze({ N: 2 ** 14, r: 8, p: 1 });
+
+export class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+// Derived keys are remembered per passphrase and salt, so reading the same file
+// again does not pay for scrypt twice.
+const derivedKeys = new Map();
+
+const deriveKey = (passphrase, salt, { N, r, p }) => {
+  const cacheKey = `${salt.toString('base64')}:${N}:${r}:${p}:${passphrase}`;
+  if (!derivedKeys.has(cacheKey)) {
+    const key = new Promise((resolve, reject) => {
+      scrypt(passphrase, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r }, (error, derived) =>
+        error ? reject(error) : resolve(derived)
+      );
+    });
+    derivedKeys.set(cacheKey, key);
+    key.catch(() => derivedKeys.delete(cacheKey));
+  }
+  return derivedKeys.get(cacheKey);
+};
+
+export const isEncryptedEnvelope = value => value?.algorithm === ALGORITHM && typeof value?.ciphertext === 'string';
+
+/**
+ * Encrypts `value` as JSON with AES-256-GCM under a key derived from
+ * `passphrase` with scrypt and a fresh salt. `context` is authenticated but not
+ * stored, so an envelope only decrypts for the same context.
+ */
+export const encryptJson = async (value, passphrase, context = '') => {
+  const salt = randomBytes(SALT_LENGTH);
+  const iv = randomBytes(IV_LENGTH);
+  const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    algorithm: ALGORITHM,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+export const decryptJson = async (envelope, passphrase, context = '') => {
+  if (!isEncryptedEnvelope(envelope) || envelope.kdf?.name !== 'scrypt') {
+    throw new DecryptionError('Unsupported encrypted data format');
+  }
+  const { N, r, p, salt } = envelope.kdf;
+  const key = await deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+  try {
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new DecryptionError('Unable to decrypt: wrong passphrase or corrupted data');
+  }
+};
+
+export default { encryptJson, decryptJson, isEncryptedEnvelope };
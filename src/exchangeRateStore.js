@@ -0,0 +1,63 @@
+import path from 'node:path';
+import { CACHE_DIR, readJsonFile, writeJsonFile } from './storage.js';
+
+const DEFAULT_PATH = path.join(CACHE_DIR, 'exchange-rates.json');
+
+/**
+ * File-backed table of dated exchange rates. Each entry reads "1 `from` is worth
+ * `rate` `to` from `date` on"; the file is plain JSON so it can also be edited by
+ * hand. Mutations are serialized like the other local stores.
+ */
+export const createExchangeRateStore = (filePath = DEFAULT_PATH) => {
+  let queue = Promise.resolve();
+
+  const serialize = fn => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const load = async () => {
+    const data = await readJsonFile(filePath, { rates: [] });
+    return Array.isArray(data?.rates) ? data.rates : [];
+  };
+
+  const save = rates => writeJsonFile(filePath, { rates });
+
+  const sameEntry = (a, b) => a.from === b.from && a.to === b.to && a.date === b.date;
+
+  return {
+    filePath,
+
+    list: () => serialize(load),
+
+    set: entry =>
+      serialize(async () => {
+        const rates = await load();
+        const record = { from: entry.from, to: entry.to, rate: entry.rate, date: entry.date, updatedAt: new Date().toISOString() };
+        const index = rates.findIndex(rate => sameEntry(rate, record));
+        if (index === -1) {
+          rates.push(record);
+        } else {
+          rates[index] = record;
+        }
+        rates.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || a.date.localeCompare(b.date));
+        await save(rates);
+        return record;
+      }),
+
+    remove: entry =>
+      serialize(async () => {
+        const rates = await load();
+        const index = rates.findIndex(rate => sameEntry(rate, entry));
+        if (index === -1) {
+          throw new Error(`Exchange rate not found: ${entry.from}/${entry.to} on ${entry.date}`);
+        }
+        const [removed] = rates.splice(index, 1);
+        await save(rates);
+        return removed;
+      })
+  };
+};
+
+export default createExchangeRateStore;
@@ -0,0 +1,427 @@
+import { randomBytes } from 'node:crypto';
+import http from 'node:http';
+
+const CLIENT_ID = 'fake-client';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+export const FAKE_USER = Object.freeze({ email: 'demo@example.com', password: 'demo-password' });
+
+// Error codes of the fake API. Code 1 with `user_unauthenticated` matches what
+// the live service answers for a missing or expired token.
+const UNAUTHENTICATED = { error: 1, msg: 'user_unauthenticated' };
+
+class FakeApiError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const notFound = what => new FakeApiError(404, `${what}_not_found`);
+const invalid = message => new FakeApiError(400, message);
+
+const base64url = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const requireField = (body, name) => {
+  const value = body?.[name];
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw invalid(`${name}_required`);
+  }
+  return value.trim();
+};
+
+const toAmount = value => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw invalid('amount_invalid');
+  }
+  return amount;
+};
+
+const readBody = async req => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw invalid('body_too_large');
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) {
+    return {};
+  }
+  if ((req.headers['content-type'] ?? '').includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw invalid('body_invalid');
+  }
+};
+
+const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * Starts an in-process stand-in for the Money Lover API, for tests that want to
+ * exercise real HTTP without the live service. It implements the login flow and
+ * the user, wallet, category and transaction endpoints over in-memory `state`
+ * shared by every account in `users`. Point clients at it with
+ * `{ baseUrl: fake.apiUrl }` and `getToken(email, password, { baseUrl:
+ * fake.apiUrl, oauthUrl: fake.oauthUrl })`.
+ *
+ * `failNext(path, { status, times, headers })` makes the next requests to an
+ * endpoint fail, and `requests` records every request received.
+ */
+export const startFakeMoneyloverServer = async ({
+  host = '127.0.0.1',
+  port = 0,
+  users = [FAKE_USER],
+  wallets = [],
+  categories = [],
+  transactions = [],
+  tokenTtlSeconds = 3600
+} = {}) => {
+  const state = {
+    users: users.map(user => ({ ...user })),
+    wallets: wallets.map(wallet => ({ ...wallet })),
+    categories: categories.map(category => ({ ...category })),
+    transactions: transactions.map(transaction => ({ ...transaction }))
+  };
+  const requestTokens = new Set();
+  const accessTokens = new Map();
+  const idempotentResults = new Map();
+  const failures = new Map();
+  const requests = [];
+  let nextId = 1;
+
+  const createId = prefix => `${prefix}-${nextId++}`;
+
+  const issueAccessToken = email => {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + tokenTtlSeconds;
+    const claims = { sub: email, iat: now, exp, jti: randomBytes(8).toString('hex') };
+    const token = `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(claims)}.fake`;
+    accessTokens.set(token, { email, exp });
+    return { token, exp };
+  };
+
+  const getSession = header => {
+    const match = /^AuthJWT\s+(.+)$/.exec(header ?? '');
+    const session = match ? accessTokens.get(match[1]) : null;
+    return session && session.exp * 1000 > Date.now() ? session : null;
+  };
+
+  const findWallet = walletId => {
+    const wallet = state.wallets.find(item => item._id === walletId);
+    if (!wallet) {
+      throw notFound('wallet');
+    }
+    return wallet;
+  };
+
+  const findCategory = (categoryId, walletId) => {
+    const category = state.categories.find(item => item._id === categoryId && (!walletId || item.account === walletId));
+    if (!category) {
+      throw notFound('category');
+    }
+    return category;
+  };
+
+  const findTransaction = transactionId => {
+    const transaction = state.transactions.find(item => item._id === transactionId);
+    if (!transaction) {
+      throw notFound('transaction');
+    }
+    return transaction;
+  };
+
+  const walletBalance = wallet =>
+    state.transactions
+      .filter(transaction => transaction.account === wallet._id)
+      .reduce((sum, transaction) => {
+        const category = state.categories.find(item => item._id === transaction.category);
+        return sum + (category?.type === 1 ? transaction.amount : -transaction.amount);
+      }, Number(wallet.initialBalance ?? 0));
+
+  // The live API populates category and wallet references in transaction lists.
+  const populateTransaction = transaction => {
+    const category = state.categories.find(item => item._id === transaction.category);
+    const wallet = state.wallets.find(item => item._id === transaction.account);
+    return {
+      ...transaction,
+      category: category
+        ? { _id: category._id, name: category.name, type: category.type, icon: category.icon }
+        : transaction.category,
+      account: wallet ? { _id: wallet._id, name: wallet.name } : transaction.account
+    };
+  };
+
+  const readTransactionFields = body => {
+    const wallet = findWallet(requireField(body, 'account'));
+    const category = findCategory(requireField(body, 'category'), wallet._id);
+    const displayDate = requireField(body, 'displayDate');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(displayDate)) {
+      throw invalid('displayDate_invalid');
+    }
+    return {
+      account: wallet._id,
+      category: category._id,
+      amount: toAmount(body.amount),
+      note: typeof body.note === 'string' ? body.note : '',
+      displayDate,
+      with: Array.isArray(body.with) ? body.with : []
+    };
+  };
+
+  const routes = {
+    '/api/user/info': (_body, { email }) => ({ email }),
+
+    '/api/wallet/list': () => state.wallets.map(wallet => ({ ...wallet, balance: walletBalance(wallet) })),
+
+    '/api/wallet/add': body => {
+      const wallet = {
+        _id: createId('wallet'),
+        name: requireField(body, 'name'),
+        currency_id: Number(body.currency_id ?? 1),
+        icon: body.icon ?? 'icon',
+        exclude_total: Boolean(body.exclude_total),
+        archived: false
+      };
+      state.wallets.push(wallet);
+      return wallet;
+    },
+
+    '/api/wallet/edit': body => {
+      const wallet = findWallet(requireField(body, '_id'));
+      for (const key of ['name', 'currency_id', 'icon', 'exclude_total', 'archived']) {
+        if (typeof body[key] !== 'undefined') {
+          wallet[key] = body[key];
+        }
+      }
+      return wallet;
+    },
+
+    '/api/wallet/delete': body => {
+      const wallet = findWallet(requireField(body, '_id'));
+      state.wallets = state.wallets.filter(item => item !== wallet);
+      state.categories = state.categories.filter(item => item.account !== wallet._id);
+      state.transactions = state.transactions.filter(item => item.account !== wallet._id);
+      return { _id: wallet._id };
+    },
+
+    '/api/category/list': body => {
+      const walletId = requireField(body, 'walletId');
+      findWallet(walletId);
+      return state.categories.filter(category => category.account === walletId);
+    },
+
+    '/api/category/add': body => {
+      const wallet = findWallet(requireField(body, 'account'));
+      const type = Number(body.type);
+      if (type !== 1 && type !== 2) {
+        throw invalid('type_invalid');
+      }
+      const category = {
+        _id: createId('category'),
+        account: wallet._id,
+        name: requireField(body, 'name'),
+        type,
+        icon: body.icon ?? 'icon'
+      };
+      if (body.parent) {
+        category.parent = findCategory(body.parent, wallet._id)._id;
+      }
+      state.categories.push(category);
+      return category;
+    },
+
+    '/api/category/edit': body => {
+      const category = findCategory(requireField(body, '_id'));
+      if (typeof body.name !== 'undefined') {
+        category.name = body.name;
+      }
+      if (typeof body.icon !== 'undefined') {
+        category.icon = body.icon;
+      }
+      if (body.parent === null) {
+        delete category.parent;
+      } else if (typeof body.parent !== 'undefined') {
+        category.parent = findCategory(body.parent, category.account)._id;
+      }
+      return category;
+    },
+
+    '/api/category/delete': body => {
+      const category = findCategory(requireField(body, '_id'));
+      const removed = new Set([category._id, ...state.categories.filter(item => item.parent === category._id).map(item => item._id)]);
+      state.categories = state.categories.filter(item => !removed.has(item._id));
+      state.transactions = state.transactions.filter(item => !removed.has(item.category));
+      return { _id: category._id };
+    },
+
+    '/api/transaction/list': body => {
+      const walletId = requireField(body, 'walletId');
+      const startDate = requireField(body, 'startDate');
+      const endDate = requireField(body, 'endDate');
+      const transactions = state.transactions
+        .filter(
+          transaction =>
+            (walletId === 'all' || transaction.account === walletId) &&
+            transaction.displayDate >= startDate &&
+            transaction.displayDate <= endDate
+        )
+        .map(populateTransaction);
+      return { daterange: { startDate, endDate }, transactions };
+    },
+
+    '/api/transaction/add': (body, { idempotencyKey }) => {
+      if (idempotencyKey && idempotentResults.has(idempotencyKey)) {
+        return idempotentResults.get(idempotencyKey);
+      }
+      const transaction = { _id: createId('transaction'), ...readTransactionFields(body) };
+      state.transactions.push(transaction);
+      const result = populateTransaction(transaction);
+      if (idempotencyKey) {
+        idempotentResults.set(idempotencyKey, result);
+      }
+      return result;
+    },
+
+    '/api/transaction/edit': body => {
+      const transaction = findTransaction(requireField(body, '_id'));
+      Object.assign(transaction, readTransactionFields(body));
+      return populateTransaction(transaction);
+    },
+
+    '/api/transaction/delete': body => {
+      const transaction = findTransaction(requireField(body, '_id'));
+      state.transactions = state.transactions.filter(item => item !== transaction);
+      return { _id: transaction._id };
+    }
+  };
+
+  const handleLoginUrl = (res, baseUrl) => {
+    const requestToken = randomBytes(16).toString('hex');
+    requestTokens.add(requestToken);
+    sendJson(res, 200, { error: 0, data: { request_token: requestToken, login_url: `${baseUrl}/login?client=${CLIENT_ID}` } });
+  };
+
+  const handleToken = (req, res, body) => {
+    const requestToken = /^Bearer\s+(.+)$/.exec(req.headers.authorization ?? '')?.[1];
+    if (!requestToken || !requestTokens.delete(requestToken) || req.headers.client !== CLIENT_ID) {
+      sendJson(res, 400, { error: 'invalid_request' });
+      return;
+    }
+    const user = state.users.find(item => item.email === body.email && item.password === body.password);
+    if (!user) {
+      sendJson(res, 401, { error: 'invalid_grant' });
+      return;
+    }
+    const { token, exp } = issueAccessToken(user.email);
+    sendJson(res, 200, { access_token: token, expire: new Date(exp * 1000).toISOString() });
+  };
+
+  const handle = async (req, res, baseUrl) => {
+    const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: pathname, headers: { ...req.headers }, body });
+
+    const failure = failures.get(pathname);
+    if (failure) {
+      failure.times -= 1;
+      if (failure.times <= 0) {
+        failures.delete(pathname);
+      }
+      res.writeHead(failure.status, { 'Content-Type': 'text/plain', ...failure.headers });
+      res.end(failure.body);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'method_not_allowed' });
+      return;
+    }
+    if (pathname === '/api/user/login-url') {
+      handleLoginUrl(res, baseUrl);
+      return;
+    }
+    if (pathname === '/oauth/token') {
+      handleToken(req, res, body);
+      return;
+    }
+
+    const route = routes[pathname];
+    if (!route) {
+      sendJson(res, 404, { error: 404, msg: 'endpoint_not_found' });
+      return;
+    }
+    const session = getSession(req.headers.authorization);
+    if (!session) {
+      sendJson(res, 200, UNAUTHENTICATED);
+      return;
+    }
+    try {
+      const data = route(body, { email: session.email, idempotencyKey: req.headers['idempotency-key'] });
+      sendJson(res, 200, { error: 0, msg: 'success', data });
+    } catch (error) {
+      if (!(error instanceof FakeApiError)) {
+        throw error;
+      }
+      sendJson(res, 200, { error: error.code, msg: error.message });
+    }
+  };
+
+  let baseUrl = '';
+  const httpServer = http.createServer((req, res) => {
+    handle(req, res, baseUrl).catch(error => {
+      if (!res.headersSent) {
+        const status = error instanceof FakeApiError ? 400 : 500;
+        sendJson(res, status, { error: status, msg: error.message });
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  baseUrl = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+
+  return {
+    url: baseUrl,
+    apiUrl: `${baseUrl}/api`,
+    oauthUrl: `${baseUrl}/oauth/token`,
+    state,
+    requests,
+
+    failNext: (path, { status = 503, times = 1, headers = {}, body = 'Service Unavailable' } = {}) => {
+      failures.set(path.startsWith('/') ? path : `/api/${path}`, { status, times, headers, body });
+    },
+
+    // Lets tests simulate an access token that expired or was revoked.
+    revokeTokens: () => {
+      accessTokens.clear();
+    },
+
+    close: () =>
+      new Promise(resolve => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      })
+  };
+};
+
+export default startFakeMoneyloverServer;
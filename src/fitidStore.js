@@ -0,0 +1,43 @@
+import path from 'node:path';
+import { CACHE_DIR, readJsonFile, writeJsonFile } from './storage.js';
+
+const DEFAULT_PATH = path.join(CACHE_DIR, 'ofx-fitids.json');
+
+/**
+ * File-backed record of the OFX FITIDs already imported into each wallet. Keys
+ * combine the bank account id and the FITID, since FITIDs are only unique per
+ * account.
+ */
+export const createFitidStore = (filePath = DEFAULT_PATH) => {
+  let queue = Promise.resolve();
+
+  const serialize = fn => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const load = async () => {
+    const data = await readJsonFile(filePath, { wallets: {} });
+    return data?.wallets && typeof data.wallets === 'object' ? data : { wallets: {} };
+  };
+
+  return {
+    filePath,
+
+    getImported: walletId =>
+      serialize(async () => {
+        const data = await load();
+        return data.wallets[walletId] ?? {};
+      }),
+
+    record: (walletId, key, info) =>
+      serialize(async () => {
+        const data = await load();
+        data.wallets[walletId] = { ...data.wallets[walletId], [key]: { ...info, importedAt: new Date().toISOString() } };
+        await writeJsonFile(filePath, data);
+      })
+  };
+};
+
+export default createFitidStore;
@@ -0,0 +1,212 @@
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import http from 'node:http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3333;
+export const DEFAULT_HTTP_PATH = '/mcp';
+
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+export class HttpRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpRequestError';
+    this.status = status;
+  }
+}
+
+const digest = value => createHash('sha256').update(String(value)).digest();
+
+// Hashing both sides first keeps the comparison constant-time regardless of
+// the length of the presented token.
+export const isAuthorized = (header, expectedToken) => {
+  if (!expectedToken) {
+    return true;
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(typeof header === 'string' ? header.trim() : '');
+  return Boolean(match) && timingSafeEqual(digest(match[1]), digest(expectedToken));
+};
+
+const sendJsonRpcError = (res, status, message, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+};
+
+const readJsonBody = async req => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpRequestError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpRequestError(400, 'Request body is not valid JSON');
+  }
+};
+
+const isInitializeBody = body => (Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body));
+
+/**
+ * Serves MCP over the Streamable HTTP transport. Every session gets its own MCP
+ * server instance from `createServer`, so protocol state never leaks between
+ * clients; sessions end on DELETE, when the client disconnects, or after
+ * `sessionIdleMs` without requests. Requests must carry `Authorization: Bearer
+ * <authToken>`; running without a token is only allowed on a loopback host.
+ * On a loopback host requests must also name it in their `Host` header, so a web
+ * page cannot reach the server through DNS rebinding.
+ */
+export const startHttpServer = async ({
+  createServer,
+  host = DEFAULT_HTTP_HOST,
+  port = DEFAULT_HTTP_PORT,
+  path = DEFAULT_HTTP_PATH,
+  authToken,
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+  clock = () => Date.now()
+}) => {
+  if (typeof createServer !== 'function') {
+    throw new Error('createServer must be a function returning an MCP server');
+  }
+  if (!authToken && !LOOPBACK_HOSTS.has(host)) {
+    throw new Error(`An HTTP auth token is required when listening on ${host}`);
+  }
+
+  const sessions = new Map();
+  // Filled in once the port is known.
+  const allowedHosts = new Set();
+
+  const closeSession = async sessionId => {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    sessions.delete(sessionId);
+    await session.server.close().catch(() => {});
+  };
+
+  const openSession = async (req, res, body) => {
+    const server = createServer();
+    const session = { server, transport: null, createdAt: new Date(clock()).toISOString(), lastSeenAt: clock() };
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: sessionId => {
+        sessions.set(sessionId, session);
+      }
+    });
+    session.transport.onclose = () => {
+      if (session.transport.sessionId) {
+        sessions.delete(session.transport.sessionId);
+      }
+    };
+    try {
+      await server.connect(session.transport);
+      await session.transport.handleRequest(req, res, body);
+    } finally {
+      if (!sessions.has(session.transport.sessionId)) {
+        await server.close().catch(() => {});
+      }
+    }
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    if (url.pathname !== path) {
+      sendJsonRpcError(res, 404, 'Not found');
+      return;
+    }
+    if (allowedHosts.size > 0 && !allowedHosts.has(req.headers.host?.toLowerCase())) {
+      sendJsonRpcError(res, 403, 'Invalid Host header');
+      return;
+    }
+    if (!isAuthorized(req.headers.authorization, authToken)) {
+      sendJsonRpcError(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer realm="moneylover-mcp"' });
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, 'Session not found');
+        return;
+      }
+      session.lastSeenAt = clock();
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJsonRpcError(res, 400, 'Missing Mcp-Session-Id header');
+      return;
+    }
+    const body = await readJsonBody(req);
+    if (!isInitializeBody(body)) {
+      sendJsonRpcError(res, 400, 'Missing Mcp-Session-Id header');
+      return;
+    }
+    await openSession(req, res, body);
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const status = error instanceof HttpRequestError ? error.status : 500;
+      sendJsonRpcError(res, status, status === 500 ? 'Internal server error' : error.message);
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = clock() - sessionIdleMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeenAt < cutoff) {
+        closeSession(sessionId);
+      }
+    }
+  }, Math.min(sessionIdleMs, 60 * 1000));
+  sweep.unref();
+
+  const address = httpServer.address();
+  if (LOOPBACK_HOSTS.has(host)) {
+    for (const name of ['localhost', '127.0.0.1', '[::1]']) {
+      allowedHosts.add(name);
+      allowedHosts.add(`${name}:${address.port}`);
+    }
+  }
+  const displayHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+  return {
+    httpServer,
+    url: new URL(`http://${displayHost}:${address.port}${path}`),
+    sessions,
+    close: async () => {
+      clearInterval(sweep);
+      await Promise.all([...sessions.keys()].map(closeSession));
+      await new Promise(resolve => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    }
+  };
+};
+
+export default startHttpServer;
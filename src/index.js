@@ -1 +1,5 @@
-export { MoneyloverClient, MoneyloverApiError, CategoryType } from './moneyloverClient.js';
+export { MoneyloverClient, MoneyloverApiError, MoneyloverHttpError, CategoryType } from './moneyloverClient.js';
+export { importTransactionsCsv, parseCsv } from './csvImport.js';
+export { exportTransactions, formatRecords } from './transactionExport.js';
+export { importOfx, parseOfx } from './ofxImport.js';
+export { startFakeMoneyloverServer, FAKE_USER } from './fakeMoneyloverServer.js';
@@ -0,0 +1,33 @@
+// Money Lover access tokens are JWTs. Their claims are read without verifying
+// the signature: they only tell us when to refresh, never whom to trust.
+
+export const decodeJwtClaims = token => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' && !Array.isArray(claims) ? claims : null;
+  } catch {
+    return null;
+  }
+};
+
+const toDate = seconds => (Number.isFinite(seconds) ? new Date(seconds * 1000) : null);
+
+/**
+ * Returns `{ issuedAt, expiresAt }` from the `iat` and `exp` claims of `token`
+ * as Dates, each `null` when the token is not a JWT or lacks the claim.
+ */
+export const getTokenTimes = token => {
+  const claims = decodeJwtClaims(token);
+  return { issuedAt: toDate(claims?.iat), expiresAt: toDate(claims?.exp) };
+};
+
+export const getTokenExpiry = token => getTokenTimes(token).expiresAt;
+
+export default { decodeJwtClaims, getTokenTimes, getTokenExpiry };
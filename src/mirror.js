@@ -0,0 +1,262 @@
+import { addDays, addMonths, getMonthRange, monthsBetween, toDateString } from './dateUtils.js';
+import { extractTransactions, getRefId, getTransactionDate } from './transactions.js';
+
+// A month synced this many days after it ended is considered settled and is not
+// fetched again unless a write through this server marks it stale.
+const DEFAULT_SETTLE_DAYS = 7;
+const DEFAULT_SYNC_MONTHS = 12;
+
+export const CACHE_MODES = Object.freeze(['offline', 'prefer_cache']);
+
+export class MirrorError extends Error {
+  constructor(message, { code, detail } = {}) {
+    super(message);
+    this.name = 'MirrorError';
+    this.code = code ?? null;
+    if (detail) {
+      this.detail = detail;
+    }
+  }
+}
+
+const isStale = entry => Boolean(entry?.staleAt) && (!entry.syncedAt || entry.staleAt >= entry.syncedAt);
+
+// Keeps a stale mark only when a write landed after the fetch started.
+const laterStaleAt = (entry, syncedAt) => (entry?.staleAt && entry.staleAt >= syncedAt ? entry.staleAt : null);
+
+const needsRefresh = (window, month, settleDays) =>
+  !window || isStale(window) || toDateString(window.syncedAt) < addDays(getMonthRange(month).endDate, settleDays);
+
+// Groups consecutive months so that each run is fetched with a single request.
+const contiguousRuns = months => {
+  const runs = [];
+  for (const month of months) {
+    const last = runs.at(-1);
+    if (last && addMonths(`${last.at(-1)}-01`, 1).startsWith(month)) {
+      last.push(month);
+    } else {
+      runs.push([month]);
+    }
+  }
+  return runs;
+};
+
+const getTransactionKey = transaction => getRefId(transaction?._id ?? transaction?.id);
+
+const diffWindow = (previous, next) => {
+  const before = new Map((previous ?? []).map(transaction => [getTransactionKey(transaction), JSON.stringify(transaction)]));
+  const counts = { added: 0, updated: 0, removed: 0 };
+  for (const transaction of next) {
+    const key = getTransactionKey(transaction);
+    if (!before.has(key)) {
+      counts.added += 1;
+    } else if (before.get(key) !== JSON.stringify(transaction)) {
+      counts.updated += 1;
+    }
+    before.delete(key);
+  }
+  counts.removed = before.size;
+  return counts;
+};
+
+/**
+ * Refreshes the mirror for the months overlapping `startDate`..`endDate` (the
+ * last twelve months by default). Wallets and categories are always reloaded;
+ * a transaction window is only fetched when it was never mirrored, was marked
+ * stale by a write, or had not yet settled when it was last synced. `full`
+ * refetches every window in the range.
+ */
+export const syncMirror = async (
+  client,
+  store,
+  { walletIds, startDate, endDate, full = false, settleDays = DEFAULT_SETTLE_DAYS, clock = () => new Date() } = {}
+) => {
+  const syncedAt = clock().toISOString();
+  const end = endDate ?? toDateString(syncedAt);
+  const start = startDate ?? `${addMonths(end, -(DEFAULT_SYNC_MONTHS - 1)).slice(0, 7)}-01`;
+  if (start > end) {
+    throw new Error('startDate must not be after endDate');
+  }
+  const months = monthsBetween(start, end);
+  const current = await store.read();
+
+  const wallets = (await client.getWallets()) ?? [];
+  const ids = Array.isArray(walletIds) && walletIds.length > 0 ? walletIds : wallets.map(wallet => getRefId(wallet)).filter(Boolean);
+
+  const fetched = [];
+  for (const walletId of ids) {
+    const categories = (await client.getCategories(walletId)) ?? [];
+    const existing = current.windows[walletId] ?? {};
+    const due = months.filter(month => full || needsRefresh(existing[month], month, settleDays));
+
+    const windows = {};
+    for (const run of contiguousRuns(due)) {
+      const data = await client.getTransactions(walletId, getMonthRange(run[0]).startDate, getMonthRange(run.at(-1)).endDate);
+      for (const month of run) {
+        windows[month] = [];
+      }
+      for (const transaction of extractTransactions(data)) {
+        windows[getTransactionDate(transaction)?.slice(0, 7)]?.push(transaction);
+      }
+    }
+    fetched.push({ walletId, categories, windows, skipped: months.length - due.length });
+  }
+
+  return store.update(data => {
+    data.wallets = { syncedAt, staleAt: laterStaleAt(data.wallets, syncedAt), items: wallets };
+    if (!(Array.isArray(walletIds) && walletIds.length > 0)) {
+      for (const walletId of new Set([...Object.keys(data.categories), ...Object.keys(data.windows)])) {
+        if (!ids.includes(walletId)) {
+          delete data.categories[walletId];
+          delete data.windows[walletId];
+        }
+      }
+    }
+    const report = [];
+    for (const { walletId, categories, windows, skipped } of fetched) {
+      data.categories[walletId] = { syncedAt, staleAt: laterStaleAt(data.categories[walletId], syncedAt), items: categories };
+      data.windows[walletId] = data.windows[walletId] ?? {};
+
+      const totals = { added: 0, updated: 0, removed: 0 };
+      for (const [month, transactions] of Object.entries(windows)) {
+        const previous = data.windows[walletId][month];
+        const counts = diffWindow(previous?.transactions, transactions);
+        for (const key of Object.keys(totals)) {
+          totals[key] += counts[key];
+        }
+        data.windows[walletId][month] = { syncedAt, staleAt: laterStaleAt(previous, syncedAt), transactions };
+      }
+      const wallet = wallets.find(item => getRefId(item) === walletId);
+      report.push({
+        walletId,
+        name: wallet?.name ?? '',
+        refreshedWindows: Object.keys(windows),
+        skippedWindows: skipped,
+        ...totals
+      });
+    }
+    data.lastSyncAt = syncedAt;
+    return { syncedAt, startDate: start, endDate: end, wallets: report };
+  });
+};
+
+/**
+ * Marks mirrored data as stale after a write. `transactions` entries may carry a
+ * `walletId` and `date` (that month of that wallet, or of every wallet when the
+ * wallet is unknown) and/or a `transactionId` (every window holding it).
+ */
+export const markMirrorStale = async (
+  store,
+  { wallets = false, categories, transactions = [] } = {},
+  { clock = () => new Date() } = {}
+) => {
+  if (!(await store.read()).lastSyncAt) {
+    return;
+  }
+  await store.update(data => {
+    const staleAt = clock().toISOString();
+    if (wallets && data.wallets) {
+      data.wallets.staleAt = staleAt;
+    }
+    if (categories) {
+      for (const [walletId, entry] of Object.entries(data.categories)) {
+        if (categories === true || categories === walletId) {
+          entry.staleAt = staleAt;
+        }
+      }
+    }
+    for (const change of transactions) {
+      const month = toDateString(change.date)?.slice(0, 7);
+      for (const [walletId, windows] of Object.entries(data.windows)) {
+        for (const [key, window] of Object.entries(windows)) {
+          const matchesDate = month === key && (!change.walletId || change.walletId === walletId);
+          const holdsTransaction =
+            change.transactionId && window.transactions.some(transaction => getTransactionKey(transaction) === change.transactionId);
+          if (matchesDate || holdsTransaction) {
+            window.staleAt = staleAt;
+          }
+        }
+      }
+    }
+  });
+};
+
+export const getSyncStatus = async store => {
+  const data = await store.read();
+  const walletNames = new Map((data.wallets?.items ?? []).map(wallet => [getRefId(wallet), wallet.name ?? '']));
+  const walletIds = new Set([...Object.keys(data.categories), ...Object.keys(data.windows)]);
+  return {
+    filePath: store.filePath,
+    lastSyncAt: data.lastSyncAt,
+    walletCount: data.wallets?.items?.length ?? 0,
+    walletsStale: isStale(data.wallets),
+    wallets: [...walletIds].map(walletId => {
+      const windows = Object.entries(data.windows[walletId] ?? {}).sort(([a], [b]) => a.localeCompare(b));
+      return {
+        walletId,
+        name: walletNames.get(walletId) ?? '',
+        categoryCount: data.categories[walletId]?.items?.length ?? 0,
+        transactionCount: windows.reduce((sum, [, window]) => sum + window.transactions.length, 0),
+        windowCount: windows.length,
+        firstMonth: windows[0]?.[0] ?? null,
+        lastMonth: windows.at(-1)?.[0] ?? null,
+        staleWindows: windows.filter(([, window]) => isStale(window)).map(([month]) => month)
+      };
+    })
+  };
+};
+
+/**
+ * Returns a read-only client answering from the mirror. In `offline` mode data
+ * missing from the mirror is an error and stale data is served as-is; in
+ * `prefer_cache` mode anything missing or stale is fetched through `live`, which
+ * receives a callback taking a real client.
+ */
+export const createCachedClient = (store, { mode, live }) => {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`cache must be one of: ${CACHE_MODES.join(', ')}`);
+  }
+  const usable = entry => Boolean(entry) && (mode === 'offline' || !isStale(entry));
+  const fallback = (description, request) => {
+    if (mode === 'offline' || !live) {
+      throw new MirrorError(`${description} is not in the offline mirror; run the sync tool first`, { code: 'NOT_MIRRORED' });
+    }
+    return live(request);
+  };
+
+  return {
+    // Name lookups are cached per token, so each profile's mirror needs its own.
+    token: `mirror:${mode}:${store.filePath}`,
+
+    getWallets: async () => {
+      const data = await store.read();
+      return usable(data.wallets) ? data.wallets.items : fallback('The wallet list', client => client.getWallets());
+    },
+
+    getCategories: async walletId => {
+      const data = await store.read();
+      const entry = data.categories[walletId];
+      return usable(entry)
+        ? entry.items
+        : fallback(`The categories of wallet ${walletId}`, client => client.getCategories(walletId));
+    },
+
+    getTransactions: async (walletId, startDate, endDate) => {
+      const data = await store.read();
+      const windows = data.windows[walletId] ?? {};
+      const months = monthsBetween(startDate, endDate);
+      if (!months.every(month => usable(windows[month]))) {
+        return fallback(`Transactions of wallet ${walletId} from ${startDate} to ${endDate}`, client =>
+          client.getTransactions(walletId, startDate, endDate)
+        );
+      }
+      const transactions = months
+        .flatMap(month => windows[month].transactions)
+        .filter(transaction => {
+          const date = getTransactionDate(transaction);
+          return date >= startDate && date <= endDate;
+        });
+      return { transactions };
+    }
+  };
+};
@@ -0,0 +1,42 @@
+import path from 'node:path';
+import { CACHE_DIR, readJsonFile, writeJsonFile } from './storage.js';
+
+const DEFAULT_PATH = path.join(CACHE_DIR, 'mirror.json');
+
+const emptyMirror = () => ({ lastSyncAt: null, wallets: null, categories: {}, windows: {} });
+
+/**
+ * File-backed offline copy of wallets, categories and transactions. Transactions
+ * are kept per wallet in calendar-month windows (`YYYY-MM`), each stamped with
+ * the time it was fetched and, once a write touches it, the time it went stale.
+ */
+export const createMirrorStore = (filePath = DEFAULT_PATH) => {
+  let queue = Promise.resolve();
+
+  const serialize = fn => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const load = async () => {
+    const data = await readJsonFile(filePath, null);
+    return data && typeof data === 'object' ? { ...emptyMirror(), ...data } : emptyMirror();
+  };
+
+  return {
+    filePath,
+
+    read: () => serialize(load),
+
+    update: fn =>
+      serialize(async () => {
+        const data = await load();
+        const result = await fn(data);
+        await writeJsonFile(filePath, data);
+        return result;
+      })
+  };
+};
+
+export default createMirrorStore;
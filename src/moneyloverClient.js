@@ -1,6 +1,27 @@
-const BASE_URL = 'https://web.moneylover.me/api';
-const LOGIN_URL = `${BASE_URL}/user/login-url`;
-const TOKEN_URL = 'https://oauth.moneylover.me/token';
+import { isTransientError } from './networkErrors.js';
+import { createRateLimiter } from './rateLimiter.js';
+
+export const DEFAULT_BASE_URL = 'https://web.moneylover.me/api';
+export const DEFAULT_OAUTH_URL = 'https://oauth.moneylover.me/token';
+
+const DEFAULT_REQUEST_OPTIONS = Object.freeze({
+  timeoutMs: 30000,
+  retries: 2,
+  retryBaseDelayMs: 300,
+  retryMaxDelayMs: 5000
+});
+
+// Clients are short-lived (one per tool call), so unless a client is given its
+// own limits they all share this limiter.
+const DEFAULT_LIMITS = Object.freeze({ maxConcurrent: 4, maxPerInterval: 10, intervalMs: 1000 });
+let sharedLimiter = null;
+
+const getSharedLimiter = () => {
+  sharedLimiter = sharedLimiter ?? createRateLimiter(DEFAULT_LIMITS);
+  return sharedLimiter;
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 class MoneyloverApiError extends Error {
   constructor(message, { code, detail } = {}) {
@@ -13,6 +34,23 @@ class MoneyloverApiError extends Error {
   }
 }
 
+// Raised for non-2xx HTTP responses; `status` lets callers tell server-side
+// outages (5xx) apart from rejected requests.
+class MoneyloverHttpError extends Error {
+  constructor(message, { status, code, retryAfterMs, detail } = {}) {
+    super(message);
+    this.name = 'MoneyloverHttpError';
+    this.status = status ?? null;
+    this.code = code ?? null;
+    if (typeof retryAfterMs === 'number') {
+      this.retryAfterMs = retryAfterMs;
+    }
+    if (detail) {
+      this.detail = detail;
+    }
+  }
+}
+
 const ensureString = (value, name) => {
   if (typeof value !== 'string' || value.trim() === '') {
     throw new Error(`${name} is required`);
@@ -20,24 +58,49 @@ const ensureString = (value, name) => {
   return value.trim();
 };
 
-const ensureDateString = date => {
+const ensureInteger = (value, name) => {
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(parsed)) {
+    throw new Error(`${name} must be an integer`);
+  }
+  return parsed;
+};
+
+const ensureNonNegativeInteger = (value, name) => {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return value;
+};
+
+const ensureDateString = (date, name = 'date') => {
   if (!date) {
-    throw new Error('date is required');
+    throw new Error(`${name} is required`);
   }
   if (date instanceof Date) {
     if (Number.isNaN(date.getTime())) {
-      throw new Error('date is invalid');
+      throw new Error(`${name} is invalid`);
     }
     return date.toISOString().slice(0, 10);
   }
   if (typeof date === 'string') {
     const trimmed = date.trim();
     if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
-      throw new Error('date must be in YYYY-MM-DD format');
+      throw new Error(`${name} must be in YYYY-MM-DD format`);
     }
     return trimmed;
   }
-  throw new Error('date must be a Date or YYYY-MM-DD string');
+  throw new Error(`${name} must be a Date or YYYY-MM-DD string`);
+};
+
+const ensureCategoryType = type => {
+  if (typeof type === 'string' && Object.hasOwn(CategoryType, type.trim().toUpperCase())) {
+    return CategoryType[type.trim().toUpperCase()];
+  }
+  if (Object.values(CategoryType).includes(type)) {
+    return type;
+  }
+  throw new Error('type must be INCOME or EXPENSE');
 };
 
 const readJson = async response => {
@@ -49,6 +112,83 @@ const readJson = async response => {
   }
 };
 
+const normalizeUrl = (value, name) => {
+  const url = ensureString(value, name);
+  try {
+    new URL(url);
+  } catch {
+    throw new Error(`${name} must be an absolute URL`);
+  }
+  return url.replace(/\/+$/, '');
+};
+
+// Resolved at call time so that replacing the global `fetch` after a client was
+// created still takes effect.
+const resolveFetch = fetchImpl => {
+  if (typeof fetchImpl !== 'undefined' && typeof fetchImpl !== 'function') {
+    throw new Error('fetch must be a function');
+  }
+  return fetchImpl ?? ((...args) => globalThis.fetch(...args));
+};
+
+// Retry-After is either a number of seconds or an HTTP date.
+const parseRetryAfter = value => {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(0, ms) : undefined;
+};
+
+const isRetryableError = error => isTransientError(error) || error?.status === 429;
+
+// A write may already have been applied when its request timed out, lost its
+// connection or failed with most 5xx statuses, and the API is not known to
+// deduplicate on Idempotency-Key. Writes are therefore only repeated after
+// responses that say the request was not processed.
+const isUnprocessedResponse = error => error?.status === 429 || error?.status === 503;
+
+// Exponential backoff with full jitter, never shorter than a Retry-After hint.
+const getRetryDelay = (error, attempt, { retryBaseDelayMs, retryMaxDelayMs, random }) => {
+  const backoff = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1)) * random();
+  return Math.min(retryMaxDelayMs, Math.max(backoff, error?.retryAfterMs ?? 0));
+};
+
+const resolveRequestOptions = (options = {}) => {
+  const resolved = { ...DEFAULT_REQUEST_OPTIONS };
+  for (const key of Object.keys(DEFAULT_REQUEST_OPTIONS)) {
+    if (typeof options[key] !== 'undefined') {
+      resolved[key] = ensureNonNegativeInteger(options[key], key);
+    }
+  }
+
+  const limits = {
+    maxConcurrent: options.maxConcurrentRequests ?? DEFAULT_LIMITS.maxConcurrent,
+    maxPerInterval: options.maxRequestsPerInterval ?? DEFAULT_LIMITS.maxPerInterval,
+    intervalMs: options.rateLimitIntervalMs ?? DEFAULT_LIMITS.intervalMs
+  };
+  const customLimits = ['maxConcurrentRequests', 'maxRequestsPerInterval', 'rateLimitIntervalMs'].some(
+    key => typeof options[key] !== 'undefined'
+  );
+  resolved.limiter = options.limiter ?? (customLimits ? createRateLimiter(limits) : getSharedLimiter());
+  resolved.baseUrl = normalizeUrl(options.baseUrl ?? DEFAULT_BASE_URL, 'baseUrl');
+  resolved.fetch = resolveFetch(options.fetch);
+  resolved.sleep = options.sleep ?? sleep;
+  resolved.random = options.random ?? Math.random;
+  resolved.dryRun = Boolean(options.dryRun);
+  return resolved;
+};
+
+// The request a write would send, minus the Authorization header.
+const describeRequest = (baseUrl, path, { body, headers = {} }) => {
+  let parsedBody = body ?? null;
+  if (headers['Content-Type'] === 'application/json' && typeof body === 'string') {
+    parsedBody = JSON.parse(body);
+  }
+  return { method: 'POST', path, url: `${baseUrl}${path}`, headers: { ...headers }, body: parsedBody };
+};
+
 const parseApiPayload = payload => {
   const errorCode = payload?.error ?? payload?.e ?? 0;
   if (errorCode && errorCode !== 0) {
@@ -58,13 +198,47 @@ const parseApiPayload = payload => {
   return payload?.data ?? null;
 };
 
+const buildTransactionPayload = params => {
+  if (!params || typeof params !== 'object') {
+    throw new Error('params is required');
+  }
+
+  return {
+    with: Array.isArray(params.with) ? params.with : [],
+    account: ensureString(params.walletId ?? params.WalletID, 'walletId'),
+    category: ensureString(params.categoryId ?? params.CategoryID, 'categoryId'),
+    amount: ensureString(params.amount ?? params.Amount, 'amount'),
+    note: typeof params.note === 'string' ? params.note : params.Note ?? '',
+    displayDate: ensureDateString(params.date ?? params.Date)
+  };
+};
+
 export class MoneyloverClient {
-  constructor(token) {
+  #options;
+  #plannedRequests = [];
+
+  /**
+   * `options` can point the client at another API root with `baseUrl` and a
+   * custom `fetch`, and tunes the HTTP layer: `timeoutMs` per attempt (0
+   * disables it), `retries`, `retryBaseDelayMs` and `retryMaxDelayMs` for
+   * retrying reads and idempotency-keyed writes, and `maxConcurrentRequests`,
+   * `maxRequestsPerInterval` and `rateLimitIntervalMs` (or a ready `limiter`)
+   * for client-side throttling. With `dryRun` every write is validated and
+   * recorded in `plannedRequests` instead of being sent; reads still go out.
+   */
+  constructor(token, options = {}) {
     this.token = ensureString(token, 'token');
+    this.#options = resolveRequestOptions(options);
   }
 
-  static async getToken(email, password) {
-    const loginResponse = await fetch(LOGIN_URL, { method: 'POST' });
+  // Writes recorded in dry-run mode, in the order they would have been sent.
+  get plannedRequests() {
+    return this.#plannedRequests.map(request => ({ ...request }));
+  }
+
+  static async getToken(email, password, { baseUrl = DEFAULT_BASE_URL, oauthUrl = DEFAULT_OAUTH_URL, fetch } = {}) {
+    const request = resolveFetch(fetch);
+    const loginResponse = await request(`${normalizeUrl(baseUrl, 'baseUrl')}/user/login-url`, { method: 'POST' });
     if (!loginResponse.ok) {
       throw new Error(`Failed to initiate login: HTTP ${loginResponse.status}`);
     }
@@ -93,7 +267,7 @@ export class MoneyloverClient {
     form.set('email', ensureString(email, 'email'));
     form.set('password', ensureString(password, 'password'));
 
-    const tokenResponse = await fetch(TOKEN_URL, {
+    const tokenResponse = await request(normalizeUrl(oauthUrl, 'oauthUrl'), {
       method: 'POST',
       headers: {
         Authorization: `Bearer ${requestToken}`,
@@ -116,11 +290,72 @@ export class MoneyloverClient {
   }
 
   async getUserInfo() {
-    return this.#post('/user/info');
+    return this.#post('/user/info', { retry: true });
   }
 
   async getWallets() {
-    return this.#post('/wallet/list');
+    return this.#post('/wallet/list', { retry: true });
+  }
+
+  async createWallet(params) {
+    if (!params || typeof params !== 'object') {
+      throw new Error('params is required');
+    }
+
+    const payload = {
+      name: ensureString(params.name, 'name'),
+      currency_id: ensureInteger(params.currencyId, 'currencyId'),
+      icon: typeof params.icon === 'string' && params.icon ? params.icon : 'icon',
+      exclude_total: Boolean(params.excludeTotal)
+    };
+
+    return this.#post('/wallet/add', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
+
+  async editWallet(params) {
+    if (!params || typeof params !== 'object') {
+      throw new Error('params is required');
+    }
+
+    const payload = {
+      _id: ensureString(params.walletId, 'walletId')
+    };
+    if (typeof params.name !== 'undefined') {
+      payload.name = ensureString(params.name, 'name');
+    }
+    if (typeof params.currencyId !== 'undefined') {
+      payload.currency_id = ensureInteger(params.currencyId, 'currencyId');
+    }
+    if (typeof params.icon === 'string' && params.icon) {
+      payload.icon = params.icon;
+    }
+    if (typeof params.excludeTotal === 'boolean') {
+      payload.exclude_total = params.excludeTotal;
+    }
+    if (typeof params.archived === 'boolean') {
+      payload.archived = params.archived;
+    }
+
+    return this.#post('/wallet/edit', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
+
+  async deleteWallet(walletId) {
+    const payload = {
+      _id: ensureString(walletId, 'walletId')
+    };
+    return this.#post('/wallet/delete', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
   }
 
   async getCategories(walletId) {
@@ -128,7 +363,150 @@ export class MoneyloverClient {
     form.set('walletId', ensureString(walletId, 'walletId'));
     return this.#post('/category/list', {
       body: form.toString(),
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      retry: true
+    });
+  }
+
+  async createCategory(params) {
+    if (!params || typeof params !== 'object') {
+      throw new Error('params is required');
+    }
+
+    const payload = {
+      account: ensureString(params.walletId, 'walletId'),
+      name: ensureString(params.name, 'name'),
+      type: ensureCategoryType(params.type),
+      icon: typeof params.icon === 'string' && params.icon ? params.icon : 'icon'
+    };
+    if (params.parentId) {
+      payload.parent = ensureString(params.parentId, 'parentId');
+    }
+
+    return this.#post('/category/add', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
+
+  async editCategory(params) {
+    if (!params || typeof params !== 'object') {
+      throw new Error('params is required');
+    }
+
+    const payload = {
+      _id: ensureString(params.categoryId, 'categoryId')
+    };
+    if (typeof params.name !== 'undefined') {
+      payload.name = ensureString(params.name, 'name');
+    }
+    if (typeof params.icon === 'string' && params.icon) {
+      payload.icon = params.icon;
+    }
+    if (params.parentId === null) {
+      payload.parent = null;
+    } else if (typeof params.parentId !== 'undefined') {
+      payload.parent = ensureString(params.parentId, 'parentId');
+      if (payload.parent === payload._id) {
+        throw new Error('A category cannot be its own parent');
+      }
+    }
+
+    return this.#post('/category/edit', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
+
+  async deleteCategory(categoryId) {
+    const payload = {
+      _id: ensureString(categoryId, 'categoryId')
+    };
+    return this.#post('/category/delete', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
+
+  async getBudgets(walletId) {
+    const form = new URLSearchParams();
+    if (typeof walletId !== 'undefined' && walletId !== null) {
+      form.set('walletId', ensureString(walletId, 'walletId'));
+    }
+    return this.#post('/budget/list', {
+      body: form.toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      retry: true
+    });
+  }
+
+  async createBudget(params) {
+    if (!params || typeof params !== 'object') {
+      throw new Error('params is required');
+    }
+
+    const payload = {
+      account: ensureString(params.walletId, 'walletId'),
+      category: params.categoryId ? ensureString(params.categoryId, 'categoryId') : null,
+      amount: ensureString(params.amount, 'amount'),
+      start_date: ensureDateString(params.startDate, 'startDate'),
+      end_date: ensureDateString(params.endDate, 'endDate')
+    };
+    if (payload.end_date < payload.start_date) {
+      throw new Error('endDate must not be before startDate');
+    }
+
+    return this.#post('/budget/add', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
+
+  async editBudget(params) {
+    if (!params || typeof params !== 'object') {
+      throw new Error('params is required');
+    }
+
+    const payload = {
+      _id: ensureString(params.budgetId, 'budgetId')
+    };
+    if (params.categoryId === null) {
+      payload.category = null;
+    } else if (typeof params.categoryId !== 'undefined') {
+      payload.category = ensureString(params.categoryId, 'categoryId');
+    }
+    if (typeof params.amount !== 'undefined') {
+      payload.amount = ensureString(params.amount, 'amount');
+    }
+    if (typeof params.startDate !== 'undefined') {
+      payload.start_date = ensureDateString(params.startDate, 'startDate');
+    }
+    if (typeof params.endDate !== 'undefined') {
+      payload.end_date = ensureDateString(params.endDate, 'endDate');
+    }
+    if (payload.start_date && payload.end_date && payload.end_date < payload.start_date) {
+      throw new Error('endDate must not be before startDate');
+    }
+
+    return this.#post('/budget/edit', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
+
+  async deleteBudget(budgetId) {
+    const payload = {
+      _id: ensureString(budgetId, 'budgetId')
+    };
+    return this.#post('/budget/delete', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
     });
   }
 
@@ -140,31 +518,70 @@ export class MoneyloverClient {
     };
     return this.#post('/transaction/list', {
       body: JSON.stringify(payload),
-      headers: { 'Content-Type': 'application/json' }
+      headers: { 'Content-Type': 'application/json' },
+      retry: true
     });
   }
 
-  async addTransaction(params) {
-    if (!params || typeof params !== 'object') {
-      throw new Error('params is required');
-    }
+  async addTransaction(params, { idempotencyKey } = {}) {
+    return this.#post('/transaction/add', {
+      body: JSON.stringify(buildTransactionPayload(params)),
+      headers: {
+        'Content-Type': 'application/json',
+        ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+      },
+      retry: idempotencyKey ? isUnprocessedResponse : false,
+      write: true
+    });
+  }
 
+  async editTransaction(params) {
+    const fields = buildTransactionPayload(params);
     const payload = {
-      with: Array.isArray(params.with) ? params.with : [],
-      account: ensureString(params.walletId ?? params.WalletID, 'walletId'),
-      category: ensureString(params.categoryId ?? params.CategoryID, 'categoryId'),
-      amount: ensureString(params.amount ?? params.Amount, 'amount'),
-      note: typeof params.note === 'string' ? params.note : params.Note ?? '',
-      displayDate: ensureDateString(params.date ?? params.Date)
+      _id: ensureString(params.transactionId ?? params.TransactionID, 'transactionId'),
+      ...fields
     };
+    return this.#post('/transaction/edit', {
+      body: JSON.stringify(payload),
+      headers: { 'Content-Type': 'application/json' },
+      write: true
+    });
+  }
 
-    return this.#post('/transaction/add', {
+  async deleteTransaction(transactionId) {
+    const payload = {
+      _id: ensureString(transactionId, 'transactionId')
+    };
+    return this.#post('/transaction/delete', {
       body: JSON.stringify(payload),
-      headers: { 'Content-Type': 'application/json' }
+      headers: { 'Content-Type': 'application/json' },
+      write: true
     });
   }
 
-  async #post(path, { body, headers } = {}) {
+  // Only requests that are safe to repeat set `retry`: `true` for reads, or a
+  // predicate naming the errors after which a write can be repeated. In dry-run
+  // mode writes are recorded instead of sent.
+  async #post(path, { body, headers, retry = false, write = false } = {}) {
+    if (write && this.#options.dryRun) {
+      this.#plannedRequests.push(describeRequest(this.#options.baseUrl, path, { body, headers }));
+      return { dryRun: true };
+    }
+    const attempts = retry ? this.#options.retries + 1 : 1;
+    const canRetry = typeof retry === 'function' ? retry : isRetryableError;
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        return await this.#options.limiter.schedule(() => this.#send(path, { body, headers }));
+      } catch (error) {
+        if (attempt >= attempts || !canRetry(error)) {
+          throw error;
+        }
+        await this.#options.sleep(getRetryDelay(error, attempt, this.#options));
+      }
+    }
+  }
+
+  async #send(path, { body, headers }) {
     const requestHeaders = new Headers({
       Authorization: `AuthJWT ${this.token}`,
       'Cache-Control': 'no-cache, max-age=0, no-store, no-transform, must-revalidate'
@@ -176,23 +593,35 @@ export class MoneyloverClient {
       }
     }
 
-    const response = await fetch(`${BASE_URL}${path}`, {
-      method: 'POST',
-      headers: requestHeaders,
-      body
-    });
+    const { timeoutMs, baseUrl, fetch } = this.#options;
+    try {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: requestHeaders,
+        body,
+        signal: timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : undefined
+      });
 
-    if (!response.ok) {
-      const detail = await response.text();
-      throw new Error(`Money Lover API request failed: HTTP ${response.status} - ${detail}`);
-    }
+      if (!response.ok) {
+        const detail = await response.text();
+        throw new MoneyloverHttpError(`Money Lover API request failed: HTTP ${response.status} - ${detail}`, {
+          status: response.status,
+          retryAfterMs: parseRetryAfter(response.headers?.get('Retry-After'))
+        });
+      }
 
-    const payload = await readJson(response);
-    return parseApiPayload(payload);
+      const payload = await readJson(response);
+      return parseApiPayload(payload);
+    } catch (error) {
+      if (error?.name === 'TimeoutError') {
+        throw new MoneyloverHttpError(`Money Lover API request timed out after ${timeoutMs} ms`, { code: 'ETIMEDOUT' });
+      }
+      throw error;
+    }
   }
 }
 
-export { MoneyloverApiError };
+export { MoneyloverApiError, MoneyloverHttpError, buildTransactionPayload };
 
 export const CategoryType = Object.freeze({
   INCOME: 1,
@@ -0,0 +1,42 @@
+// Error codes Node (and undici, which backs `fetch`) use for connections that
+// failed or dropped before a response arrived.
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+  'UND_ERR_SOCKET'
+]);
+
+/**
+ * True when a request never got a response, so it may or may not have reached
+ * the API.
+ */
+export const isNetworkError = error => {
+  if (!error || typeof error !== 'object') {
+    return false;
+  }
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return true;
+  }
+  if (NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code)) {
+    return true;
+  }
+  return error instanceof TypeError && error.message === 'fetch failed';
+};
+
+export const isServerError = error => typeof error?.status === 'number' && error.status >= 500;
+
+/**
+ * Failures worth retrying later: no response at all, or a 5xx from the API.
+ */
+export const isTransientError = error => isNetworkError(error) || isServerError(error);
+
+export default isTransientError;
@@ -0,0 +1,214 @@
+import { promises as fs } from 'node:fs';
+import { buildTransactionPayload } from './moneyloverClient.js';
+import { matchesCategoryRule } from './csvImport.js';
+import { createFitidStore } from './fitidStore.js';
+import { createLookupCache, normalizeName } from './resolver.js';
+import { extractTransactions, getTransactionAmount, getTransactionDate } from './transactions.js';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = value =>
+  value.replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (match, entity) => {
+    if (entity.startsWith('#x') || entity.startsWith('#X')) {
+      return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    }
+    if (entity.startsWith('#')) {
+      return String.fromCodePoint(Number(entity.slice(1)));
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+// Leaf elements: `<TAG>value` in OFX 1.x SGML, `<TAG>value</TAG>` in OFX 2.x XML.
+// Either way the value runs until the next tag or line break.
+const readElements = block => {
+  const elements = {};
+  for (const [, tag, value] of block.matchAll(/<([A-Z0-9.]+)>([^<\r\n]*)/gi)) {
+    const key = tag.toUpperCase();
+    if (!(key in elements) && value.trim() !== '') {
+      elements[key] = decodeEntities(value.trim());
+    }
+  }
+  return elements;
+};
+
+const readAggregates = (text, tag) =>
+  [...text.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi'))].map(match => match[1]);
+
+const parseOfxDate = value => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value ?? '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const parseOfxAmount = value => {
+  const amount = Number(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Parses OFX 1.x (SGML) and 2.x (XML) bank or credit card statements, including
+ * QFX files. Returns one entry per statement with its account and transactions.
+ */
+export const parseOfx = text => {
+  const source = String(text ?? '');
+  const start = source.search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('Not an OFX document: <OFX> element not found');
+  }
+  const body = source.slice(start);
+
+  const statements = [...readAggregates(body, 'STMTRS'), ...readAggregates(body, 'CCSTMTRS')].map(statement => {
+    const account = readElements(
+      readAggregates(statement, 'BANKACCTFROM')[0] ?? readAggregates(statement, 'CCACCTFROM')[0] ?? ''
+    );
+    const { CURDEF: currency = null } = readElements(statement.replace(/<BANKTRANLIST>[\s\S]*<\/BANKTRANLIST>/i, ''));
+    const transactions = readAggregates(statement, 'STMTTRN').map(block => {
+      const elements = readElements(block);
+      return {
+        fitid: elements.FITID ?? null,
+        type: elements.TRNTYPE ?? null,
+        date: parseOfxDate(elements.DTPOSTED ?? elements.DTUSER),
+        amount: parseOfxAmount(elements.TRNAMT),
+        name: elements.NAME ?? elements.PAYEE ?? '',
+        memo: elements.MEMO ?? ''
+      };
+    });
+    return { accountId: account.ACCTID ?? null, currency, transactions };
+  });
+
+  if (statements.length === 0) {
+    throw new Error('OFX document contains no bank or credit card statement');
+  }
+  return statements;
+};
+
+const buildNote = ({ name, memo }) => {
+  if (name && memo && normalizeName(name) !== normalizeName(memo)) {
+    return `${name} - ${memo}`;
+  }
+  return memo || name;
+};
+
+const isSameTransaction = (existing, entry) =>
+  getTransactionDate(existing) === entry.date &&
+  getTransactionAmount(existing) === Math.abs(entry.amount) &&
+  normalizeName(existing?.note) === normalizeName(entry.note);
+
+/**
+ * Imports OFX statement entries into one wallet. An entry is skipped when its
+ * FITID was imported before, or when a transaction with the same amount, date
+ * and note already exists in the wallet. Imported FITIDs are recorded locally so
+ * overlapping statements can be re-imported safely. Failures are reported per
+ * entry, unless `isFatalError` says the error affects every entry (for example an
+ * expired token), in which case it is thrown.
+ */
+export const importOfx = async (client, options) => {
+  const {
+    filePath,
+    text,
+    walletId,
+    dryRun = false,
+    resolver = createLookupCache(),
+    fitidStore = createFitidStore(),
+    isFatalError = () => false
+  } = options ?? {};
+
+  const source = typeof text === 'string' ? text : await fs.readFile(filePath, 'utf8');
+  const resolvedWalletId = await resolver.resolveWalletId(client, walletId);
+  const entries = parseOfx(source).flatMap(statement =>
+    statement.transactions.map(entry => ({
+      ...entry,
+      accountId: statement.accountId,
+      note: buildNote(entry)
+    }))
+  );
+
+  const dates = entries.map(entry => entry.date).filter(Boolean).sort();
+  const existing =
+    dates.length > 0
+      ? extractTransactions(await client.getTransactions(resolvedWalletId, dates[0], dates[dates.length - 1]))
+      : [];
+  // Updated as entries are handled, so an entry repeated within the file (for
+  // example in concatenated statements) is only imported once.
+  const imported = { ...(await fitidStore.getImported(resolvedWalletId)) };
+  // Each existing transaction can vouch for one statement entry only, so two
+  // identical purchases on the same day are not both treated as already present.
+  const claimed = new Set();
+
+  const results = [];
+  for (const entry of entries) {
+    const key = `${entry.accountId ?? ''}:${entry.fitid ?? ''}`;
+    const base = { fitid: entry.fitid, date: entry.date, amount: entry.amount, note: entry.note };
+    try {
+      if (!entry.date || entry.amount === null || entry.amount === 0) {
+        throw new Error('Entry has no valid date or amount');
+      }
+      if (entry.fitid && imported[key]) {
+        results.push({ ...base, status: 'skipped', reason: 'fitid_imported', transactionId: imported[key].transactionId ?? null });
+        continue;
+      }
+      const duplicate = existing.find(transaction => !claimed.has(transaction) && isSameTransaction(transaction, entry));
+      if (duplicate) {
+        claimed.add(duplicate);
+        const transactionId = duplicate._id ?? duplicate.id ?? null;
+        if (!dryRun && entry.fitid) {
+          await fitidStore.record(resolvedWalletId, key, { transactionId, matchedExisting: true });
+        }
+        if (entry.fitid) {
+          imported[key] = { transactionId, matchedExisting: true };
+        }
+        results.push({ ...base, status: 'skipped', reason: 'existing_transaction', transactionId });
+        continue;
+      }
+
+      const isIncome = entry.amount > 0;
+      const rule = (options.categoryRules ?? []).find(candidate => matchesCategoryRule(candidate, entry.note));
+      const category =
+        rule?.category || options.categoryId || (isIncome ? options.incomeCategoryId : options.expenseCategoryId);
+      if (!category) {
+        throw new Error(`No ${isIncome ? 'income' : 'expense'} category for entry`);
+      }
+      const params = {
+        walletId: resolvedWalletId,
+        categoryId: await resolver.resolveCategoryId(client, resolvedWalletId, category),
+        amount: String(Math.abs(entry.amount)),
+        note: entry.note,
+        date: entry.date
+      };
+      const payload = buildTransactionPayload(params);
+      if (dryRun) {
+        if (entry.fitid) {
+          imported[key] = { transactionId: null };
+        }
+        results.push({ ...base, status: 'preview', payload });
+        continue;
+      }
+
+      const created = await client.addTransaction(params);
+      const transactionId = created?._id ?? created?.id ?? null;
+      if (entry.fitid) {
+        await fitidStore.record(resolvedWalletId, key, { transactionId });
+        imported[key] = { transactionId };
+      }
+      results.push({ ...base, status: 'imported', payload, transactionId });
+    } catch (error) {
+      if (isFatalError(error)) {
+        throw error;
+      }
+      results.push({ ...base, status: 'failed', error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    dryRun,
+    walletId: resolvedWalletId,
+    total: results.length,
+    imported: count('imported'),
+    previewed: count('preview'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    entries: results
+  };
+};
+
+export default importOfx;
@@ -0,0 +1,170 @@
+import { randomUUID } from 'node:crypto';
+import { isNetworkError, isServerError, isTransientError } from './networkErrors.js';
+import { extractTransactions, getTransactionAmount, getTransactionCategoryId } from './transactions.js';
+
+export const OUTBOX_KINDS = Object.freeze(['add_transaction']);
+
+const defaultClock = () => new Date();
+
+const describeError = (error, now) => ({
+  message: error instanceof Error ? error.message : String(error),
+  kind: isNetworkError(error) ? 'network' : isServerError(error) ? 'server' : 'rejected',
+  status: typeof error?.status === 'number' ? error.status : null,
+  at: now.toISOString()
+});
+
+const resolveTarget = async (client, payload, resolver) => {
+  if (!resolver) {
+    return payload;
+  }
+  const walletId = await resolver.resolveWalletId(client, payload.walletId);
+  return { ...payload, walletId, categoryId: await resolver.resolveCategoryId(client, walletId, payload.categoryId) };
+};
+
+// A request that never got a response may still have been applied, so before
+// posting such an item again look for a transaction it would have created.
+const findAppliedTransaction = async (client, params) => {
+  const amount = Math.abs(Number(params.amount));
+  const data = await client.getTransactions(params.walletId, params.date, params.date);
+  return (
+    extractTransactions(data).find(
+      transaction =>
+        getTransactionAmount(transaction) === amount &&
+        getTransactionCategoryId(transaction) === params.categoryId &&
+        (transaction.note ?? '') === (params.note ?? '')
+    ) ?? null
+  );
+};
+
+/**
+ * Performs one queued write. Wallet and category names stored in the payload are
+ * resolved at this point, so writes queued while the API was unreachable still
+ * work.
+ */
+export const executeWrite = async (client, item, { resolver } = {}) => {
+  switch (item.kind) {
+    case 'add_transaction': {
+      const params = await resolveTarget(client, item.payload, resolver);
+      if (item.ambiguous) {
+        const applied = await findAppliedTransaction(client, params);
+        if (applied) {
+          return { alreadyApplied: true, transaction: applied };
+        }
+      }
+      return client.addTransaction(params, { idempotencyKey: item.idempotencyKey });
+    }
+    default:
+      throw new Error(`Unsupported pending write kind: ${item.kind}`);
+  }
+};
+
+/**
+ * Runs a write through `run(item)`, queueing it in `store` when it fails with a
+ * network error or a 5xx response. Repeating a call with the same
+ * `idempotencyKey` returns the queued item or the earlier result instead of
+ * writing twice. Queued items remember their `owner` account; with `queue: false`
+ * (a write whose account the outbox could not replay for) failures are thrown.
+ */
+export const submitWrite = async (
+  store,
+  { kind, payload, idempotencyKey, owner = null },
+  run,
+  { clock = defaultClock, queue = true } = {}
+) => {
+  if (!OUTBOX_KINDS.includes(kind)) {
+    throw new Error(`Unsupported pending write kind: ${kind}`);
+  }
+  if (idempotencyKey) {
+    const { pending, completed } = await store.findByKey(idempotencyKey);
+    if (completed) {
+      return { duplicate: true, idempotencyKey, result: completed.result };
+    }
+    if (pending) {
+      return { queued: true, idempotencyKey, item: pending };
+    }
+  }
+
+  const item = { kind, payload, owner, idempotencyKey: idempotencyKey ?? randomUUID() };
+  try {
+    const result = await run(item);
+    if (idempotencyKey) {
+      await store.complete(idempotencyKey, result);
+    }
+    return result;
+  } catch (error) {
+    if (!queue || !isTransientError(error)) {
+      throw error;
+    }
+    const queued = await store.enqueue({
+      ...item,
+      attempts: 1,
+      ambiguous: isNetworkError(error),
+      lastError: describeError(error, clock())
+    });
+    return {
+      queued: true,
+      idempotencyKey: queued.idempotencyKey,
+      item: queued,
+      message:
+        'The Money Lover API was unreachable or failing; the write was queued and will be replayed by flush_pending_writes or after the next successful request.'
+    };
+  }
+};
+
+const flushLocks = new WeakMap();
+
+// Items queued before owners were recorded belong to whoever flushes them.
+export const isOwnedBy = (item, owner) => owner === undefined || item.owner === undefined || item.owner === owner;
+
+/**
+ * Replays queued writes oldest first. A transient failure stops the flush so
+ * that later items never overtake earlier ones; a rejected write is marked
+ * `failed` and skipped until it is retried with `includeFailed` or discarded.
+ * `isFatalError` aborts the flush (for example on an expired token). With
+ * `owner`, items queued for another account stay queued. Flushes of the same
+ * store are serialized.
+ */
+export const flushOutbox = (
+  client,
+  store,
+  { resolver, owner, includeFailed = false, clock = defaultClock, isFatalError = () => false } = {}
+) => {
+  const previous = flushLocks.get(store) ?? Promise.resolve();
+  const run = previous.then(async () => {
+    const flushed = [];
+    const failed = [];
+    let stopped = false;
+
+    for (const item of await store.list()) {
+      if ((item.status === 'failed' && !includeFailed) || !isOwnedBy(item, owner)) {
+        continue;
+      }
+      try {
+        const result = await executeWrite(client, item, { resolver });
+        await store.complete(item.idempotencyKey, result);
+        flushed.push({ id: item.id, idempotencyKey: item.idempotencyKey, kind: item.kind, payload: item.payload, result });
+      } catch (error) {
+        if (isFatalError(error)) {
+          throw error;
+        }
+        const transient = isTransientError(error);
+        const lastError = describeError(error, clock());
+        await store.update(item.id, {
+          status: transient ? 'pending' : 'failed',
+          attempts: (item.attempts ?? 0) + 1,
+          ambiguous: Boolean(item.ambiguous) || isNetworkError(error),
+          lastError
+        });
+        failed.push({ id: item.id, idempotencyKey: item.idempotencyKey, kind: item.kind, error: lastError.message });
+        if (transient) {
+          stopped = true;
+          break;
+        }
+      }
+    }
+
+    return { flushed, failed, stopped, remaining: (await store.list()).length };
+  });
+  flushLocks.set(store, run.catch(() => {}));
+  return run;
+};
@@ -0,0 +1,98 @@
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { CACHE_DIR, readJsonFile, writeJsonFile } from './storage.js';
+
+const DEFAULT_PATH = path.join(CACHE_DIR, 'outbox.json');
+// Completed idempotency keys are remembered so that a retried tool call with the
+// same key returns the earlier result instead of writing twice.
+const MAX_COMPLETED = 200;
+
+/**
+ * File-backed queue of writes that could not reach the API. Items keep their
+ * insertion order and are unique per idempotency key.
+ */
+export const createOutboxStore = (filePath = DEFAULT_PATH) => {
+  let queue = Promise.resolve();
+
+  const serialize = fn => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const load = async () => {
+    const data = await readJsonFile(filePath, null);
+    return {
+      items: Array.isArray(data?.items) ? data.items : [],
+      completed: Array.isArray(data?.completed) ? data.completed : []
+    };
+  };
+
+  const save = data => writeJsonFile(filePath, data);
+
+  const requireItem = (items, itemId) => {
+    const index = items.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      throw new Error(`Pending write not found: ${itemId}`);
+    }
+    return index;
+  };
+
+  return {
+    filePath,
+
+    list: () => serialize(async () => (await load()).items),
+
+    findByKey: idempotencyKey =>
+      serialize(async () => {
+        const data = await load();
+        return {
+          pending: data.items.find(item => item.idempotencyKey === idempotencyKey) ?? null,
+          completed: data.completed.find(entry => entry.idempotencyKey === idempotencyKey) ?? null
+        };
+      }),
+
+    enqueue: fields =>
+      serialize(async () => {
+        const data = await load();
+        const existing = data.items.find(item => item.idempotencyKey === fields.idempotencyKey);
+        if (existing) {
+          return existing;
+        }
+        const item = { id: randomUUID(), status: 'pending', attempts: 0, ...fields, queuedAt: new Date().toISOString() };
+        data.items.push(item);
+        await save(data);
+        return item;
+      }),
+
+    update: (itemId, patch) =>
+      serialize(async () => {
+        const data = await load();
+        const index = requireItem(data.items, itemId);
+        data.items[index] = { ...data.items[index], ...patch, id: itemId };
+        await save(data);
+        return data.items[index];
+      }),
+
+    remove: itemId =>
+      serialize(async () => {
+        const data = await load();
+        const [removed] = data.items.splice(requireItem(data.items, itemId), 1);
+        await save(data);
+        return removed;
+      }),
+
+    complete: (idempotencyKey, result) =>
+      serialize(async () => {
+        const data = await load();
+        data.items = data.items.filter(item => item.idempotencyKey !== idempotencyKey);
+        data.completed = [
+          { idempotencyKey, result, completedAt: new Date().toISOString() },
+          ...data.completed.filter(entry => entry.idempotencyKey !== idempotencyKey)
+        ].slice(0, MAX_COMPLETED);
+        await save(data);
+      })
+  };
+};
+
+export default createOutboxStore;
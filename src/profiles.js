@@ -0,0 +1,266 @@
+import path from 'node:path';
+import { getTokenExpiry, getTokenTimes } from './jwt.js';
+import { CACHE_DIR } from './storage.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+const DIRECT_TOKEN_ENV_KEYS = ['MONEYLOVER_TOKEN', 'MONEY_LOVER_TOKEN'];
+const PROFILE_ENV_PATTERN = /^MONEYLOVER_PROFILE_([A-Z0-9]+(?:_[A-Z0-9]+)*?)_(EMAIL|PASSWORD|TOKEN)$/;
+const PROFILE_FIELDS = { EMAIL: 'email', PASSWORD: 'password', TOKEN: 'directToken' };
+const PROFILE_NAME_PATTERN = /^[a-z0-9]+(?:[_-][a-z0-9]+)*$/;
+
+export class ProfileError extends Error {
+  constructor(message, { code, detail } = {}) {
+    super(message);
+    this.name = 'ProfileError';
+    this.code = code ?? null;
+    if (detail) {
+      this.detail = detail;
+    }
+  }
+}
+
+export const normalizeProfileName = name => {
+  const normalized = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  if (!PROFILE_NAME_PATTERN.test(normalized)) {
+    throw new ProfileError(`Invalid profile name: ${name}`, { code: 'INVALID_PROFILE' });
+  }
+  return normalized;
+};
+
+const emptyProfile = name => ({ name, email: '', password: '', directToken: '' });
+
+/**
+ * Reads account profiles from the environment. EMAIL/PASSWORD and
+ * MONEYLOVER_TOKEN make up the `default` profile; every
+ * MONEYLOVER_PROFILE_<NAME>_EMAIL, _PASSWORD or _TOKEN variable adds to the
+ * profile `<name>` (lower-cased).
+ */
+export const loadProfiles = (env = process.env) => {
+  const profiles = new Map([
+    [
+      DEFAULT_PROFILE,
+      {
+        name: DEFAULT_PROFILE,
+        email: env.EMAIL?.trim() ?? '',
+        password: env.PASSWORD?.trim() ?? '',
+        directToken: DIRECT_TOKEN_ENV_KEYS.map(key => env[key]?.trim()).find(Boolean) ?? ''
+      }
+    ]
+  ]);
+
+  for (const [key, value] of Object.entries(env)) {
+    const match = PROFILE_ENV_PATTERN.exec(key);
+    if (!match || !value?.trim()) {
+      continue;
+    }
+    const name = match[1].toLowerCase();
+    const profile = profiles.get(name) ?? emptyProfile(name);
+    profile[PROFILE_FIELDS[match[2]]] = value.trim();
+    profiles.set(name, profile);
+  }
+  return profiles;
+};
+
+export const getDefaultProfileName = (env = process.env) =>
+  env.MONEYLOVER_DEFAULT_PROFILE?.trim() ? normalizeProfileName(env.MONEYLOVER_DEFAULT_PROFILE) : DEFAULT_PROFILE;
+
+export const resolveProfile = (profiles, name) => {
+  const profile = profiles.get(normalizeProfileName(name));
+  if (!profile) {
+    throw new ProfileError(`Unknown profile: ${name}`, {
+      code: 'UNKNOWN_PROFILE',
+      detail: { profiles: [...profiles.keys()] }
+    });
+  }
+  return profile;
+};
+
+export const hasCredentials = profile => Boolean(profile.directToken || (profile.email && profile.password));
+
+export const sameCredentials = (a, b) =>
+  a.email === b.email && a.password === b.password && a.directToken === b.directToken;
+
+// Summary safe to show to clients: never includes passwords or tokens.
+export const describeProfile = profile => ({
+  name: profile.name,
+  email: profile.email || null,
+  authentication: profile.directToken ? 'token' : profile.email && profile.password ? 'password' : 'none'
+});
+
+/**
+ * Local files of the default profile stay where they were before profiles
+ * existed; other profiles keep theirs under `profiles/<name>/`.
+ */
+export const getProfileFilePath = (name, fileName) =>
+  name === DEFAULT_PROFILE ? path.join(CACHE_DIR, fileName) : path.join(CACHE_DIR, 'profiles', name, fileName);
+
+export const DEFAULT_REFRESH_SKEW_MS = 5 * 60 * 1000;
+
+export const getRefreshSkewMs = (env = process.env) => {
+  const raw = env.MONEYLOVER_TOKEN_REFRESH_SKEW_SECONDS?.trim();
+  if (!raw) {
+    return DEFAULT_REFRESH_SKEW_MS;
+  }
+  const seconds = Number(raw);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid MONEYLOVER_TOKEN_REFRESH_SKEW_SECONDS: ${raw}`);
+  }
+  return seconds * 1000;
+};
+
+/**
+ * Authentication state of one profile. The token comes from the profile's
+ * MONEYLOVER_TOKEN variable, the token cache or a fresh `login`, in that order;
+ * concurrent callers share a single login. A token whose JWT `exp` claim falls
+ * within `refreshSkewMs` is replaced before it is used.
+ */
+export const createProfileSession = (
+  profile,
+  { login, readToken, writeToken, removeToken, refreshSkewMs = DEFAULT_REFRESH_SKEW_MS, now = Date.now }
+) => {
+  const cacheOptions = { profile: profile.name };
+  let cachedToken = '';
+  let tokenPromise = null;
+  let cacheLoaded = false;
+  // Where the current token came from and when this process obtained it.
+  let source = null;
+  let obtainedAt = null;
+
+  const adopt = (token, from) => {
+    cachedToken = token;
+    source = token ? from : null;
+    obtainedAt = token ? new Date(now()) : null;
+  };
+
+  const expiresWithinSkew = token => {
+    const expiresAt = getTokenExpiry(token);
+    return Boolean(expiresAt) && expiresAt.getTime() - refreshSkewMs <= now();
+  };
+
+  const isExpired = token => {
+    const expiresAt = getTokenExpiry(token);
+    return Boolean(expiresAt) && expiresAt.getTime() <= now();
+  };
+
+  const loginAndCache = () => {
+    if (!tokenPromise) {
+      tokenPromise = login(profile.email, profile.password)
+        .then(async token => {
+          try {
+            await writeToken(profile.email, token, cacheOptions);
+          } catch (error) {
+            console.warn('Failed to persist Money Lover token:', error);
+          }
+          adopt(token, 'login');
+          cacheLoaded = true;
+          tokenPromise = null;
+          return token;
+        })
+        .catch(error => {
+          tokenPromise = null;
+          throw error;
+        });
+    }
+    return tokenPromise;
+  };
+
+  const loadCache = async () => {
+    if (cacheLoaded) {
+      return;
+    }
+    try {
+      adopt((await readToken(profile.email, cacheOptions)) ?? '', 'cache');
+    } catch (error) {
+      // A cache that cannot be decrypted is a configuration problem the caller
+      // has to see, not something to paper over with a new login.
+      if (error?.name === 'TokenCacheError') {
+        throw error;
+      }
+      console.warn('Failed to read cached Money Lover token:', error);
+    }
+    cacheLoaded = true;
+  };
+
+  const getToken = async (forceRefresh = false) => {
+    if (profile.directToken) {
+      return profile.directToken;
+    }
+    if (!profile.email || !profile.password) {
+      // Only a token adopted from the login tool can be used.
+      if (forceRefresh || isExpired(cachedToken)) {
+        adopt('', null);
+      }
+      return cachedToken || null;
+    }
+
+    if (forceRefresh) {
+      adopt('', null);
+      tokenPromise = null;
+      cacheLoaded = false;
+      try {
+        await removeToken(profile.email, cacheOptions);
+      } catch (error) {
+        console.warn('Failed to clear cached Money Lover token:', error);
+      }
+    }
+    await loadCache();
+    if (cachedToken && !expiresWithinSkew(cachedToken)) {
+      return cachedToken;
+    }
+    if (cachedToken && !isExpired(cachedToken)) {
+      // Refresh ahead of expiry, but keep using the current token if the login
+      // fails while it is still valid.
+      const current = cachedToken;
+      return loginAndCache().catch(error => {
+        console.warn('Failed to refresh Money Lover token ahead of expiry:', error);
+        return current;
+      });
+    }
+    return loginAndCache();
+  };
+
+  // Reports on the current token without logging in.
+  const getStatus = async () => {
+    if (!profile.directToken && profile.email && profile.password) {
+      await loadCache();
+    }
+    const token = profile.directToken || cachedToken;
+    const { issuedAt, expiresAt } = getTokenTimes(token);
+    const since = issuedAt ?? (profile.directToken ? null : obtainedAt);
+    return {
+      ...describeProfile(profile),
+      hasToken: Boolean(token),
+      source: profile.directToken ? 'environment' : source,
+      issuedAt: issuedAt?.toISOString() ?? null,
+      obtainedAt: profile.directToken ? null : obtainedAt?.toISOString() ?? null,
+      expiresAt: expiresAt?.toISOString() ?? null,
+      ageSeconds: token && since ? Math.max(0, Math.round((now() - since.getTime()) / 1000)) : null,
+      expiresInSeconds: token && expiresAt ? Math.round((expiresAt.getTime() - now()) / 1000) : null,
+      expired: token ? isExpired(token) : null,
+      refreshDue: token ? expiresWithinSkew(token) : null,
+      refreshSkewSeconds: Math.round(refreshSkewMs / 1000)
+    };
+  };
+
+  return {
+    name: profile.name,
+    profile,
+    getToken,
+    getStatus,
+
+    // Adopts a token obtained through the login tool.
+    setToken: token => {
+      adopt(token, 'login');
+      cacheLoaded = true;
+      tokenPromise = null;
+    },
+
+    // Forgets the in-memory token after its cache entry was wiped.
+    clearToken: () => {
+      adopt('', null);
+      cacheLoaded = false;
+      tokenPromise = null;
+    }
+  };
+};
@@ -0,0 +1,80 @@
+import { getMonthRange, toDateString } from './dateUtils.js';
+
+const lines = (...parts) => parts.join('\n');
+
+/**
+ * Review of one wallet over a calendar month against the month before. All
+ * figures come from server-side tools so the model never adds numbers itself.
+ */
+export const buildMonthlyReviewPrompt = ({ walletId, month, reportingCurrency }) => {
+  const { startDate, endDate } = getMonthRange(month);
+  const currency = reportingCurrency ? `, reportingCurrency: "${reportingCurrency}"` : '';
+  return lines(
+    `Prepare a monthly review of the Money Lover wallet "${walletId}" for ${month} (${startDate} to ${endDate}).`,
+    '',
+    'Steps:',
+    `1. Call summarize_transactions with walletId: "${walletId}", startDate: "${startDate}", endDate: "${endDate}", groupBy: "parentCategory", compareWith: "previous_period"${currency}.`,
+    `2. Call summarize_transactions again with groupBy: "week" for the same wallet and dates${currency} to see how spending was spread over the month.`,
+    `3. Call get_budget_status with walletId: "${walletId}" to check the budgets running in this period.`,
+    `4. Call find_duplicate_transactions with walletId: "${walletId}", startDate: "${startDate}", endDate: "${endDate}" and mention any likely duplicates; do not delete anything.`,
+    '',
+    'Then write the review:',
+    '- Income, expenses and net for the month, with the change against the previous month.',
+    '- The five largest expense categories and the categories that grew the most.',
+    '- Budgets that are over or projected to overspend.',
+    '- Two or three concrete, specific suggestions for next month.',
+    '',
+    'Use only the figures returned by the tools; do not recompute totals yourself. Keep amounts in the currency the tools report.'
+  );
+};
+
+/**
+ * Turns free text such as a receipt or a chat message into one or more
+ * transactions, confirming with the user before anything is written.
+ */
+export const buildCategorizeAndLogPrompt = ({ text, walletId, today = new Date() }) =>
+  lines(
+    'Log the following expense or income in Money Lover:',
+    '',
+    '"""',
+    text,
+    '"""',
+    '',
+    'Steps:',
+    walletId
+      ? `1. Use the wallet "${walletId}".`
+      : '1. Call get_wallets and pick the wallet the text refers to; if it is unclear, ask which wallet to use.',
+    '2. Call get_category_tree for that wallet and choose the most specific matching category (for example "Food > Restaurants" rather than "Food").',
+    `3. Extract the amount (a positive number without currency symbols or thousands separators), the date in YYYY-MM-DD format (default to ${toDateString(today)} when the text has none), a short note, and any people involved for the "with" field.`,
+    '4. If the text lists several separate purchases, prepare one transaction per purchase; otherwise prepare a single transaction for the total.',
+    '5. Show the prepared transactions (wallet, category path, amount, date, note, with) and ask for confirmation.',
+    '6. After confirmation, call add_transaction once per transaction and report the created transaction identifiers.',
+    '',
+    'Never guess a category that does not exist; if nothing fits, say so and suggest creating one with create_category.'
+  );
+
+/**
+ * Budget health check across one wallet or every wallet, ending in an
+ * explanation of where the money went.
+ */
+export const buildBudgetCheckupPrompt = ({ walletId, today = new Date() } = {}) => {
+  const endDate = toDateString(today);
+  const startDate = `${endDate.slice(0, 7)}-01`;
+  const scope = walletId ? `the wallet "${walletId}"` : 'all wallets';
+  const walletArgument = walletId ? `walletId: "${walletId}", ` : '';
+  return lines(
+    `Run a budget checkup for ${scope} as of ${endDate}.`,
+    '',
+    'Steps:',
+    `1. Call get_budget_status${walletId ? ` with walletId: "${walletId}"` : ''}.`,
+    `2. Call summarize_transactions with ${walletArgument}startDate: "${startDate}", endDate: "${endDate}", groupBy: "category" to see where the money went this month.`,
+    '3. For every budget that is over, or whose projected overspend date falls before its end date, call get_transactions for its wallet and period and identify the largest expenses behind it.',
+    '',
+    'Then report:',
+    '- A table of budgets with amount, spent, remaining and percentage used, worst first.',
+    '- For each budget at risk, the expenses driving it and how much could still be spent per day to stay within it.',
+    '- Spending categories without a budget that account for a large share of expenses, with a suggested budget amount.',
+    '',
+    'Use only the figures returned by the tools and do not create or change budgets unless asked.'
+  );
+};
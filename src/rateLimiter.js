@@ -0,0 +1,69 @@
+const ensureLimit = (value, name) => {
+  if (value === Infinity || (Number.isInteger(value) && value > 0)) {
+    return value;
+  }
+  throw new Error(`${name} must be a positive integer`);
+};
+
+/**
+ * Runs scheduled tasks with at most `maxConcurrent` in flight and at most
+ * `maxPerInterval` started within any `intervalMs` window. Tasks start in the
+ * order they were scheduled.
+ */
+export const createRateLimiter = ({ maxConcurrent = Infinity, maxPerInterval = Infinity, intervalMs = 1000 } = {}) => {
+  ensureLimit(maxConcurrent, 'maxConcurrent');
+  ensureLimit(maxPerInterval, 'maxPerInterval');
+  ensureLimit(intervalMs, 'intervalMs');
+
+  const waiting = [];
+  const starts = [];
+  let active = 0;
+  let timer = null;
+
+  const pump = () => {
+    while (waiting.length > 0 && active < maxConcurrent) {
+      const now = Date.now();
+      while (starts.length > 0 && starts[0] <= now - intervalMs) {
+        starts.shift();
+      }
+      if (starts.length >= maxPerInterval) {
+        if (!timer) {
+          timer = setTimeout(() => {
+            timer = null;
+            pump();
+          }, starts[0] + intervalMs - now);
+        }
+        return;
+      }
+
+      const { task, resolve, reject } = waiting.shift();
+      starts.push(now);
+      active += 1;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+  };
+
+  return {
+    schedule: task =>
+      new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        pump();
+      }),
+
+    get active() {
+      return active;
+    },
+
+    get pending() {
+      return waiting.length;
+    }
+  };
+};
+
+export default createRateLimiter;
@@ -0,0 +1,211 @@
+import { addDays, addMonths, toDateString } from './dateUtils.js';
+
+export const RecurrenceFrequency = Object.freeze({
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY',
+  YEARLY: 'YEARLY'
+});
+
+const defaultClock = () => new Date();
+
+const requireText = (value, name) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${name} is required`);
+  }
+  return value.trim();
+};
+
+const requireDate = (value, name) => {
+  const date = toDateString(value);
+  if (!date) {
+    throw new Error(`${name} must be in YYYY-MM-DD format`);
+  }
+  return date;
+};
+
+const occurrenceAt = (rule, index) => {
+  const step = index * rule.interval;
+  switch (rule.frequency) {
+    case RecurrenceFrequency.DAILY:
+      return addDays(rule.startDate, step);
+    case RecurrenceFrequency.WEEKLY:
+      return addDays(rule.startDate, step * 7);
+    case RecurrenceFrequency.MONTHLY:
+      return addMonths(rule.startDate, step);
+    case RecurrenceFrequency.YEARLY:
+      return addMonths(rule.startDate, step * 12);
+    default:
+      throw new Error(`Unsupported frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Walks the occurrences of a rule in order, honouring its `count` and `endDate`
+ * end conditions. Iteration stops once an occurrence passes `until`.
+ */
+function* iterateOccurrences(rule, until) {
+  for (let index = 0; ; index += 1) {
+    if (rule.count && index >= rule.count) {
+      return;
+    }
+    const date = occurrenceAt(rule, index);
+    if ((rule.endDate && date > rule.endDate) || (until && date > until)) {
+      return;
+    }
+    yield date;
+  }
+}
+
+/**
+ * Returns the occurrences of `rule` that are due on or before `today` and have not
+ * been posted yet, i.e. fall after `rule.lastOccurrence`.
+ */
+export const getDueOccurrences = (rule, today) =>
+  [...iterateOccurrences(rule, today)].filter(date => !rule.lastOccurrence || date > rule.lastOccurrence);
+
+export const getNextOccurrence = (rule, today) => {
+  for (const date of iterateOccurrences(rule)) {
+    if (date > today && (!rule.lastOccurrence || date > rule.lastOccurrence)) {
+      return date;
+    }
+  }
+  return null;
+};
+
+export const normalizeRecurringRule = params => {
+  if (!params || typeof params !== 'object') {
+    throw new Error('params is required');
+  }
+
+  const frequency = String(params.frequency ?? '').toUpperCase();
+  if (!Object.hasOwn(RecurrenceFrequency, frequency)) {
+    throw new Error('frequency must be one of DAILY, WEEKLY, MONTHLY or YEARLY');
+  }
+  const interval = params.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('interval must be a positive integer');
+  }
+  const count = params.count ?? null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new Error('count must be a positive integer');
+  }
+
+  const startDate = requireDate(params.startDate, 'startDate');
+  const endDate = params.endDate ? requireDate(params.endDate, 'endDate') : null;
+  if (endDate && endDate < startDate) {
+    throw new Error('endDate must not be before startDate');
+  }
+
+  return {
+    name: typeof params.name === 'string' ? params.name.trim() : '',
+    walletId: requireText(params.walletId, 'walletId'),
+    categoryId: requireText(params.categoryId, 'categoryId'),
+    amount: requireText(params.amount, 'amount'),
+    note: typeof params.note === 'string' ? params.note : '',
+    with: Array.isArray(params.with) ? params.with : [],
+    frequency,
+    interval,
+    startDate,
+    endDate,
+    count,
+    paused: false,
+    lastOccurrence: null,
+    postedCount: 0,
+    lastRunAt: null
+  };
+};
+
+export const createRecurringRule = (store, params) => store.add(normalizeRecurringRule(params));
+
+export const listRecurringRules = async (store, { clock = defaultClock } = {}) => {
+  const today = toDateString(clock());
+  const rules = await store.list();
+  return rules.map(rule => ({
+    ...rule,
+    nextOccurrence: rule.paused ? null : getNextOccurrence(rule, today),
+    dueCount: rule.paused ? 0 : getDueOccurrences(rule, today).length
+  }));
+};
+
+/**
+ * Pauses or resumes a rule. By default, resuming skips the occurrences that fell
+ * due while the rule was paused so they are not posted retroactively.
+ */
+export const setRecurringRulePaused = (store, ruleId, paused, { skipMissed = true, clock = defaultClock } = {}) =>
+  store.update(ruleId, rule => {
+    if (paused || !rule.paused || !skipMissed) {
+      return { paused: Boolean(paused) };
+    }
+    const missed = getDueOccurrences(rule, toDateString(clock()));
+    return {
+      paused: false,
+      lastOccurrence: missed.length > 0 ? missed[missed.length - 1] : rule.lastOccurrence
+    };
+  });
+
+export const deleteRecurringRule = (store, ruleId) => store.remove(ruleId);
+
+const getTransactionId = result => result?._id ?? result?.id ?? null;
+
+const runLocks = new WeakMap();
+
+/**
+ * Posts every due occurrence of every active rule through `client.addTransaction`.
+ * Progress is persisted after each posted occurrence, so an occurrence is never
+ * posted twice even when a later write fails. A failure stops the affected rule
+ * for this run while the other rules continue, unless `isFatalError` says the
+ * whole run should abort (for example on an expired token). With `dryRun` progress
+ * is not persisted, for use with a dry-run client. Runs against the same store
+ * are serialized.
+ */
+export const runDueRecurring = (
+  client,
+  store,
+  { clock = defaultClock, isFatalError = () => false, dryRun = false } = {}
+) => {
+  const previous = runLocks.get(store) ?? Promise.resolve();
+  const run = previous.then(async () => {
+    const now = clock();
+    const today = toDateString(now);
+    const posted = [];
+    const failed = [];
+
+    for (const rule of await store.list()) {
+      if (rule.paused) {
+        continue;
+      }
+      for (const date of getDueOccurrences(rule, today)) {
+        let result;
+        try {
+          result = await client.addTransaction({
+            walletId: rule.walletId,
+            categoryId: rule.categoryId,
+            amount: rule.amount,
+            note: rule.note,
+            date,
+            with: rule.with
+          });
+        } catch (error) {
+          if (isFatalError(error)) {
+            throw error;
+          }
+          failed.push({ ruleId: rule.id, date, error: error instanceof Error ? error.message : String(error) });
+          break;
+        }
+        if (!dryRun) {
+          await store.update(rule.id, current => ({
+            lastOccurrence: date,
+            postedCount: (current.postedCount ?? 0) + 1,
+            lastRunAt: now.toISOString()
+          }));
+        }
+        posted.push({ ruleId: rule.id, date, transactionId: getTransactionId(result) });
+      }
+    }
+
+    return { ranAt: now.toISOString(), posted, failed };
+  });
+  runLocks.set(store, run.catch(() => {}));
+  return run;
+};
@@ -0,0 +1,77 @@
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { CACHE_DIR, readJsonFile, writeJsonFile } from './storage.js';
+
+const DEFAULT_PATH = path.join(CACHE_DIR, 'recurring.json');
+
+/**
+ * File-backed store of recurring transaction rules. Every mutation runs through a
+ * single promise chain so that concurrent tool calls never interleave writes.
+ */
+export const createRecurringStore = (filePath = DEFAULT_PATH) => {
+  let queue = Promise.resolve();
+
+  const serialize = fn => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const load = async () => {
+    const data = await readJsonFile(filePath, { rules: [] });
+    return Array.isArray(data?.rules) ? data.rules : [];
+  };
+
+  const save = rules => writeJsonFile(filePath, { rules });
+
+  const requireRule = (rules, ruleId) => {
+    const index = rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) {
+      throw new Error(`Recurring rule not found: ${ruleId}`);
+    }
+    return index;
+  };
+
+  return {
+    filePath,
+
+    list: () => serialize(load),
+
+    get: ruleId =>
+      serialize(async () => {
+        const rules = await load();
+        return rules[requireRule(rules, ruleId)];
+      }),
+
+    add: fields =>
+      serialize(async () => {
+        const rules = await load();
+        const timestamp = new Date().toISOString();
+        const rule = { id: randomUUID(), ...fields, createdAt: timestamp, updatedAt: timestamp };
+        rules.push(rule);
+        await save(rules);
+        return rule;
+      }),
+
+    update: (ruleId, changes) =>
+      serialize(async () => {
+        const rules = await load();
+        const index = requireRule(rules, ruleId);
+        const current = rules[index];
+        const patch = typeof changes === 'function' ? changes(current) : changes;
+        rules[index] = { ...current, ...patch, id: current.id, updatedAt: new Date().toISOString() };
+        await save(rules);
+        return rules[index];
+      }),
+
+    remove: ruleId =>
+      serialize(async () => {
+        const rules = await load();
+        const [removed] = rules.splice(requireRule(rules, ruleId), 1);
+        await save(rules);
+        return removed;
+      })
+  };
+};
+
+export default createRecurringStore;
@@ -0,0 +1,184 @@
+import { buildCategoryTree } from './categories.js';
+import { getRefId } from './transactions.js';
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const FUZZY_THRESHOLD = 0.7;
+const MAX_CANDIDATES = 10;
+// Money Lover identifiers are Mongo ObjectIds; unknown ones are passed through
+// untouched so that wallets shared with the user still work.
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+export class NameResolutionError extends Error {
+  constructor(message, { code, detail } = {}) {
+    super(message);
+    this.name = 'NameResolutionError';
+    this.code = code ?? null;
+    if (detail) {
+      this.detail = detail;
+    }
+  }
+}
+
+export const normalizeName = value =>
+  String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions,
+// so that "Cahs" is one edit away from "Cash".
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) {
+    rows[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+};
+
+const toCandidate = (option, score) => ({ id: option.id, name: option.label, score: Math.round(score * 100) / 100 });
+
+/**
+ * Resolves `query` against `options` (`{ id, names, label }`): an exact or
+ * well-formed identifier wins, then a case-insensitive name, then a unique substring match, then
+ * the closest fuzzy match. Ambiguous or unknown queries raise a
+ * NameResolutionError whose detail lists the candidates.
+ */
+export const resolveByName = (options, query, { kind }) => {
+  const raw = typeof query === 'string' ? query.trim() : '';
+  if (!raw) {
+    throw new Error(`${kind} is required`);
+  }
+  const byId = options.find(option => option.id === raw);
+  if (byId) {
+    return byId.id;
+  }
+  if (OBJECT_ID_PATTERN.test(raw)) {
+    return raw;
+  }
+
+  const needle = normalizeName(raw);
+  const scored = options.map(option => {
+    const names = option.names.map(normalizeName);
+    const exact = names.includes(needle);
+    const partial = names.some(name => name.includes(needle));
+    const score = Math.max(...names.map(name => similarity(needle, name)));
+    return { option, exact, partial, score };
+  });
+
+  const pick = (matches, reason) => {
+    if (matches.length === 1) {
+      return matches[0].option.id;
+    }
+    throw new NameResolutionError(`${kind} "${raw}" is ambiguous (${reason})`, {
+      code: 'AMBIGUOUS_NAME',
+      detail: {
+        kind,
+        query: raw,
+        candidates: matches.slice(0, MAX_CANDIDATES).map(match => toCandidate(match.option, match.score))
+      }
+    });
+  };
+
+  const exact = scored.filter(entry => entry.exact);
+  if (exact.length > 0) {
+    return pick(exact, 'several exact matches');
+  }
+  const partial = scored.filter(entry => entry.partial);
+  if (partial.length > 0) {
+    return pick(partial, 'several partial matches');
+  }
+
+  const fuzzy = scored.filter(entry => entry.score >= FUZZY_THRESHOLD).sort((a, b) => b.score - a.score);
+  if (fuzzy.length === 1 || (fuzzy.length > 1 && fuzzy[0].score > fuzzy[1].score)) {
+    return fuzzy[0].option.id;
+  }
+  if (fuzzy.length > 1) {
+    return pick(
+      fuzzy.filter(entry => entry.score === fuzzy[0].score),
+      'several equally close matches'
+    );
+  }
+
+  throw new NameResolutionError(`Unknown ${kind} "${raw}"`, {
+    code: 'UNKNOWN_NAME',
+    detail: {
+      kind,
+      query: raw,
+      candidates: [...scored]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES)
+        .map(entry => toCandidate(entry.option, entry.score))
+    }
+  });
+};
+
+const walletOptions = wallets =>
+  (Array.isArray(wallets) ? wallets : [])
+    .map(wallet => ({ id: getRefId(wallet), label: wallet?.name ?? '', names: [wallet?.name ?? ''] }))
+    .filter(option => option.id);
+
+const categoryOptions = categories => {
+  const options = [];
+  const visit = nodes => {
+    for (const node of nodes) {
+      options.push({ id: node._id, label: node.path, names: [node.name, node.path] });
+      visit(node.children);
+    }
+  };
+  visit(buildCategoryTree(categories));
+  return options;
+};
+
+/**
+ * Short-lived, per-token cache of wallet and category lists used for name
+ * resolution, so resolving a name does not cost an extra API call every time.
+ */
+export const createLookupCache = ({ ttlMs = DEFAULT_TTL_MS, clock = () => Date.now() } = {}) => {
+  const entries = new Map();
+
+  const cached = async (key, load) => {
+    const hit = entries.get(key);
+    if (hit && clock() - hit.storedAt < ttlMs) {
+      return hit.value;
+    }
+    const value = (await load()) ?? [];
+    entries.set(key, { value, storedAt: clock() });
+    return value;
+  };
+
+  const getWallets = client => cached(`${client.token}:wallets`, () => client.getWallets());
+
+  const getCategories = (client, walletId) =>
+    cached(`${client.token}:categories:${walletId}`, () => client.getCategories(walletId));
+
+  return {
+    getWallets,
+    getCategories,
+
+    resolveWalletId: async (client, query) =>
+      resolveByName(walletOptions(await getWallets(client)), query, { kind: 'wallet' }),
+
+    resolveCategoryId: async (client, walletId, query) => {
+      const categories = await getCategories(client, walletId);
+      return resolveByName(categoryOptions(categories), query, { kind: 'category' });
+    },
+
+    invalidate: () => entries.clear()
+  };
+};
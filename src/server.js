@@ -1,13 +1,57 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { MoneyloverClient, MoneyloverApiError } from './moneyloverClient.js';
-import { readToken, writeToken, removeToken } from './tokenCache.js';
+import { startHttpServer } from './httpServer.js';
+import { resolveServerOptions } from './serverOptions.js';
+import { READ_ONLY, createToolFilter } from './toolPolicy.js';
+import { MoneyloverClient, MoneyloverApiError, CategoryType } from './moneyloverClient.js';
+import { clearTokens, readToken, writeToken, removeToken } from './tokenCache.js';
+import {
+  DEFAULT_PROFILE,
+  createProfileSession,
+  describeProfile,
+  getDefaultProfileName,
+  getProfileFilePath,
+  getRefreshSkewMs,
+  ProfileError,
+  hasCredentials,
+  loadProfiles,
+  resolveProfile,
+  sameCredentials
+} from './profiles.js';
+import { transferBetweenWallets } from './transfers.js';
+import { buildCategoryTree } from './categories.js';
+import { buildBudgetCheckupPrompt, buildCategorizeAndLogPrompt, buildMonthlyReviewPrompt } from './prompts.js';
+import { addMonths, getMonthRange, toDateString } from './dateUtils.js';
+import { getRefId } from './transactions.js';
+import { getBudgetStatuses } from './budgets.js';
+import { GROUP_BY_DIMENSIONS, getTransactionSummary } from './analytics.js';
+import { createLookupCache } from './resolver.js';
+import { importTransactionsCsv } from './csvImport.js';
+import { EXPORT_FORMATS, exportTransactions } from './transactionExport.js';
+import { importOfx } from './ofxImport.js';
+import { createFitidStore } from './fitidStore.js';
+import { createExchangeRateStore } from './exchangeRateStore.js';
+import { createMirrorStore } from './mirrorStore.js';
+import { createOutboxStore } from './outboxStore.js';
+import { executeWrite, flushOutbox, isOwnedBy, submitWrite } from './outbox.js';
+import { CACHE_MODES, createCachedClient, getSyncStatus, markMirrorStale, syncMirror } from './mirror.js';
+import { convertWalletBalances, createCurrencyConverter, normalizeExchangeRate } from './currency.js';
+import { findDuplicateTransactions, removeTransactions } from './duplicates.js';
+import { getDebtBalances, recordDebt, recordRepayment } from './debts.js';
+import { createRecurringStore } from './recurringStore.js';
+import {
+  createRecurringRule,
+  deleteRecurringRule,
+  listRecurringRules,
+  runDueRecurring,
+  setRecurringRulePaused
+} from './recurring.js';
 
-const DIRECT_TOKEN_ENV_KEYS = ['MONEYLOVER_TOKEN', 'MONEY_LOVER_TOKEN'];
 const ENV_FILE_DISABLE_FLAG = 'MONEYLOVER_MCP_DISABLE_ENV_FILE';
 const ENV_FILE_PATH_ENV = 'MONEYLOVER_MCP_ENV_FILE';
 
@@ -94,19 +138,72 @@ const loadEnvFileIfNeeded = () => {
   }
 };
 
-const getEnvConfig = () => {
+// Lets the server talk to another Money Lover API, such as the bundled fake
+// server in integration tests.
+const getApiOptions = () => {
   loadEnvFileIfNeeded();
-  const email = process.env.EMAIL?.trim() ?? '';
-  const password = process.env.PASSWORD?.trim() ?? '';
-  const directToken = DIRECT_TOKEN_ENV_KEYS.map(key => process.env[key]?.trim()).find(Boolean) ?? '';
-  return { email, password, directToken };
+  const options = {};
+  const baseUrl = process.env.MONEYLOVER_API_URL?.trim();
+  const oauthUrl = process.env.MONEYLOVER_OAUTH_URL?.trim();
+  if (baseUrl) {
+    options.baseUrl = baseUrl;
+  }
+  if (oauthUrl) {
+    options.oauthUrl = oauthUrl;
+  }
+  return options;
+};
+
+// Wallet and category lookups are keyed by token and exchange rates apply to
+// every account, so these are shared by all profiles.
+const lookupCache = createLookupCache();
+const fitidStore = createFitidStore();
+const exchangeRateStore = createExchangeRateStore();
+
+const sessions = new Map();
+
+const createSession = (profile, previous) => ({
+  ...createProfileSession(profile, {
+    login: (email, password) => MoneyloverClient.getToken(email, password, getApiOptions()),
+    readToken,
+    writeToken,
+    removeToken,
+    refreshSkewMs: getRefreshSkewMs(process.env)
+  }),
+  // Local stores survive a credential change so that their write queues stay
+  // serialized.
+  stores: previous?.stores ?? {
+    recurring: createRecurringStore(getProfileFilePath(profile.name, 'recurring.json')),
+    mirror: createMirrorStore(getProfileFilePath(profile.name, 'mirror.json')),
+    outbox: createOutboxStore(getProfileFilePath(profile.name, 'outbox.json'))
+  },
+  backgroundFlush: null
+});
+
+const getProfiles = () => {
+  loadEnvFileIfNeeded();
+  return loadProfiles(process.env);
+};
+
+/**
+ * Returns the session of `profileName` (the default profile when omitted). A
+ * session is rebuilt when the profile's credentials change in the environment.
+ */
+const getSession = profileName => {
+  const profiles = getProfiles();
+  const profile = resolveProfile(profiles, profileName ?? getDefaultProfileName(process.env));
+  const existing = sessions.get(profile.name);
+  if (existing && sameCredentials(existing.profile, profile)) {
+    return existing;
+  }
+  const session = createSession(profile, existing);
+  sessions.set(profile.name, session);
+  return session;
 };
 
-let cachedEnvEmail = '';
-let cachedEnvToken = '';
-let envTokenPromise = null;
-let cacheLoaded = false;
-let cachedEnvUsesDirectToken = false;
+// Tool handlers pass `{ token, profile }`; a bare string is a token for the
+// default profile.
+const toAuth = auth => (auth && typeof auth === 'object' ? auth : { token: auth });
 
 const formatSuccess = data => ({
   content: [
@@ -142,96 +239,54 @@ const formatError = error => {
   };
 };
 
-const withClient = async (token, fn) => {
-  const client = new MoneyloverClient(token);
+const withClient = async (token, fn, { dryRun = false } = {}) => {
+  const { baseUrl } = getApiOptions();
+  const client = new MoneyloverClient(token, { ...(baseUrl ? { baseUrl } : {}), ...(dryRun ? { dryRun } : {}) });
   return fn(client);
 };
 
-const hasEnvCredentials = () => {
-  const { email, password, directToken } = getEnvConfig();
-  return Boolean(directToken || (email && password));
-};
-
-const fetchEnvToken = async (forceRefresh = false) => {
-  const { email, password, directToken } = getEnvConfig();
-
-  if (directToken) {
-    cachedEnvUsesDirectToken = true;
-    cachedEnvEmail = email;
-    cachedEnvToken = directToken;
-    envTokenPromise = null;
-    cacheLoaded = true;
-    return directToken;
-  }
-
-  if (cachedEnvUsesDirectToken) {
-    cachedEnvUsesDirectToken = false;
-    cachedEnvToken = '';
-    envTokenPromise = null;
-    cacheLoaded = false;
-  }
+const hasEnvCredentials = profileName => hasCredentials(getSession(profileName).profile);
 
-  if (!email || !password) {
-    return null;
-  }
+const fetchEnvToken = (forceRefresh = false, profileName) => getSession(profileName).getToken(forceRefresh);
 
-  if (email !== cachedEnvEmail) {
-    cachedEnvEmail = email;
-    cachedEnvToken = '';
-    envTokenPromise = null;
-    cacheLoaded = false;
+const missingTokenError = profileName => {
+  if (profileName === DEFAULT_PROFILE) {
+    return new Error(
+      'Token is required. Provide a token parameter or set EMAIL/PASSWORD, MONEYLOVER_TOKEN, or a .env file for automatic authentication.'
+    );
   }
+  const prefix = `MONEYLOVER_PROFILE_${profileName.toUpperCase()}`;
+  return new Error(
+    `Token is required. Provide a token parameter or set ${prefix}_EMAIL/${prefix}_PASSWORD or ${prefix}_TOKEN for profile "${profileName}".`
+  );
+};
 
-  if (forceRefresh) {
-    cachedEnvToken = '';
-    envTokenPromise = null;
-    cacheLoaded = false;
-    try {
-      await removeToken(email);
-    } catch (error) {
-      console.warn('Failed to clear cached Money Lover token:', error);
-    }
+/**
+ * Logs in with explicit credentials and caches the token for `profileName`, or
+ * for the profile configured with this email. Returns `{ token, profile }`,
+ * where `profile` is null when no profile matched.
+ */
+const loginWithPassword = async (email, password, profileName) => {
+  const matching = [...getProfiles().values()].find(candidate => candidate.email && candidate.email === email);
+  const session = profileName ? getSession(profileName) : matching ? getSession(matching.name) : null;
+  if (session?.profile.email && session.profile.email !== email) {
+    throw new ProfileError(`Profile ${session.name} is configured for another account`, {
+      code: 'PROFILE_MISMATCH'
+    });
   }
-  if (!cacheLoaded) {
-    try {
-      const storedToken = await readToken(email);
-      if (storedToken) {
-        cachedEnvToken = storedToken;
-      }
-    } catch (error) {
-      console.warn('Failed to read cached Money Lover token:', error);
-    }
-    cacheLoaded = true;
-  }
-  if (cachedEnvToken) {
-    return cachedEnvToken;
-  }
-  if (!envTokenPromise) {
-    envTokenPromise = MoneyloverClient.getToken(email, password)
-      .then(async token => {
-        try {
-          await writeToken(email, token);
-        } catch (error) {
-          console.warn('Failed to persist Money Lover token:', error);
-        }
-        cachedEnvToken = token;
-        cacheLoaded = true;
-        envTokenPromise = null;
-        return token;
-      })
-      .catch(error => {
-        envTokenPromise = null;
-        throw error;
-      });
+  const token = await MoneyloverClient.getToken(email, password, getApiOptions());
+  try {
+    await writeToken(email, token, { profile: session?.name ?? DEFAULT_PROFILE });
+  } catch (error) {
+    console.warn('Failed to persist Money Lover token:', error);
   }
-  return envTokenPromise;
+  session?.setToken(token);
+  return { token, profile: session?.name ?? null };
 };
 
-const missingTokenError = () =>
-  new Error(
-    'Token is required. Provide a token parameter or set EMAIL/PASSWORD, MONEYLOVER_TOKEN, or a .env file for automatic authentication.'
-  );
-
+// Sessions refresh tokens ahead of their `exp` claim, so this only catches
+// tokens revoked early or without an expiry: the API reports those with error
+// code 1 (`user_unauthenticated`).
 const isAuthError = error => {
   if (!(error instanceof MoneyloverApiError)) {
     return false;
@@ -239,17 +294,18 @@ const isAuthError = error => {
   if (typeof error.code === 'number' && (error.code === 1 || error.code === 401)) {
     return true;
   }
-  const message = error.message?.toLowerCase?.() ?? '';
-  return message.includes('unauth') || message.includes('token');
+  return /^user_unauthenticated$|token[_ ](expired|invalid)/i.test(error.message ?? '');
 };
 
-const runWithResolvedToken = async (providedToken, fn) => {
+const runWithResolvedToken = async (auth, fn) => {
+  const { token: providedToken, profile } = toAuth(auth);
+  const session = getSession(profile);
   let usedEnvToken = false;
   let token = providedToken;
   if (!token) {
-    token = await fetchEnvToken();
+    token = await session.getToken();
     if (!token) {
-      throw missingTokenError();
+      throw missingTokenError(session.name);
     }
     usedEnvToken = true;
   }
@@ -258,7 +314,7 @@ const runWithResolvedToken = async (providedToken, fn) => {
     return await fn(token);
   } catch (error) {
     if (usedEnvToken && isAuthError(error)) {
-      const refreshedToken = await fetchEnvToken(true);
+      const refreshedToken = await session.getToken(true);
       if (!refreshedToken) {
         throw error;
       }
@@ -268,9 +324,174 @@ const runWithResolvedToken = async (providedToken, fn) => {
   }
 };
 
-const runWithClient = (token, fn) => runWithResolvedToken(token, resolvedToken => withClient(resolvedToken, fn));
+// Queued writes belong to the account of the session that queued them and are
+// only replayed with that session's own token, never with a token passed to a
+// tool, which may belong to another account.
+const getOutboxOwner = session => session.profile.email ?? null;
+
+// A dry run returns the requests a flush would send and leaves the outbox as is.
+const previewFlush = (auth, { includeFailed = false } = {}) =>
+  runWithClient(auth, async client => {
+    const session = getSession(toAuth(auth).profile);
+    for (const item of await session.stores.outbox.list()) {
+      if (isOwnedBy(item, getOutboxOwner(session)) && (includeFailed || item.status !== 'failed')) {
+        await executeWrite(client, item, { resolver: lookupCache });
+      }
+    }
+  });
+
+const flushWithClient = (auth, options = {}) => {
+  const { token, profile, dryRun } = toAuth(auth);
+  if (token) {
+    throw new Error("Pending writes are replayed with the profile's own session; call flush_pending_writes without a token");
+  }
+  if (dryRun) {
+    return previewFlush(auth, options);
+  }
+  const session = getSession(profile);
+  return runWithResolvedToken(auth, resolvedToken =>
+    withClient(resolvedToken, client =>
+      flushOutbox(client, session.stores.outbox, {
+        ...options,
+        owner: getOutboxOwner(session),
+        resolver: lookupCache,
+        isFatalError: isAuthError
+      })
+    )
+  );
+};
+
+// Options of the MCP server handling the current request, for the helpers
+// below that all servers share. Tool and resource handlers run inside it.
+const serverContext = new AsyncLocalStorage();
+
+// A successful request means the API is reachable again, so queued writes are
+// replayed in the background without delaying the response. A read-only server
+// never writes, so it leaves them queued.
+const flushPendingWritesInBackground = auth => {
+  const session = getSession(toAuth(auth).profile);
+  if (session.backgroundFlush || serverContext.getStore()?.readOnly) {
+    return;
+  }
+  session.backgroundFlush = (async () => {
+    if ((await session.stores.outbox.list()).every(item => item.status === 'failed')) {
+      return;
+    }
+    const report = await flushWithClient(auth);
+    if (report.flushed.length > 0) {
+      await markMirrorStale(session.stores.mirror, {
+        transactions: report.flushed.map(entry => ({ date: entry.payload.date }))
+      });
+    }
+  })()
+    .catch(error => console.warn('Failed to flush pending writes:', error))
+    .finally(() => {
+      session.backgroundFlush = null;
+    });
+};
+
+/**
+ * Runs `fn` with a client for `auth`. With `auth.dryRun` the client records
+ * writes instead of sending them and the result is `{ dryRun: true, requests }`
+ * listing those writes; reads such as name lookups still reach the API.
+ */
+const runWithClient = async (auth, fn) => {
+  if (toAuth(auth).dryRun) {
+    return runWithResolvedToken(auth, resolvedToken =>
+      withClient(
+        resolvedToken,
+        async client => {
+          await fn(client);
+          return { dryRun: true, requests: client.plannedRequests };
+        },
+        { dryRun: true }
+      )
+    );
+  }
+  const result = await runWithResolvedToken(auth, resolvedToken => withClient(resolvedToken, fn));
+  if (!toAuth(auth).token) {
+    flushPendingWritesInBackground(auth);
+  }
+  return result;
+};
+
+/**
+ * Adds a transaction through the outbox, so a write that fails with a network
+ * or server error is queued instead of lost, and marks its month stale in the
+ * offline mirror once it is written. A dry run only returns the request.
+ */
+const addTransaction = async (auth, payload, { idempotencyKey, dryRun = false } = {}) => {
+  const item = {
+    kind: 'add_transaction',
+    payload: {
+      walletId: payload.walletId,
+      categoryId: payload.categoryId,
+      amount: payload.amount,
+      note: payload.note,
+      date: payload.date,
+      with: payload.with
+    },
+    idempotencyKey
+  };
+  if (dryRun) {
+    // Bypasses the outbox: nothing is queued or remembered for a dry run.
+    return runWithClient({ ...toAuth(auth), dryRun }, client => executeWrite(client, item, { resolver: lookupCache }));
+  }
+  const session = getSession(toAuth(auth).profile);
+  const data = await submitWrite(
+    session.stores.outbox,
+    { ...item, owner: getOutboxOwner(session) },
+    queued => runWithClient(auth, client => executeWrite(client, queued, { resolver: lookupCache })),
+    { queue: !toAuth(auth).token }
+  );
+  if (!data?.queued && !data?.duplicate) {
+    try {
+      await markMirrorStale(session.stores.mirror, { transactions: [{ date: payload.date }] });
+    } catch (error) {
+      console.warn('Failed to mark the offline mirror stale:', error);
+    }
+  }
+  return data;
+};
+
+// Read tools may answer from the offline mirror: `offline` never touches the
+// API, `prefer_cache` only does for data that is missing or stale.
+const runWithReadClient = (auth, cache, fn) => {
+  if (!cache) {
+    return runWithClient(auth, fn);
+  }
+  const { mirror } = getSession(toAuth(auth).profile).stores;
+  return fn(createCachedClient(mirror, { mode: cache, live: request => runWithClient(auth, request) }));
+};
+
+const resolveWalletId = (client, wallet) =>
+  typeof wallet === 'undefined' ? undefined : lookupCache.resolveWalletId(client, wallet);
+
+const resolveTransactionTarget = async (client, { walletId, categoryId }) => {
+  const resolvedWalletId = await lookupCache.resolveWalletId(client, walletId);
+  return {
+    walletId: resolvedWalletId,
+    categoryId: await lookupCache.resolveCategoryId(client, resolvedWalletId, categoryId)
+  };
+};
+
+const registerMoneyloverTools = (server, toolFilter) => {
+  // Tools taking `dryRun` also accept it as `dry_run`.
+  const registerTool = (name, config, handler) => {
+    if (!toolFilter.isEnabled(name, config)) {
+      return null;
+    }
+    const run = (args, extra) => serverContext.run({ readOnly: toolFilter.readOnly }, () => handler(args, extra));
+    if (!config.inputSchema?.dryRun) {
+      return server.registerTool(name, config, run);
+    }
+    return server.registerTool(
+      name,
+      { ...config, inputSchema: { ...config.inputSchema, dry_run: config.inputSchema.dryRun.describe('Alias of dryRun') } },
+      ({ dry_run: dryRunAlias, ...args }, extra) => run({ ...args, dryRun: args.dryRun ?? dryRunAlias }, extra)
+    );
+  };
 
-const registerMoneyloverTools = server => {
   const tokenSchema = z.preprocess(value => {
     if (typeof value === 'string') {
       const trimmed = value.trim();
@@ -279,57 +500,193 @@ const registerMoneyloverTools = server => {
     return value;
   }, z.string().min(1).optional());
 
-  server.registerTool(
+  registerTool(
     'login',
     {
       title: 'Login to Money Lover',
-      description: 'Authenticate using Money Lover credentials to retrieve a JWT token.',
+      description:
+        'Authenticate using Money Lover credentials to retrieve a JWT token. The token is cached for the given profile, or for the profile configured with this email, so later calls without a token use it.',
       inputSchema: {
         email: z.string().email().describe('Money Lover account email'),
-        password: z.string().min(1).describe('Money Lover account password')
+        password: z.string().min(1).describe('Money Lover account password'),
+        profile: z.string().min(1).optional().describe('Optional profile to sign in; see list_profiles')
       },
       outputSchema: {
-        token: z.string()
+        token: z.string(),
+        profile: z.string().nullable()
       }
     },
-    async ({ email, password }) => {
+    async ({ email, password, profile }) => {
       try {
-        const token = await MoneyloverClient.getToken(email, password);
-        try {
-          await writeToken(email, token);
-        } catch (error) {
-          console.warn('Failed to persist Money Lover token:', error);
-        }
-        const { email: envEmail } = getEnvConfig();
-        if (email === envEmail && envEmail) {
-          cachedEnvEmail = envEmail;
-          cachedEnvToken = token;
-          cacheLoaded = true;
-          cachedEnvUsesDirectToken = false;
+        return formatSuccess(await loginWithPassword(email, password, profile));
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'list_profiles',
+    {
+      title: 'List Profiles',
+      annotations: READ_ONLY,
+      description:
+        'List the configured Money Lover account profiles. Pass a profile name as the profile argument of other tools to act on that account.',
+      inputSchema: {},
+      outputSchema: {
+        defaultProfile: z.string(),
+        profiles: z.array(z.record(z.any()))
+      }
+    },
+    async () => {
+      try {
+        const configured = getProfiles();
+        const defaultProfile = getDefaultProfileName(process.env);
+        const profiles = [...configured.values()].map(profile => ({
+          ...describeProfile(profile),
+          isDefault: profile.name === defaultProfile
+        }));
+        return formatSuccess({ defaultProfile, profiles });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'clear_sessions',
+    {
+      title: 'Clear Sessions',
+      description:
+        'Log out by wiping cached Money Lover tokens for one email (under every profile) or for every account. Encrypted entries are removed without the key. Tokens set through MONEYLOVER_TOKEN variables are not affected.',
+      inputSchema: {
+        email: z.string().email().optional().describe('Only clear sessions of this email; clears all when omitted')
+      },
+      outputSchema: {
+        email: z.string().nullable(),
+        removedFiles: z.number(),
+        clearedProfiles: z.array(z.string())
+      }
+    },
+    async ({ email }) => {
+      try {
+        const removedFiles = await clearTokens({ email });
+        const clearedProfiles = [];
+        for (const session of sessions.values()) {
+          if (!email || session.profile.email === email) {
+            session.clearToken();
+            clearedProfiles.push(session.name);
+          }
         }
-        return formatSuccess({ token });
+        return formatSuccess({ email: email ?? null, removedFiles, clearedProfiles });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'get_session_status',
+    {
+      title: 'Get Session Status',
+      annotations: READ_ONLY,
+      description:
+        'Show the authentication state of a profile: the active email, where its token came from, the token age and the time left until it expires. Never returns the token itself.',
+      inputSchema: {
+        profile: z.string().min(1).optional().describe('Profile to inspect; defaults to the default profile')
+      },
+      outputSchema: {
+        name: z.string(),
+        email: z.string().nullable(),
+        authentication: z.string(),
+        hasToken: z.boolean(),
+        source: z.string().nullable(),
+        issuedAt: z.string().nullable(),
+        obtainedAt: z.string().nullable(),
+        expiresAt: z.string().nullable(),
+        ageSeconds: z.number().nullable(),
+        expiresInSeconds: z.number().nullable(),
+        expired: z.boolean().nullable(),
+        refreshDue: z.boolean().nullable(),
+        refreshSkewSeconds: z.number()
+      }
+    },
+    async ({ profile }) => {
+      try {
+        return formatSuccess(await getSession(profile).getStatus());
       } catch (error) {
         return formatError(error instanceof Error ? error : new Error(String(error)));
       }
     }
   );
 
+  const dryRunArgument = z
+    .boolean()
+    .optional()
+    .describe('Validate the input and return the requests that would be sent to Money Lover without sending them');
+
+  // Dry runs answer with `{ dryRun: true, requests }` instead of the usual result.
+  const dryRunOutput = {
+    dryRun: z.boolean().optional(),
+    requests: z.array(z.record(z.any())).optional()
+  };
+
+  const profileArgument = {
+    profile: z
+      .string()
+      .min(1)
+      .optional()
+      .describe('Account profile to use (see list_profiles); defaults to MONEYLOVER_DEFAULT_PROFILE or "default"')
+  };
+
   const tokenArgument = {
     token: tokenSchema.describe(
       'JWT token returned by the login tool or derived from EMAIL/PASSWORD environment variables'
-    )
+    ),
+    ...profileArgument
+  };
+
+  const reportingCurrencyArgument = z
+    .string()
+    .min(3)
+    .optional()
+    .describe('Optional ISO currency code to convert amounts to, using the local exchange-rate table');
+
+  const cacheArgument = z
+    .enum(CACHE_MODES)
+    .optional()
+    .describe(
+      'Answer from the local mirror filled by the sync tool: "offline" never calls the API, "prefer_cache" only calls it for data that is missing or stale'
+    );
+
+  // Wallets, categories and transactions are also exposed as resources and
+  // mirrored locally, so every successful write notifies clients and marks the
+  // affected mirror entries stale.
+  const importedChanges = results =>
+    results
+      .filter(result => result.status === 'imported')
+      .map(result => ({ walletId: result.payload.account, date: result.payload.displayDate }));
+
+  const dataChanged = async (profile, changes) => {
+    server.sendResourceListChanged();
+    try {
+      await markMirrorStale(getSession(profile).stores.mirror, changes);
+    } catch (error) {
+      console.warn('Failed to mark the offline mirror stale:', error);
+    }
   };
 
-  server.registerTool(
+  registerTool(
     'get_user_info',
     {
       title: 'Get User Info',
+      annotations: READ_ONLY,
       description: 'Retrieve the Money Lover user profile associated with the provided token.',
       inputSchema: tokenArgument
     },
-    async ({ token }) => {
+    async ({ token, profile }) => {
       try {
-        const data = await runWithClient(token, client => client.getUserInfo());
+        const data = await runWithClient({ token, profile }, client => client.getUserInfo());
         return formatSuccess(data ?? {});
       } catch (error) {
         return formatError(error instanceof Error ? error : new Error(String(error)));
@@ -337,42 +694,166 @@ const registerMoneyloverTools = server => {
     }
   );
 
-  server.registerTool(
+  registerTool(
     'get_wallets',
     {
       title: 'Get Wallets',
-      description: 'List all wallets accessible to the authenticated user.',
-      inputSchema: tokenArgument,
+      annotations: READ_ONLY,
+      description:
+        'List all wallets accessible to the authenticated user. With reportingCurrency, also convert every balance with the local exchange-rate table and return a total, showing the rate and rate date used for each wallet.',
+      inputSchema: {
+        ...tokenArgument,
+        cache: cacheArgument,
+        reportingCurrency: reportingCurrencyArgument,
+        rateDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Date whose exchange rates apply to the balances; defaults to today')
+      },
       outputSchema: {
-        wallets: z.array(z.record(z.any()))
+        wallets: z.array(z.record(z.any())),
+        balances: z.record(z.any()).optional()
+      }
+    },
+    async ({ token, profile, cache, reportingCurrency, rateDate }) => {
+      try {
+        const wallets = (await runWithReadClient({ token, profile }, cache, client => client.getWallets())) ?? [];
+        if (!reportingCurrency) {
+          return formatSuccess({ wallets });
+        }
+        const balances = convertWalletBalances(wallets, {
+          rates: await exchangeRateStore.list(),
+          reportingCurrency,
+          date: rateDate
+        });
+        return formatSuccess({ wallets, balances });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'create_wallet',
+    {
+      title: 'Create Wallet',
+      description: 'Create a new wallet.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        name: z.string().min(1).describe('Wallet name'),
+        currencyId: z.number().int().describe('Money Lover currency identifier'),
+        icon: z.string().optional().describe('Optional icon identifier'),
+        excludeTotal: z.boolean().optional().describe('Exclude the wallet from the total balance')
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client =>
+          client.createWallet({
+            name: payload.name,
+            currencyId: payload.currencyId,
+            icon: payload.icon,
+            excludeTotal: payload.excludeTotal
+          })
+        );
+        if (!dryRun) {
+          lookupCache.invalidate();
+          await dataChanged(profile, { wallets: true });
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'update_wallet',
+    {
+      title: 'Update Wallet',
+      description: 'Rename, archive or otherwise edit a wallet. Only the provided fields are changed.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        walletId: z.string().min(1).describe('Wallet identifier'),
+        name: z.string().min(1).optional().describe('New wallet name'),
+        currencyId: z.number().int().optional().describe('New Money Lover currency identifier'),
+        icon: z.string().optional().describe('New icon identifier'),
+        excludeTotal: z.boolean().optional().describe('Exclude the wallet from the total balance'),
+        archived: z.boolean().optional().describe('Archive (true) or restore (false) the wallet')
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client =>
+          client.editWallet({
+            walletId: payload.walletId,
+            name: payload.name,
+            currencyId: payload.currencyId,
+            icon: payload.icon,
+            excludeTotal: payload.excludeTotal,
+            archived: payload.archived
+          })
+        );
+        if (!dryRun) {
+          lookupCache.invalidate();
+          await dataChanged(profile, { wallets: true });
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'delete_wallet',
+    {
+      title: 'Delete Wallet',
+      description: 'Delete a wallet and its transactions.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        walletId: z.string().min(1).describe('Wallet identifier')
       }
     },
-    async ({ token }) => {
+    async ({ token, profile, dryRun, walletId }) => {
       try {
-        const wallets = (await runWithClient(token, client => client.getWallets())) ?? [];
-        return formatSuccess({ wallets });
+        const data = await runWithClient({ token, profile, dryRun }, client => client.deleteWallet(walletId));
+        if (!dryRun) {
+          lookupCache.invalidate();
+          await dataChanged(profile, { wallets: true });
+        }
+        return formatSuccess(data ?? {});
       } catch (error) {
         return formatError(error instanceof Error ? error : new Error(String(error)));
       }
     }
   );
 
-  server.registerTool(
+  registerTool(
     'get_categories',
     {
       title: 'Get Categories',
+      annotations: READ_ONLY,
       description: 'Retrieve categories for a specific wallet.',
       inputSchema: {
         ...tokenArgument,
-        walletId: z.string().min(1).describe('Wallet identifier')
+        cache: cacheArgument,
+        walletId: z.string().min(1).describe('Wallet identifier or name')
       },
       outputSchema: {
         categories: z.array(z.record(z.any()))
       }
     },
-    async ({ token, walletId }) => {
+    async ({ token, profile, cache, walletId }) => {
       try {
-        const data = (await runWithClient(token, client => client.getCategories(walletId))) ?? [];
+        const data =
+          (await runWithReadClient({ token, profile }, cache, async client =>
+            client.getCategories(await lookupCache.resolveWalletId(client, walletId))
+          )) ?? [];
         return formatSuccess({ categories: data });
       } catch (error) {
         return formatError(error instanceof Error ? error : new Error(String(error)));
@@ -380,27 +861,65 @@ const registerMoneyloverTools = server => {
     }
   );
 
-  server.registerTool(
-    'get_transactions',
+  registerTool(
+    'get_category_tree',
     {
-      title: 'Get Transactions',
-      description: 'Fetch transactions for a wallet between two dates.',
+      title: 'Get Category Tree',
+      annotations: READ_ONLY,
+      description:
+        'Retrieve categories for a wallet nested under their parent categories, each with a readable path such as "Food > Restaurants".',
+      inputSchema: {
+        ...tokenArgument,
+        cache: cacheArgument,
+        walletId: z.string().min(1).describe('Wallet identifier or name')
+      },
+      outputSchema: {
+        categories: z.array(z.record(z.any()))
+      }
+    },
+    async ({ token, profile, cache, walletId }) => {
+      try {
+        const data =
+          (await runWithReadClient({ token, profile }, cache, async client =>
+            client.getCategories(await lookupCache.resolveWalletId(client, walletId))
+          )) ?? [];
+        return formatSuccess({ categories: buildCategoryTree(data) });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'create_category',
+    {
+      title: 'Create Category',
+      description: 'Create a category in a wallet, optionally nested under a parent category.',
       inputSchema: {
         ...tokenArgument,
+        dryRun: dryRunArgument,
         walletId: z.string().min(1).describe('Wallet identifier'),
-        startDate: z
-          .string()
-          .regex(/\d{4}-\d{2}-\d{2}/)
-          .describe('Start date in YYYY-MM-DD format'),
-        endDate: z
-          .string()
-          .regex(/\d{4}-\d{2}-\d{2}/)
-          .describe('End date in YYYY-MM-DD format')
+        name: z.string().min(1).describe('Category name'),
+        type: z.enum(['INCOME', 'EXPENSE']).describe('Category type'),
+        parentId: z.string().min(1).optional().describe('Optional parent category identifier'),
+        icon: z.string().optional().describe('Optional icon identifier')
       }
     },
-    async ({ token, walletId, startDate, endDate }) => {
+    async ({ token, profile, dryRun, ...payload }) => {
       try {
-        const data = await runWithClient(token, client => client.getTransactions(walletId, startDate, endDate));
+        const data = await runWithClient({ token, profile, dryRun }, client =>
+          client.createCategory({
+            walletId: payload.walletId,
+            name: payload.name,
+            type: CategoryType[payload.type],
+            parentId: payload.parentId,
+            icon: payload.icon
+          })
+        );
+        if (!dryRun) {
+          lookupCache.invalidate();
+          await dataChanged(profile, { categories: true });
+        }
         return formatSuccess(data ?? {});
       } catch (error) {
         return formatError(error instanceof Error ? error : new Error(String(error)));
@@ -408,62 +927,1347 @@ const registerMoneyloverTools = server => {
     }
   );
 
-  server.registerTool(
-    'add_transaction',
+  registerTool(
+    'update_category',
     {
-      title: 'Add Transaction',
-      description: 'Create a new transaction in a wallet.',
+      title: 'Update Category',
+      description:
+        'Rename a category or change its parent. Pass parentId null to move it to the top level. Only the provided fields are changed.',
       inputSchema: {
         ...tokenArgument,
-        walletId: z.string().min(1).describe('Wallet identifier'),
+        dryRun: dryRunArgument,
         categoryId: z.string().min(1).describe('Category identifier'),
-        amount: z.string().min(1).describe('Transaction amount as string'),
-        note: z.string().optional().describe('Optional transaction note'),
-        date: z
-          .string()
-          .regex(/\d{4}-\d{2}-\d{2}/)
-          .describe('Display date in YYYY-MM-DD format'),
-        with: z
-          .array(z.string())
-          .optional()
-          .describe('Optional array of related parties')
+        name: z.string().min(1).optional().describe('New category name'),
+        parentId: z.string().min(1).nullable().optional().describe('New parent category identifier, or null'),
+        icon: z.string().optional().describe('New icon identifier')
       }
     },
-    async ({ token, ...payload }) => {
+    async ({ token, profile, dryRun, ...payload }) => {
       try {
-        const data = await runWithClient(token, client =>
-          client.addTransaction({
-            walletId: payload.walletId,
+        const data = await runWithClient({ token, profile, dryRun }, client =>
+          client.editCategory({
             categoryId: payload.categoryId,
-            amount: payload.amount,
-            note: payload.note,
-            date: payload.date,
-            with: payload.with
+            name: payload.name,
+            parentId: payload.parentId,
+            icon: payload.icon
           })
         );
+        if (!dryRun) {
+          lookupCache.invalidate();
+          await dataChanged(profile, { categories: true });
+        }
         return formatSuccess(data ?? {});
       } catch (error) {
         return formatError(error instanceof Error ? error : new Error(String(error)));
       }
     }
   );
-};
 
-export const createMoneyloverServer = () => {
-  const server = new McpServer({
-    name: 'moneylover-mcp-server',
-    version: '0.0.3'
-  });
-  registerMoneyloverTools(server);
-  return server;
-};
-
-export const startMoneyloverServer = async () => {
-  const server = createMoneyloverServer();
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  return { server, transport };
-};
+  registerTool(
+    'delete_category',
+    {
+      title: 'Delete Category',
+      description: 'Delete a category.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        categoryId: z.string().min(1).describe('Category identifier')
+      }
+    },
+    async ({ token, profile, dryRun, categoryId }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client => client.deleteCategory(categoryId));
+        if (!dryRun) {
+          lookupCache.invalidate();
+          await dataChanged(profile, { categories: true });
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'get_budgets',
+    {
+      title: 'Get Budgets',
+      annotations: READ_ONLY,
+      description: 'List budgets, optionally limited to a single wallet.',
+      inputSchema: {
+        ...tokenArgument,
+        walletId: z.string().min(1).optional().describe('Optional wallet identifier')
+      },
+      outputSchema: {
+        budgets: z.array(z.record(z.any()))
+      }
+    },
+    async ({ token, profile, walletId }) => {
+      try {
+        const budgets = (await runWithClient({ token, profile }, client => client.getBudgets(walletId))) ?? [];
+        return formatSuccess({ budgets });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'create_budget',
+    {
+      title: 'Create Budget',
+      description: 'Create a budget for a wallet over a date range, optionally limited to one category.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        walletId: z.string().min(1).describe('Wallet identifier'),
+        categoryId: z.string().min(1).optional().describe('Optional category identifier; omit to budget all expenses'),
+        amount: z.string().min(1).describe('Budget amount as string'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('Budget start date in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('Budget end date in YYYY-MM-DD format')
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client =>
+          client.createBudget({
+            walletId: payload.walletId,
+            categoryId: payload.categoryId,
+            amount: payload.amount,
+            startDate: payload.startDate,
+            endDate: payload.endDate
+          })
+        );
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'update_budget',
+    {
+      title: 'Update Budget',
+      description:
+        'Edit a budget. Only the provided fields are changed; pass categoryId null to budget all expenses.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        budgetId: z.string().min(1).describe('Budget identifier'),
+        categoryId: z.string().min(1).nullable().optional().describe('New category identifier, or null'),
+        amount: z.string().min(1).optional().describe('New budget amount as string'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('New start date in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('New end date in YYYY-MM-DD format')
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client =>
+          client.editBudget({
+            budgetId: payload.budgetId,
+            categoryId: payload.categoryId,
+            amount: payload.amount,
+            startDate: payload.startDate,
+            endDate: payload.endDate
+          })
+        );
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'delete_budget',
+    {
+      title: 'Delete Budget',
+      description: 'Delete a budget.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        budgetId: z.string().min(1).describe('Budget identifier')
+      }
+    },
+    async ({ token, profile, dryRun, budgetId }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client => client.deleteBudget(budgetId));
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'get_budget_status',
+    {
+      title: 'Get Budget Status',
+      annotations: READ_ONLY,
+      description:
+        'Report progress for each budget: amount spent over the budget period, remaining amount, percentage used and the projected overspend date at the current spending rate.',
+      inputSchema: {
+        ...tokenArgument,
+        walletId: z.string().min(1).optional().describe('Optional wallet identifier or name'),
+        budgetId: z.string().min(1).optional().describe('Optional budget identifier')
+      },
+      outputSchema: {
+        budgets: z.array(z.record(z.any()))
+      }
+    },
+    async ({ token, profile, walletId, budgetId }) => {
+      try {
+        const budgets = await runWithClient({ token, profile }, async client =>
+          getBudgetStatuses(client, { walletId: await resolveWalletId(client, walletId), budgetId })
+        );
+        return formatSuccess({ budgets });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'get_transactions',
+    {
+      title: 'Get Transactions',
+      annotations: READ_ONLY,
+      description: 'Fetch transactions for a wallet between two dates.',
+      inputSchema: {
+        ...tokenArgument,
+        cache: cacheArgument,
+        walletId: z.string().min(1).describe('Wallet identifier or name'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('Start date in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('End date in YYYY-MM-DD format')
+      }
+    },
+    async ({ token, profile, cache, walletId, startDate, endDate }) => {
+      try {
+        const data = await runWithReadClient({ token, profile }, cache, async client =>
+          client.getTransactions(await lookupCache.resolveWalletId(client, walletId), startDate, endDate)
+        );
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'summarize_transactions',
+    {
+      title: 'Summarize Transactions',
+      annotations: READ_ONLY,
+      description:
+        'Compute totals, counts, averages and the income/expense split of transactions grouped by category, parent category, day, week, month, counterparty or wallet. Optionally compare with another period and report deltas, or convert every amount to a reporting currency using the local exchange-rate table. All arithmetic is done by the server.',
+      inputSchema: {
+        ...tokenArgument,
+        cache: cacheArgument,
+        walletId: z.string().min(1).optional().describe('Optional wallet identifier or name; all wallets when omitted'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('Start date in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('End date in YYYY-MM-DD format'),
+        groupBy: z.enum(GROUP_BY_DIMENSIONS).optional().describe('Grouping dimension; defaults to category'),
+        includeTransfers: z.boolean().optional().describe('Include transfers between wallets; excluded by default'),
+        compareWith: z
+          .enum(['previous_period', 'previous_year'])
+          .optional()
+          .describe('Compare with the preceding period of the same length (whole months when possible) or the same dates last year'),
+        compareStartDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Custom comparison start date in YYYY-MM-DD format'),
+        compareEndDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Custom comparison end date in YYYY-MM-DD format'),
+        reportingCurrency: reportingCurrencyArgument
+      }
+    },
+    async ({ token, profile, cache, ...options }) => {
+      try {
+        const rates = options.reportingCurrency ? await exchangeRateStore.list() : [];
+        const data = await runWithReadClient({ token, profile }, cache, async client =>
+          getTransactionSummary(client, { ...options, rates, walletId: await resolveWalletId(client, options.walletId) })
+        );
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'export_transactions',
+    {
+      title: 'Export Transactions',
+      // Writing to filePath can overwrite any file the server may write, so
+      // read-only servers only offer inline exports.
+      ...(toolFilter.readOnly ? { annotations: READ_ONLY } : {}),
+      description: toolFilter.readOnly
+        ? 'Export transactions of one or more wallets over a date range as CSV, JSON Lines, OFX or QIF, with category and wallet names instead of identifiers. Returns the content inline.'
+        : 'Export transactions of one or more wallets over a date range as CSV, JSON Lines, OFX or QIF, with category and wallet names instead of identifiers. Writes to filePath when given, otherwise returns the content inline.',
+      inputSchema: {
+        ...tokenArgument,
+        cache: cacheArgument,
+        walletIds: z
+          .array(z.string().min(1))
+          .optional()
+          .describe('Wallet identifiers or names; all wallets when omitted'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('Start date in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('End date in YYYY-MM-DD format'),
+        format: z.enum(EXPORT_FORMATS).describe('Output format'),
+        ...(toolFilter.readOnly
+          ? {}
+          : { filePath: z.string().min(1).optional().describe('Optional path on the server machine to write the export to') }),
+        reportingCurrency: reportingCurrencyArgument.describe(
+          'Optional ISO currency code; CSV and JSON Lines exports gain the converted amount, rate and rate date'
+        )
+      }
+    },
+    async ({ token, profile, cache, walletIds, ...options }) => {
+      try {
+        if (toolFilter.readOnly && options.filePath) {
+          throw new Error('filePath is not available in read-only mode');
+        }
+        const rates = options.reportingCurrency ? await exchangeRateStore.list() : [];
+        const data = await runWithReadClient({ token, profile }, cache, async client => {
+          const resolvedWalletIds = [];
+          for (const wallet of walletIds ?? []) {
+            resolvedWalletIds.push(await lookupCache.resolveWalletId(client, wallet));
+          }
+          return exportTransactions(client, { ...options, rates, walletIds: resolvedWalletIds });
+        });
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  const transactionFields = {
+    walletId: z.string().min(1).describe('Wallet identifier or name'),
+    categoryId: z.string().min(1).describe('Category identifier, name or path such as "Food > Restaurants"'),
+    amount: z.string().min(1).describe('Transaction amount as string'),
+    note: z.string().optional().describe('Optional transaction note'),
+    date: z
+      .string()
+      .regex(/\d{4}-\d{2}-\d{2}/)
+      .describe('Display date in YYYY-MM-DD format'),
+    with: z
+      .array(z.string())
+      .optional()
+      .describe('Optional array of related parties')
+  };
+
+  registerTool(
+    'sync',
+    {
+      title: 'Sync Offline Mirror',
+      annotations: READ_ONLY,
+      description:
+        'Refresh the local mirror of wallets, categories and transactions used by the cache option of read tools. Only month windows that were never mirrored, were changed through this server, or had not settled when last synced are fetched again; full refetches every window in the range.',
+      inputSchema: {
+        ...tokenArgument,
+        walletIds: z
+          .array(z.string().min(1))
+          .optional()
+          .describe('Wallet identifiers or names; all wallets when omitted'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Start date in YYYY-MM-DD format; defaults to the first day of the month eleven months ago'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('End date in YYYY-MM-DD format; defaults to today'),
+        full: z.boolean().optional().describe('Refetch every window in the range')
+      }
+    },
+    async ({ token, profile, walletIds, ...options }) => {
+      try {
+        const data = await runWithClient({ token, profile }, async client => {
+          const resolvedWalletIds = [];
+          for (const wallet of walletIds ?? []) {
+            resolvedWalletIds.push(await lookupCache.resolveWalletId(client, wallet));
+          }
+          return syncMirror(client, getSession(profile).stores.mirror, { ...options, walletIds: resolvedWalletIds });
+        });
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'get_sync_status',
+    {
+      title: 'Get Sync Status',
+      annotations: READ_ONLY,
+      description:
+        'Report when the offline mirror was last synced and, per wallet, how many categories and transactions it holds, which months it covers and which are stale.',
+      inputSchema: profileArgument
+    },
+    async ({ profile }) => {
+      try {
+        return formatSuccess(await getSyncStatus(getSession(profile).stores.mirror));
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  const currencyCode = z.string().min(3).max(5);
+  const rateDate = z
+    .string()
+    .regex(/\d{4}-\d{2}-\d{2}/)
+    .describe('Date the rate applies from, in YYYY-MM-DD format');
+
+  registerTool(
+    'set_exchange_rate',
+    {
+      title: 'Set Exchange Rate',
+      description:
+        'Add or replace a dated entry in the local exchange-rate table: one unit of "from" is worth "rate" units of "to" from the given date on. The inverse direction is derived automatically.',
+      inputSchema: {
+        from: currencyCode.describe('Source currency code, e.g. USD'),
+        to: currencyCode.describe('Target currency code, e.g. IDR'),
+        rate: z.number().positive().describe('Units of "to" per unit of "from"'),
+        date: rateDate
+      }
+    },
+    async entry => {
+      try {
+        const rate = await exchangeRateStore.set(normalizeExchangeRate(entry));
+        return formatSuccess({ rate, filePath: exchangeRateStore.filePath });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'list_exchange_rates',
+    {
+      title: 'List Exchange Rates',
+      annotations: READ_ONLY,
+      description: 'List the entries of the local exchange-rate table, optionally for one currency.',
+      inputSchema: {
+        currency: currencyCode.optional().describe('Only list rates involving this currency code')
+      }
+    },
+    async ({ currency }) => {
+      try {
+        const code = currency?.trim().toUpperCase();
+        const rates = (await exchangeRateStore.list()).filter(rate => !code || rate.from === code || rate.to === code);
+        return formatSuccess({ rates, filePath: exchangeRateStore.filePath });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'delete_exchange_rate',
+    {
+      title: 'Delete Exchange Rate',
+      description: 'Remove one dated entry from the local exchange-rate table.',
+      inputSchema: {
+        from: currencyCode.describe('Source currency code'),
+        to: currencyCode.describe('Target currency code'),
+        date: rateDate
+      }
+    },
+    async ({ from, to, date }) => {
+      try {
+        const rate = await exchangeRateStore.remove(normalizeExchangeRate({ from, to, date, rate: 1 }));
+        return formatSuccess({ deleted: true, rate });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'convert_currency',
+    {
+      title: 'Convert Currency',
+      annotations: READ_ONLY,
+      description:
+        'Convert an amount between two currencies with the local exchange-rate table, using the latest rate dated on or before the given date (directly, inverted or through one intermediate currency).',
+      inputSchema: {
+        amount: z.number().describe('Amount to convert'),
+        from: currencyCode.describe('Currency code of the amount'),
+        to: currencyCode.describe('Currency code to convert to'),
+        date: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Date whose rate applies, in YYYY-MM-DD format; defaults to today')
+      }
+    },
+    async ({ amount, from, to, date }) => {
+      try {
+        const converter = createCurrencyConverter(await exchangeRateStore.list(), to);
+        return formatSuccess(converter.convert(amount, from, date));
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'add_transaction',
+    {
+      title: 'Add Transaction',
+      description:
+        'Create a new transaction in a wallet. When the API is unreachable or answers with a server error, the write is queued locally and replayed later instead of being lost; the result then has queued: true.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        ...transactionFields,
+        idempotencyKey: z
+          .string()
+          .min(1)
+          .max(200)
+          .optional()
+          .describe('Optional key identifying this write; repeating a call with the same key never creates a second transaction')
+      }
+    },
+    async ({ token, profile, dryRun, idempotencyKey, ...payload }) => {
+      try {
+        const data = await addTransaction({ token, profile }, payload, { idempotencyKey, dryRun });
+        if (!dryRun && !data?.queued && !data?.duplicate) {
+          server.sendResourceListChanged();
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  const columnReference = z.union([z.string().min(1), z.number().int().min(0)]);
+
+  const categoryRulesSchema = z
+    .array(
+      z.object({
+        pattern: z.string().min(1).describe('Case-insensitive substring or /regex/ matched against the note'),
+        category: z.string().min(1).describe('Category identifier or name')
+      })
+    )
+    .optional()
+    .describe('Rules that pick a category from the note; the first match wins');
+
+  registerTool(
+    'flush_pending_writes',
+    {
+      title: 'Flush Pending Writes',
+      description:
+        'Replay writes queued while the Money Lover API was unavailable, oldest first. Stops at the first item that still fails with a network or server error; items the API rejects are marked failed and skipped unless includeFailed is set. Only writes queued by the profile are replayed, with its own session; a token cannot be passed.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        includeFailed: z.boolean().optional().describe('Also retry items previously rejected by the API')
+      }
+    },
+    async ({ token, profile, dryRun, includeFailed }) => {
+      try {
+        const data = await flushWithClient({ token, profile, dryRun }, { includeFailed });
+        if (!dryRun && data.flushed.length > 0) {
+          await dataChanged(profile, { transactions: data.flushed.map(entry => ({ date: entry.payload.date })) });
+        }
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'list_pending_writes',
+    {
+      title: 'List Pending Writes',
+      annotations: READ_ONLY,
+      description: 'List queued writes with their payload, idempotency key, attempt count and last error.',
+      inputSchema: profileArgument,
+      outputSchema: {
+        filePath: z.string(),
+        items: z.array(z.record(z.any()))
+      }
+    },
+    async ({ profile }) => {
+      try {
+        const { outbox } = getSession(profile).stores;
+        return formatSuccess({ filePath: outbox.filePath, items: await outbox.list() });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'discard_pending_write',
+    {
+      title: 'Discard Pending Write',
+      description: 'Remove a queued write without sending it.',
+      inputSchema: {
+        itemId: z.string().min(1).describe('Pending write identifier from list_pending_writes'),
+        ...profileArgument
+      }
+    },
+    async ({ itemId, profile }) => {
+      try {
+        const item = await getSession(profile).stores.outbox.remove(itemId);
+        return formatSuccess({ discarded: true, item });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'import_transactions_csv',
+    {
+      title: 'Import Transactions from CSV',
+      description:
+        'Import a local CSV bank statement. Columns are mapped by header name or zero-based index; amounts come from a signed amount column or from separate debit/credit columns. Rows are written with add_transaction and reported individually. Use dryRun to preview the exact payloads first.',
+      inputSchema: {
+        ...tokenArgument,
+        filePath: z.string().min(1).describe('Path to the CSV file on the server machine'),
+        walletId: z
+          .string()
+          .min(1)
+          .optional()
+          .describe('Wallet identifier or name for every row, unless columns.wallet is mapped'),
+        columns: z
+          .object({
+            date: columnReference.describe('Date column'),
+            amount: columnReference.optional().describe('Signed amount column; negative values are expenses'),
+            debit: columnReference.optional().describe('Debit (money out) column'),
+            credit: columnReference.optional().describe('Credit (money in) column'),
+            note: columnReference.optional().describe('Description column used as the note'),
+            category: columnReference.optional().describe('Category identifier or name column'),
+            wallet: columnReference.optional().describe('Wallet identifier or name column'),
+            counterparty: columnReference.optional().describe('Counterparty column stored in "with"')
+          })
+          .describe('Column mapping'),
+        delimiter: z.string().length(1).optional().describe('Field delimiter; detected from the first line by default'),
+        hasHeader: z.boolean().optional().describe('Whether the first row is a header; defaults to true'),
+        skipRows: z.number().int().min(0).optional().describe('Lines to skip before the header, e.g. bank preambles'),
+        dateFormat: z
+          .string()
+          .optional()
+          .describe('Date pattern using YYYY, YY, MM, M, DD and D tokens, e.g. DD/MM/YYYY; defaults to YYYY-MM-DD'),
+        decimalSeparator: z.enum(['.', ',']).optional().describe('Decimal separator; defaults to "."'),
+        invertSign: z.boolean().optional().describe('Treat positive amounts as expenses (for card statements)'),
+        categoryId: z.string().min(1).optional().describe('Category identifier or name for every row'),
+        expenseCategoryId: z.string().min(1).optional().describe('Fallback category for money-out rows'),
+        incomeCategoryId: z.string().min(1).optional().describe('Fallback category for money-in rows'),
+        categoryRules: categoryRulesSchema,
+        dryRun: z.boolean().optional().describe('Preview payloads without writing anything')
+      }
+    },
+    async ({ token, profile, ...options }) => {
+      try {
+        const data = await runWithClient({ token, profile }, client =>
+          importTransactionsCsv(client, { ...options, resolver: lookupCache, isFatalError: isAuthError })
+        );
+        if (!options.dryRun) {
+          await dataChanged(profile, { transactions: importedChanges(data.rows) });
+        }
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'import_ofx',
+    {
+      title: 'Import OFX Statement',
+      description:
+        'Import an OFX 1.x (SGML), OFX 2.x (XML) or QFX statement file into a wallet. Entries whose FITID was imported before, or that match an existing transaction on amount, date and note, are skipped, so overlapping statements can be imported again safely. Use dryRun to preview.',
+      inputSchema: {
+        ...tokenArgument,
+        filePath: z.string().min(1).describe('Path to the OFX/QFX file on the server machine'),
+        walletId: z.string().min(1).describe('Wallet identifier or name to import into'),
+        categoryId: z.string().min(1).optional().describe('Category identifier or name for every entry'),
+        expenseCategoryId: z.string().min(1).optional().describe('Fallback category for money-out entries'),
+        incomeCategoryId: z.string().min(1).optional().describe('Fallback category for money-in entries'),
+        categoryRules: categoryRulesSchema,
+        dryRun: z.boolean().optional().describe('Preview payloads without writing anything')
+      }
+    },
+    async ({ token, profile, ...options }) => {
+      try {
+        const data = await runWithClient({ token, profile }, client =>
+          importOfx(client, { ...options, resolver: lookupCache, fitidStore, isFatalError: isAuthError })
+        );
+        if (!options.dryRun) {
+          await dataChanged(profile, { transactions: importedChanges(data.entries) });
+        }
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'transfer_between_wallets',
+    {
+      title: 'Transfer Between Wallets',
+      description:
+        'Move money between two wallets by recording an outgoing transfer in the source wallet and an incoming transfer in the destination wallet. The outgoing transaction is rolled back if the incoming one fails.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        fromWalletId: z.string().min(1).describe('Source wallet identifier or name'),
+        toWalletId: z.string().min(1).describe('Destination wallet identifier or name'),
+        amount: z.string().min(1).describe('Transfer amount as string'),
+        note: z.string().optional().describe('Optional note recorded on both transactions'),
+        date: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('Display date in YYYY-MM-DD format')
+      },
+      outputSchema: {
+        outgoingTransactionId: z.string().nullable().optional(),
+        incomingTransactionId: z.string().nullable().optional(),
+        ...dryRunOutput
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, async client =>
+          transferBetweenWallets(client, {
+            fromWalletId: await lookupCache.resolveWalletId(client, payload.fromWalletId),
+            toWalletId: await lookupCache.resolveWalletId(client, payload.toWalletId),
+            amount: payload.amount,
+            note: payload.note,
+            date: payload.date
+          })
+        );
+        if (!dryRun) {
+          await dataChanged(profile, { transactions: [{ date: payload.date }] });
+        }
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  const debtFields = {
+    walletId: z.string().min(1).describe('Wallet identifier or name'),
+    kind: z
+      .enum(['DEBT', 'LOAN'])
+      .describe('DEBT for money you borrowed from the person, LOAN for money you lent to them'),
+    person: z.string().min(1).describe('Counterparty name, stored in the transaction "with" field'),
+    amount: z.string().min(1).describe('Amount as string'),
+    note: z.string().optional().describe('Optional transaction note'),
+    date: z
+      .string()
+      .regex(/\d{4}-\d{2}-\d{2}/)
+      .describe('Display date in YYYY-MM-DD format')
+  };
+
+  registerTool(
+    'record_debt',
+    {
+      title: 'Record Debt or Loan',
+      description:
+        "Record money borrowed from (DEBT) or lent to (LOAN) a person, using the wallet's built-in debt or loan category.",
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        ...debtFields
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, async client =>
+          recordDebt(client, { ...payload, walletId: await resolveWalletId(client, payload.walletId) })
+        );
+        if (!dryRun) {
+          await dataChanged(profile, { transactions: [{ date: payload.date }] });
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'record_debt_repayment',
+    {
+      title: 'Record Debt Repayment',
+      description:
+        'Record a full or partial settlement: a repayment you made on a DEBT, or money collected from a person on a LOAN.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        ...debtFields
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, async client =>
+          recordRepayment(client, { ...payload, walletId: await resolveWalletId(client, payload.walletId) })
+        );
+        if (!dryRun) {
+          await dataChanged(profile, { transactions: [{ date: payload.date }] });
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'get_debt_balances',
+    {
+      title: 'Get Debt Balances',
+      annotations: READ_ONLY,
+      description:
+        'List outstanding balances per counterparty, computed from debt, loan, repayment and debt collection transactions. "owedToYou" is what the person still owes you, "youOwe" is what you still owe them.',
+      inputSchema: {
+        ...tokenArgument,
+        walletId: z.string().min(1).optional().describe('Optional wallet identifier or name; all wallets when omitted'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Optional start date in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Optional end date in YYYY-MM-DD format; defaults to today'),
+        includeSettled: z.boolean().optional().describe('Include counterparties whose balance is settled')
+      },
+      outputSchema: {
+        balances: z.array(z.record(z.any()))
+      }
+    },
+    async ({ token, profile, ...options }) => {
+      try {
+        const balances = await runWithClient({ token, profile }, async client =>
+          getDebtBalances(client, { ...options, walletId: await resolveWalletId(client, options.walletId) })
+        );
+        return formatSuccess({ balances });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'create_recurring_rule',
+    {
+      title: 'Create Recurring Rule',
+      description:
+        'Store a local rule that posts a transaction on a schedule (for rent, subscriptions or salary). Occurrences are posted by run_due_recurring.',
+      inputSchema: {
+        name: z.string().optional().describe('Optional label for the rule'),
+        walletId: z.string().min(1).describe('Wallet identifier'),
+        categoryId: z.string().min(1).describe('Category identifier'),
+        amount: z.string().min(1).describe('Transaction amount as string'),
+        note: z.string().optional().describe('Optional transaction note'),
+        with: z
+          .array(z.string())
+          .optional()
+          .describe('Optional array of related parties'),
+        frequency: z.enum(['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']).describe('Recurrence frequency'),
+        interval: z.number().int().min(1).optional().describe('Repeat every N periods; defaults to 1'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('First occurrence in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .optional()
+          .describe('Optional last possible occurrence in YYYY-MM-DD format'),
+        count: z.number().int().min(1).optional().describe('Optional total number of occurrences'),
+        ...profileArgument
+      }
+    },
+    async ({ profile, ...payload }) => {
+      try {
+        const rule = await createRecurringRule(getSession(profile).stores.recurring, payload);
+        return formatSuccess(rule);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'list_recurring_rules',
+    {
+      title: 'List Recurring Rules',
+      annotations: READ_ONLY,
+      description: 'List stored recurring rules with their next occurrence and the number of occurrences currently due.',
+      inputSchema: profileArgument,
+      outputSchema: {
+        rules: z.array(z.record(z.any()))
+      }
+    },
+    async ({ profile }) => {
+      try {
+        const rules = await listRecurringRules(getSession(profile).stores.recurring);
+        return formatSuccess({ rules });
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'pause_recurring_rule',
+    {
+      title: 'Pause Recurring Rule',
+      description:
+        'Pause or resume a recurring rule. Resuming skips occurrences missed while paused unless skipMissed is false.',
+      inputSchema: {
+        ruleId: z.string().min(1).describe('Recurring rule identifier'),
+        paused: z.boolean().describe('true to pause, false to resume'),
+        skipMissed: z.boolean().optional().describe('When resuming, skip occurrences that fell due while paused'),
+        ...profileArgument
+      }
+    },
+    async ({ ruleId, paused, skipMissed, profile }) => {
+      try {
+        const rule = await setRecurringRulePaused(getSession(profile).stores.recurring, ruleId, paused, { skipMissed });
+        return formatSuccess(rule);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'delete_recurring_rule',
+    {
+      title: 'Delete Recurring Rule',
+      description: 'Delete a stored recurring rule. Transactions it already posted are kept.',
+      inputSchema: {
+        ruleId: z.string().min(1).describe('Recurring rule identifier'),
+        ...profileArgument
+      }
+    },
+    async ({ ruleId, profile }) => {
+      try {
+        const rule = await deleteRecurringRule(getSession(profile).stores.recurring, ruleId);
+        return formatSuccess(rule);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'run_due_recurring',
+    {
+      title: 'Run Due Recurring Rules',
+      description:
+        'Post every occurrence of the active recurring rules that has fallen due since the last run. Each occurrence is posted at most once.',
+      inputSchema: { ...tokenArgument, dryRun: dryRunArgument },
+      outputSchema: {
+        ranAt: z.string().optional(),
+        posted: z.array(z.record(z.any())).optional(),
+        failed: z.array(z.record(z.any())).optional(),
+        ...dryRunOutput
+      }
+    },
+    async ({ token, profile, dryRun }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client =>
+          runDueRecurring(client, getSession(profile).stores.recurring, { isFatalError: isAuthError, dryRun })
+        );
+        if (!dryRun && data.posted.length > 0) {
+          await dataChanged(profile, { transactions: data.posted.map(({ date }) => ({ date })) });
+        }
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'find_duplicate_transactions',
+    {
+      title: 'Find Duplicate Transactions',
+      annotations: READ_ONLY,
+      description:
+        'Scan transactions for likely duplicates and return grouped candidates with a confidence score between 0 and 1, plus a suggestion of which entry to keep. Nothing is deleted; confirm the extras and pass them to remove_duplicate_transactions.',
+      inputSchema: {
+        ...tokenArgument,
+        cache: cacheArgument,
+        walletId: z.string().min(1).optional().describe('Optional wallet identifier or name; all wallets when omitted'),
+        startDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('Start date in YYYY-MM-DD format'),
+        endDate: z
+          .string()
+          .regex(/\d{4}-\d{2}-\d{2}/)
+          .describe('End date in YYYY-MM-DD format'),
+        maxDaysApart: z.number().int().min(0).optional().describe('Maximum days between duplicates; defaults to 1'),
+        sameCategory: z.boolean().optional().describe('Require the same category; defaults to true'),
+        minNoteSimilarity: z
+          .number()
+          .min(0)
+          .max(1)
+          .optional()
+          .describe('Minimum note similarity (0-1) when both notes are set; defaults to 0.6'),
+        amountTolerance: z.number().min(0).optional().describe('Allowed absolute amount difference; defaults to 0'),
+        acrossWallets: z.boolean().optional().describe('Also pair transactions from different wallets')
+      }
+    },
+    async ({ token, profile, cache, walletId, startDate, endDate, ...rules }) => {
+      try {
+        const data = await runWithReadClient({ token, profile }, cache, async client =>
+          findDuplicateTransactions(client, {
+            walletId: await resolveWalletId(client, walletId),
+            startDate,
+            endDate,
+            rules: Object.fromEntries(Object.entries(rules).filter(([, value]) => typeof value !== 'undefined'))
+          })
+        );
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'remove_duplicate_transactions',
+    {
+      title: 'Remove Duplicate Transactions',
+      description:
+        'Delete transactions confirmed as duplicates, typically the suggestedRemoveIds of find_duplicate_transactions. Requires confirm: true.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        transactionIds: z.array(z.string().min(1)).min(1).describe('Identifiers of the transactions to delete'),
+        confirm: z.literal(true).describe('Must be true to confirm the deletion')
+      }
+    },
+    async ({ token, profile, dryRun, transactionIds }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client => removeTransactions(client, transactionIds));
+        if (!dryRun) {
+          await dataChanged(profile, { transactions: transactionIds.map(transactionId => ({ transactionId })) });
+        }
+        return formatSuccess(data);
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'update_transaction',
+    {
+      title: 'Update Transaction',
+      description: 'Edit an existing transaction. All transaction fields are sent, replacing the stored values.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        transactionId: z.string().min(1).describe('Transaction identifier'),
+        ...transactionFields
+      }
+    },
+    async ({ token, profile, dryRun, ...payload }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, async client =>
+          client.editTransaction({
+            transactionId: payload.transactionId,
+            ...(await resolveTransactionTarget(client, payload)),
+            amount: payload.amount,
+            note: payload.note,
+            date: payload.date,
+            with: payload.with
+          })
+        );
+        if (!dryRun) {
+          await dataChanged(profile, { transactions: [{ transactionId: payload.transactionId }, { date: payload.date }] });
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+
+  registerTool(
+    'delete_transaction',
+    {
+      title: 'Delete Transaction',
+      description: 'Delete a transaction by its identifier.',
+      inputSchema: {
+        ...tokenArgument,
+        dryRun: dryRunArgument,
+        transactionId: z.string().min(1).describe('Transaction identifier')
+      }
+    },
+    async ({ token, profile, dryRun, transactionId }) => {
+      try {
+        const data = await runWithClient({ token, profile, dryRun }, client => client.deleteTransaction(transactionId));
+        if (!dryRun) {
+          await dataChanged(profile, { transactions: [{ transactionId }] });
+        }
+        return formatSuccess(data ?? {});
+      } catch (error) {
+        return formatError(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  );
+};
+
+const RESOURCE_MIME_TYPE = 'application/json';
+
+const jsonResource = (uri, data) => ({
+  contents: [{ uri: uri.href, mimeType: RESOURCE_MIME_TYPE, text: JSON.stringify(data, null, 2) }]
+});
+
+const recentMonths = (count, today = new Date()) => {
+  const current = `${toDateString(today).slice(0, 7)}-01`;
+  return Array.from({ length: count }, (_, index) => addMonths(current, -index).slice(0, 7));
+};
+
+// Listing and completion are best effort: without default credentials (tokens
+// passed per tool) or when the API fails they offer no wallets, rather than
+// failing the whole resources/list request.
+const listDefaultWallets = async () => {
+  try {
+    return (await runWithClient(undefined, client => lookupCache.getWallets(client))) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+const listWalletResources = async (suffix, describe) => {
+  const wallets = await listDefaultWallets();
+  return {
+    resources: wallets.map(wallet => ({
+      uri: `moneylover://wallet/${getRefId(wallet)}/${suffix}`,
+      name: `${wallet.name ?? getRefId(wallet)} ${describe}`,
+      mimeType: RESOURCE_MIME_TYPE
+    }))
+  };
+};
+
+const completeWalletId = async value => {
+  const wallets = await listDefaultWallets();
+  return wallets.map(wallet => getRefId(wallet)).filter(id => id?.startsWith(value ?? ''));
+};
+
+/**
+ * Exposes wallets, categories and monthly transactions as read-only resources.
+ * They use the default profile, like tools called without a token or profile;
+ * `{walletId}` also accepts a wallet name.
+ */
+const registerMoneyloverResources = (server, { readOnly = false } = {}) => {
+  const inContext = fn => (...args) => serverContext.run({ readOnly }, () => fn(...args));
+
+  server.registerResource(
+    'wallets',
+    'moneylover://wallets',
+    {
+      title: 'Wallets',
+      description: 'All wallets accessible to the authenticated user.',
+      mimeType: RESOURCE_MIME_TYPE
+    },
+    inContext(async uri =>
+      jsonResource(uri, { wallets: (await runWithClient(undefined, client => client.getWallets())) ?? [] })
+    )
+  );
+
+  server.registerResource(
+    'wallet-categories',
+    new ResourceTemplate('moneylover://wallet/{walletId}/categories', {
+      list: inContext(() => listWalletResources('categories', 'categories')),
+      complete: { walletId: inContext(completeWalletId) }
+    }),
+    {
+      title: 'Wallet Categories',
+      description: 'Categories of a wallet.',
+      mimeType: RESOURCE_MIME_TYPE
+    },
+    inContext(async (uri, { walletId }) => {
+      const categories = await runWithClient(undefined, async client =>
+        client.getCategories(await lookupCache.resolveWalletId(client, decodeURIComponent(walletId)))
+      );
+      return jsonResource(uri, { categories: categories ?? [] });
+    })
+  );
+
+  server.registerResource(
+    'wallet-transactions',
+    new ResourceTemplate('moneylover://wallet/{walletId}/transactions/{month}', {
+      list: inContext(() =>
+        listWalletResources(`transactions/${recentMonths(1)[0]}`, `transactions ${recentMonths(1)[0]}`)
+      ),
+      complete: {
+        walletId: inContext(completeWalletId),
+        month: value => recentMonths(12).filter(month => month.startsWith(value ?? ''))
+      }
+    }),
+    {
+      title: 'Wallet Transactions by Month',
+      description: 'Transactions of a wallet in one calendar month (YYYY-MM).',
+      mimeType: RESOURCE_MIME_TYPE
+    },
+    inContext(async (uri, { walletId, month }) => {
+      const { startDate, endDate } = getMonthRange(month);
+      const data = await runWithClient(undefined, async client =>
+        client.getTransactions(await lookupCache.resolveWalletId(client, decodeURIComponent(walletId)), startDate, endDate)
+      );
+      return jsonResource(uri, { startDate, endDate, ...(data ?? {}) });
+    })
+  );
+};
+
+const userPrompt = (description, text) => ({
+  description,
+  messages: [{ role: 'user', content: { type: 'text', text } }]
+});
+
+/**
+ * Prompt templates for recurring workflows. Each one spells out which tools to
+ * call with which arguments, so any MCP client can run them as-is.
+ */
+const registerMoneyloverPrompts = server => {
+  server.registerPrompt(
+    'monthly_review',
+    {
+      title: 'Monthly Review',
+      description: 'Review income, spending and budgets of a wallet for one month, compared with the month before.',
+      argsSchema: {
+        walletId: z.string().min(1).describe('Wallet identifier or name'),
+        month: z
+          .string()
+          .regex(/^\d{4}-(0[1-9]|1[0-2])$/)
+          .describe('Month to review in YYYY-MM format'),
+        reportingCurrency: z.string().min(3).optional().describe('Optional currency code to convert amounts to')
+      }
+    },
+    args => userPrompt(`Monthly review of ${args.walletId} for ${args.month}`, buildMonthlyReviewPrompt(args))
+  );
+
+  server.registerPrompt(
+    'categorize_and_log',
+    {
+      title: 'Categorize and Log',
+      description: 'Turn a receipt or free-text description into categorized transactions and log them after confirmation.',
+      argsSchema: {
+        text: z.string().min(1).describe('Receipt text or a description such as "lunch with Budi 45k yesterday"'),
+        walletId: z.string().min(1).optional().describe('Optional wallet identifier or name to log into')
+      }
+    },
+    args => userPrompt('Categorize and log transactions', buildCategorizeAndLogPrompt(args))
+  );
+
+  server.registerPrompt(
+    'budget_checkup',
+    {
+      title: 'Budget Checkup',
+      description: 'Check budget progress, explain where the money went this month and flag budgets at risk.',
+      argsSchema: {
+        walletId: z.string().min(1).optional().describe('Optional wallet identifier or name; all wallets when omitted')
+      }
+    },
+    args => userPrompt('Budget checkup', buildBudgetCheckupPrompt(args))
+  );
+};
+
+/**
+ * Creates the MCP server. `readOnly`, `allowedTools` and `blockedTools` limit
+ * the tools it exposes (see toolPolicy.js); resources and prompts only read.
+ */
+export const createMoneyloverServer = ({ readOnly, allowedTools, blockedTools } = {}) => {
+  const server = new McpServer({
+    name: 'moneylover-mcp-server',
+    version: '0.0.3'
+  });
+  const toolFilter = createToolFilter({ readOnly, allowedTools, blockedTools });
+  registerMoneyloverTools(server, toolFilter);
+  toolFilter.assertKnownTools();
+  registerMoneyloverResources(server, { readOnly: toolFilter.readOnly });
+  registerMoneyloverPrompts(server);
+  return server;
+};
+
+/**
+ * Starts the server on stdio, or on Streamable HTTP when selected through
+ * `--http`/`--transport` or `MONEYLOVER_MCP_TRANSPORT` (see serverOptions.js).
+ * Explicit `options` override both.
+ */
+export const startMoneyloverServer = async (options = {}) => {
+  loadEnvFileIfNeeded();
+  const config = { ...resolveServerOptions(process.argv.slice(2), process.env), ...options };
+  if (config.transport === 'http') {
+    // Fails at startup on a bad tool configuration rather than on the first request.
+    createMoneyloverServer(config);
+    const httpServer = await startHttpServer({ ...config, createServer: () => createMoneyloverServer(config) });
+    console.error(`Money Lover MCP server listening on ${httpServer.url}`);
+    return httpServer;
+  }
+  const server = createMoneyloverServer(config);
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  return { server, transport };
+};
+
+// Shared with the command-line interface so that both use the same sessions,
+// token cache and outbox.
+export { addTransaction, getSession, loginWithPassword, lookupCache, runWithClient };
 
 export const __test = {
   hasEnvCredentials,
@@ -471,11 +2275,7 @@ export const __test = {
   runWithResolvedToken,
   runWithClient,
   clearEnvTokenCache: () => {
-    cachedEnvEmail = '';
-    cachedEnvToken = '';
-    envTokenPromise = null;
-    cacheLoaded = false;
-    cachedEnvUsesDirectToken = false;
+    sessions.clear();
     envFileLoaded = false;
   }
 };
@@ -0,0 +1,69 @@
+import { DEFAULT_HTTP_HOST, DEFAULT_HTTP_PATH, DEFAULT_HTTP_PORT } from './httpServer.js';
+import { parseToolList } from './toolPolicy.js';
+
+export const TRANSPORTS = Object.freeze(['stdio', 'http']);
+
+const readFlags = argv => {
+  const flags = new Map();
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      continue;
+    }
+    const separator = arg.indexOf('=');
+    if (separator !== -1) {
+      flags.set(arg.slice(2, separator), arg.slice(separator + 1));
+    } else if (argv[index + 1] && !argv[index + 1].startsWith('--')) {
+      flags.set(arg.slice(2), argv[index + 1]);
+      index += 1;
+    } else {
+      flags.set(arg.slice(2), true);
+    }
+  }
+  return flags;
+};
+
+/**
+ * Resolves how the server is exposed. Command-line flags (`--http`,
+ * `--transport`, `--host`, `--port`, `--path`) win over the
+ * `MONEYLOVER_MCP_TRANSPORT`, `MONEYLOVER_MCP_HOST`, `MONEYLOVER_MCP_PORT` and
+ * `MONEYLOVER_MCP_PATH` environment variables. The bearer token is only read
+ * from `MONEYLOVER_MCP_HTTP_TOKEN` so that it never shows up in process lists.
+ * `--read-only`, `--tools` and `--disable-tools` (or `MONEYLOVER_MCP_READ_ONLY`,
+ * `MONEYLOVER_MCP_TOOLS` and `MONEYLOVER_MCP_DISABLED_TOOLS`) limit the tools
+ * that are exposed; lists are comma-separated tool names.
+ */
+export const resolveServerOptions = (argv = [], env = {}) => {
+  const flags = readFlags(argv);
+  const value = (flag, envKey) => {
+    const raw = flags.get(flag);
+    return typeof raw === 'string' ? raw.trim() : env[envKey]?.trim() || undefined;
+  };
+
+  const transport = (flags.get('http') === true ? 'http' : value('transport', 'MONEYLOVER_MCP_TRANSPORT') ?? 'stdio').toLowerCase();
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`transport must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+
+  const rawPort = value('port', 'MONEYLOVER_MCP_PORT');
+  const port = typeof rawPort === 'undefined' ? DEFAULT_HTTP_PORT : Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${rawPort}`);
+  }
+
+  const path = value('path', 'MONEYLOVER_MCP_PATH') ?? DEFAULT_HTTP_PATH;
+  const readOnly =
+    flags.get('read-only') === true || ['1', 'true'].includes(env.MONEYLOVER_MCP_READ_ONLY?.trim().toLowerCase());
+  return {
+    transport,
+    host: value('host', 'MONEYLOVER_MCP_HOST') ?? DEFAULT_HTTP_HOST,
+    port,
+    path: path.startsWith('/') ? path : `/${path}`,
+    authToken: env.MONEYLOVER_MCP_HTTP_TOKEN?.trim() || undefined,
+    readOnly,
+    allowedTools: parseToolList(value('tools', 'MONEYLOVER_MCP_TOOLS')),
+    blockedTools: parseToolList(value('disable-tools', 'MONEYLOVER_MCP_DISABLED_TOOLS'))
+  };
+};
+
+export default resolveServerOptions;
@@ -0,0 +1,45 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+
+export const CACHE_DIR = path.join(os.homedir(), '.moneylover-mcp');
+
+export const ensureCacheDir = async (dir = CACHE_DIR) => {
+  try {
+    await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+};
+
+export const readJsonFile = async (filePath, fallback = null) => {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Writes JSON through a temporary file and a rename so that a crash never leaves a
+ * half-written store behind. Files are readable by the current user only.
+ */
+export const writeJsonFile = async (filePath, data) => {
+  await ensureCacheDir(path.dirname(filePath));
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(tempPath, filePath);
+};
+
+export default {
+  CACHE_DIR,
+  ensureCacheDir,
+  readJsonFile,
+  writeJsonFile
+};
@@ -1,32 +1,99 @@
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
-import os from 'node:os';
+import { DecryptionError, decryptJson, encryptJson, isEncryptedEnvelope } from './encryption.js';
+import { getTokenExpiry } from './jwt.js';
+import { DEFAULT_PROFILE } from './profiles.js';
+import { CACHE_DIR, ensureCacheDir } from './storage.js';
 
-const CACHE_DIR = path.join(os.homedir(), '.moneylover-mcp');
+const KEY_ENV = 'MONEYLOVER_TOKEN_CACHE_KEY';
+const KEY_FILE_ENV = 'MONEYLOVER_TOKEN_CACHE_KEY_FILE';
+
+export class TokenCacheError extends Error {
+  constructor(message, { code, detail } = {}) {
+    super(message);
+    this.name = 'TokenCacheError';
+    this.code = code ?? null;
+    if (detail) {
+      this.detail = detail;
+    }
+  }
+}
 
 const encodeEmail = email => Buffer.from(email, 'utf8').toString('base64url');
 
-const getTokenPath = email => path.join(CACHE_DIR, `${encodeEmail(email)}.json`);
+// Tokens of the default profile keep the file name used before profiles
+// existed, so upgrading does not force a new login.
+const getTokenPath = (email, profile = DEFAULT_PROFILE) =>
+  path.join(
+    CACHE_DIR,
+    profile === DEFAULT_PROFILE ? `${encodeEmail(email)}.json` : `profile-${profile}-${encodeEmail(email)}.json`
+  );
 
-const ensureCacheDir = async () => {
+// The token cache is encrypted when a passphrase is configured, either directly
+// or through a key file; otherwise tokens are stored as plain JSON.
+const getPassphrase = async () => {
+  const passphrase = process.env[KEY_ENV];
+  if (passphrase) {
+    return passphrase;
+  }
+  const keyFile = process.env[KEY_FILE_ENV]?.trim();
+  if (!keyFile) {
+    return null;
+  }
+  let contents;
   try {
-    await fs.mkdir(CACHE_DIR, { recursive: true, mode: 0o700 });
+    contents = (await fs.readFile(keyFile, 'utf8')).trim();
   } catch (error) {
-    if (error.code !== 'EEXIST') {
+    throw new TokenCacheError(`Unable to read token cache key file ${keyFile}: ${error.message}`, {
+      code: 'KEY_FILE_UNREADABLE'
+    });
+  }
+  if (!contents) {
+    throw new TokenCacheError(`Token cache key file ${keyFile} is empty`, { code: 'KEY_FILE_UNREADABLE' });
+  }
+  return contents;
+};
+
+// Binds an encrypted entry to its email and profile so that entries cannot be
+// swapped between files.
+const encryptionContext = (email, profile = DEFAULT_PROFILE) => `moneylover-mcp-token:${profile}:${email}`;
+
+const writeEntry = async (filePath, payload) => {
+  await ensureCacheDir(path.dirname(filePath));
+  await fs.writeFile(filePath, JSON.stringify(payload, null, 2), { mode: 0o600 });
+  try {
+    await fs.chmod(filePath, 0o600);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
       throw error;
     }
   }
 };
 
-export const readToken = async email => {
-  if (!email) {
+// The expiry decoded from the token's `exp` claim is stored next to it (inside
+// the encrypted payload when encryption is on).
+const buildEntry = async (email, token, profile) => {
+  const passphrase = await getPassphrase();
+  const contents = { token, expiresAt: getTokenExpiry(token)?.toISOString() ?? null };
+  const updatedAt = new Date().toISOString();
+  if (!passphrase) {
+    return { ...contents, updatedAt };
+  }
+  return { encrypted: await encryptJson(contents, passphrase, encryptionContext(email, profile)), updatedAt };
+};
+
+// Entries written before expiries were stored fall back to the token's claim.
+const usableToken = ({ token, expiresAt }) => {
+  if (typeof token !== 'string' || !token) {
     return null;
   }
+  const expiry = expiresAt ? new Date(expiresAt) : getTokenExpiry(token);
+  return expiry && expiry.getTime() <= Date.now() ? null : token;
+};
+
+const readEntry = async filePath => {
   try {
-    const raw = await fs.readFile(getTokenPath(email), 'utf8');
-    const data = JSON.parse(raw);
-    const token = data?.token;
-    return typeof token === 'string' && token ? token : null;
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
   } catch (error) {
     if (error.code === 'ENOENT') {
       return null;
@@ -35,19 +102,58 @@ export const readToken = async email => {
   }
 };
 
-export const writeToken = async (email, token) => {
+// Expired tokens are treated as missing, so callers log in again instead of
+// sending a request that is bound to fail.
+export const readToken = async (email, { profile } = {}) => {
+  if (!email) {
+    return null;
+  }
+  const filePath = getTokenPath(email, profile);
+  const data = await readEntry(filePath);
+  if (!data) {
+    return null;
+  }
+
+  const passphrase = await getPassphrase();
+  if (isEncryptedEnvelope(data.encrypted)) {
+    if (!passphrase) {
+      throw new TokenCacheError(
+        `The cached token for ${email} is encrypted; set ${KEY_ENV} or ${KEY_FILE_ENV}, or clear the cached sessions`,
+        { code: 'KEY_REQUIRED' }
+      );
+    }
+    try {
+      return usableToken(await decryptJson(data.encrypted, passphrase, encryptionContext(email, profile)));
+    } catch (error) {
+      if (error instanceof DecryptionError) {
+        throw new TokenCacheError(
+          `Unable to decrypt the cached token for ${email}: wrong token cache key. ` +
+            `Check ${KEY_ENV} or ${KEY_FILE_ENV}, or clear the cached sessions.`,
+          { code: 'WRONG_KEY' }
+        );
+      }
+      throw error;
+    }
+  }
+
+  const token = usableToken(data);
+  // Plaintext entries written before a key was configured are encrypted in place.
+  if (token && passphrase) {
+    await writeEntry(filePath, await buildEntry(email, token, profile));
+  }
+  return token;
+};
+
+export const writeToken = async (email, token, { profile } = {}) => {
   if (!email || !token) {
     return;
   }
-  await ensureCacheDir();
-  const payload = {
-    token,
-    updatedAt: new Date().toISOString()
-  };
-  const filePath = getTokenPath(email);
-  await fs.writeFile(filePath, JSON.stringify(payload, null, 2), { mode: 0o600 });
+  await writeEntry(getTokenPath(email, profile), await buildEntry(email, token, profile));
+};
+
+const unlinkIfExists = async filePath => {
   try {
-    await fs.chmod(filePath, 0o600);
+    await fs.unlink(filePath);
   } catch (error) {
     if (error.code !== 'ENOENT') {
       throw error;
@@ -55,17 +161,54 @@ export const writeToken = async (email, token) => {
   }
 };
 
-export const removeToken = async email => {
+export const removeToken = async (email, { profile } = {}) => {
   if (!email) {
     return;
   }
+  await unlinkIfExists(getTokenPath(email, profile));
+};
+
+const isTokenEntry = data => typeof data?.token === 'string' || isEncryptedEnvelope(data?.encrypted);
+
+/**
+ * Deletes the cached tokens of `email` under every profile, or every cached
+ * token when no email is given. Entries are removed without decrypting them,
+ * so this also recovers from a lost key. Returns the number of files removed.
+ */
+export const clearTokens = async ({ email } = {}) => {
+  let names;
   try {
-    await fs.unlink(getTokenPath(email));
+    names = await fs.readdir(CACHE_DIR);
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      throw error;
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const suffix = email ? `${encodeEmail(email)}.json` : null;
+  let removed = 0;
+  for (const name of names) {
+    if (!name.endsWith('.json')) {
+      continue;
+    }
+    if (suffix && name !== suffix && !(name.startsWith('profile-') && name.endsWith(`-${suffix}`))) {
+      continue;
+    }
+    const filePath = path.join(CACHE_DIR, name);
+    let data;
+    try {
+      data = await readEntry(filePath);
+    } catch {
+      continue;
+    }
+    if (!isTokenEntry(data)) {
+      continue;
     }
+    await unlinkIfExists(filePath);
+    removed += 1;
   }
+  return removed;
 };
 
 export const __test = {
@@ -77,5 +220,6 @@ export const __test = {
 export default {
   readToken,
   writeToken,
-  removeToken
+  removeToken,
+  clearTokens
 };
@@ -0,0 +1,53 @@
+// Tools that only read are registered with the MCP `readOnlyHint` annotation.
+// Everything else counts as a write, so a new tool stays hidden in read-only mode
+// until it is explicitly marked as safe.
+export const READ_ONLY = Object.freeze({ readOnlyHint: true });
+
+export const isReadOnlyTool = config => config?.annotations?.readOnlyHint === true;
+
+export const parseToolList = value => {
+  if (Array.isArray(value)) {
+    return value.map(name => String(name).trim()).filter(Boolean);
+  }
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const names = value
+    .split(/[\s,]+/)
+    .map(name => name.trim())
+    .filter(Boolean);
+  return names.length > 0 ? names : undefined;
+};
+
+/**
+ * Decides which tools a server exposes: with `readOnly` only read-only tools,
+ * with `allowedTools` only the listed ones, and never those in `blockedTools`.
+ * `assertKnownTools` rejects listed names that match no registered tool, which
+ * are most likely typos that would otherwise silently expose or hide tools.
+ */
+export const createToolFilter = ({ readOnly = false, allowedTools, blockedTools } = {}) => {
+  const allowed = allowedTools?.length ? new Set(allowedTools) : null;
+  const blocked = new Set(blockedTools ?? []);
+  const registered = new Set();
+
+  return {
+    readOnly,
+
+    isEnabled: (name, config) => {
+      registered.add(name);
+      if (readOnly && !isReadOnlyTool(config)) {
+        return false;
+      }
+      return (!allowed || allowed.has(name)) && !blocked.has(name);
+    },
+
+    assertKnownTools: () => {
+      const unknown = [...(allowed ?? []), ...blocked].filter(name => !registered.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown tool name(s) in the tool configuration: ${[...new Set(unknown)].join(', ')}`);
+      }
+    }
+  };
+};
+
+export default createToolFilter;
@@ -0,0 +1,269 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { CategoryType } from './moneyloverClient.js';
+import { getCategoryId, getCategoryPaths } from './categories.js';
+import { createCurrencyConverter, getWalletCurrency } from './currency.js';
+import {
+  extractTransactions,
+  getRefId,
+  getTransactionAmount,
+  getTransactionCategoryId,
+  getTransactionDate,
+  getTransactionType,
+  getTransactionWalletId
+} from './transactions.js';
+
+export const EXPORT_FORMATS = Object.freeze(['csv', 'jsonl', 'ofx', 'qif']);
+
+// OFX and QIF statements are per account and carry a single currency each.
+const CONVERTIBLE_FORMATS = new Set(['csv', 'jsonl']);
+
+const getCounterparties = transaction =>
+  (Array.isArray(transaction?.with) ? transaction.with : [])
+    .map(party => (typeof party === 'string' ? party : party?.name ?? '').trim())
+    .filter(Boolean);
+
+/**
+ * Flattens a raw transaction into a format-neutral record with wallet and
+ * category names resolved. `amount` is signed: expenses are negative. With a
+ * `converter` the record also carries the amount in the reporting currency and
+ * the rate used.
+ */
+export const toExportRecord = (transaction, { wallet, categoriesById, categoryPaths, converter }) => {
+  const categoryId = getTransactionCategoryId(transaction);
+  const category = categoriesById.get(categoryId) ?? (typeof transaction?.category === 'object' ? transaction.category : null);
+  const type = getTransactionType(transaction, categoriesById);
+  const amount = getTransactionAmount(transaction);
+  const signedAmount = type === CategoryType.EXPENSE ? -amount : amount;
+  const record = {
+    id: getRefId(transaction?._id ?? transaction?.id),
+    date: getTransactionDate(transaction),
+    walletId: getRefId(wallet) ?? getTransactionWalletId(transaction),
+    wallet: wallet?.name ?? '',
+    currency: getWalletCurrency(wallet),
+    categoryId,
+    category: category?.name ?? '',
+    categoryPath: categoryPaths.get(categoryId) ?? category?.name ?? '',
+    type: type === CategoryType.INCOME ? 'income' : type === CategoryType.EXPENSE ? 'expense' : 'unknown',
+    amount: signedAmount,
+    note: typeof transaction?.note === 'string' ? transaction.note : '',
+    with: getCounterparties(transaction)
+  };
+  if (converter) {
+    const converted = converter.convert(signedAmount, record.currency, record.date);
+    record.reportingAmount = converted.amount;
+    record.reportingCurrency = converted.currency;
+    record.rate = converted.rate;
+    record.rateDate = converted.rateDate;
+  }
+  return record;
+};
+
+const csvCell = value => {
+  const text = value === null || typeof value === 'undefined' ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+const toCsv = (records, { reportingCurrency } = {}) => {
+  const header = ['Date', 'Wallet', 'Category', 'Type', 'Amount', 'Currency', 'Note', 'With', 'ID'];
+  if (reportingCurrency) {
+    header.push(`Amount (${reportingCurrency})`, 'Rate', 'Rate Date');
+  }
+  const lines = records.map(record =>
+    [
+      record.date,
+      record.wallet,
+      record.categoryPath,
+      record.type,
+      record.amount,
+      record.currency,
+      record.note,
+      record.with.join('; '),
+      record.id,
+      ...(reportingCurrency ? [record.reportingAmount, record.rate, record.rateDate] : [])
+    ]
+      .map(csvCell)
+      .join(',')
+  );
+  return `${[header.join(','), ...lines].join('\r\n')}\r\n`;
+};
+
+const toJsonLines = records => records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+
+const xmlEscape = value =>
+  String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+
+const ofxDate = date => (date ? date.replaceAll('-', '') : '');
+
+const groupByWallet = records => {
+  const groups = new Map();
+  for (const record of records) {
+    if (!groups.has(record.walletId)) {
+      groups.set(record.walletId, []);
+    }
+    groups.get(record.walletId).push(record);
+  }
+  return groups;
+};
+
+/**
+ * Writes an OFX 2.2 XML document with one bank statement per wallet. The wallet
+ * identifier becomes the account id and the transaction id becomes the FITID.
+ * `currency` is only used for wallets whose currency is unknown; without it
+ * such a wallet fails the export rather than being labelled with a guess.
+ */
+const toOfx = (records, { startDate, endDate, currency, now }) => {
+  const statements = [...groupByWallet(records)].map(([walletId, items]) => {
+    const walletCurrency = items[0].currency ?? currency;
+    if (!walletCurrency) {
+      throw new Error(`Wallet ${items[0].wallet || walletId} has no known currency, which OFX statements require`);
+    }
+    const transactions = items
+      .map(
+        record => `          <STMTTRN>
+            <TRNTYPE>${record.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>
+            <DTPOSTED>${ofxDate(record.date)}</DTPOSTED>
+            <TRNAMT>${record.amount}</TRNAMT>
+            <FITID>${xmlEscape(record.id)}</FITID>
+            <NAME>${xmlEscape((record.with[0] ?? record.categoryPath).slice(0, 32))}</NAME>
+            <MEMO>${xmlEscape(record.note || record.categoryPath)}</MEMO>
+          </STMTTRN>`
+      )
+      .join('\n');
+    return `    <STMTTRNRS>
+      <TRNUID>${xmlEscape(walletId)}</TRNUID>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <STMTRS>
+        <CURDEF>${xmlEscape(walletCurrency)}</CURDEF>
+        <BANKACCTFROM>
+          <BANKID>MONEYLOVER</BANKID>
+          <ACCTID>${xmlEscape(walletId)}</ACCTID>
+          <ACCTTYPE>CHECKING</ACCTTYPE>
+        </BANKACCTFROM>
+        <BANKTRANLIST>
+          <DTSTART>${ofxDate(startDate)}</DTSTART>
+          <DTEND>${ofxDate(endDate)}</DTEND>
+${transactions}
+        </BANKTRANLIST>
+      </STMTRS>
+    </STMTTRNRS>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+  <SIGNONMSGSRSV1>
+    <SONRS>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <DTSERVER>${now.toISOString().replace(/[-:T]/g, '').slice(0, 14)}</DTSERVER>
+      <LANGUAGE>ENG</LANGUAGE>
+    </SONRS>
+  </SIGNONMSGSRSV1>
+  <BANKMSGSRSV1>
+${statements.join('\n')}
+  </BANKMSGSRSV1>
+</OFX>
+`;
+};
+
+const qifDate = date => (date ? `${date.slice(5, 7)}/${date.slice(8, 10)}/${date.slice(0, 4)}` : '');
+
+const qifLine = value => String(value ?? '').replace(/[\r\n]+/g, ' ');
+
+/**
+ * Writes QIF with an `!Account` block per wallet. Category paths use QIF's
+ * `Parent:Child` notation.
+ */
+const toQif = records => {
+  const blocks = [...groupByWallet(records)].map(([, items]) => {
+    const entries = items.map(record =>
+      [
+        `D${qifDate(record.date)}`,
+        `T${record.amount}`,
+        record.with.length ? `P${qifLine(record.with.join(', '))}` : null,
+        record.note ? `M${qifLine(record.note)}` : null,
+        record.categoryPath ? `L${qifLine(record.categoryPath.split(' > ').join(':'))}` : null,
+        '^'
+      ]
+        .filter(Boolean)
+        .join('\n')
+    );
+    return [`!Account`, `N${qifLine(items[0].wallet || items[0].walletId)}`, 'TBank', '^', '!Type:Bank', ...entries].join('\n');
+  });
+  return blocks.length ? `${blocks.join('\n')}\n` : '';
+};
+
+export const formatRecords = (records, format, options = {}) => {
+  switch (format) {
+    case 'csv':
+      return toCsv(records, options);
+    case 'jsonl':
+      return toJsonLines(records);
+    case 'ofx':
+      return toOfx(records, { now: new Date(), ...options });
+    case 'qif':
+      return toQif(records);
+    default:
+      throw new Error(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+};
+
+/**
+ * Loads transactions for the given wallets (every wallet when none are given)
+ * as export records sorted by date, with category and wallet names resolved.
+ */
+export const loadTransactionRecords = async (client, { walletIds, startDate, endDate, converter = null }) => {
+  const wallets = (await client.getWallets()) ?? [];
+  const walletsById = new Map(wallets.map(wallet => [getRefId(wallet), wallet]));
+  const ids = Array.isArray(walletIds) && walletIds.length > 0 ? walletIds : [...walletsById.keys()].filter(Boolean);
+
+  const records = [];
+  for (const walletId of ids) {
+    const categories = (await client.getCategories(walletId)) ?? [];
+    const categoriesById = new Map(categories.map(category => [getCategoryId(category), category]));
+    const categoryPaths = getCategoryPaths(categories);
+
+    const wallet = walletsById.get(walletId) ?? { _id: walletId };
+    const data = await client.getTransactions(walletId, startDate, endDate);
+    for (const transaction of extractTransactions(data)) {
+      records.push(toExportRecord(transaction, { wallet, categoriesById, categoryPaths, converter }));
+    }
+  }
+  return records.sort((a, b) => (a.date ?? '').localeCompare(b.date ?? '') || a.wallet.localeCompare(b.wallet));
+};
+
+/**
+ * Renders the records of `loadTransactionRecords` in `format`. With `filePath`
+ * the result is written to disk; otherwise it is returned inline. CSV and JSON
+ * Lines exports can add amounts converted to `reportingCurrency` using the
+ * dated `rates` table.
+ */
+export const exportTransactions = async (
+  client,
+  { walletIds, startDate, endDate, format, filePath, reportingCurrency, rates = [] }
+) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (reportingCurrency && !CONVERTIBLE_FORMATS.has(format)) {
+    throw new Error('reportingCurrency is only supported for csv and jsonl exports');
+  }
+  const converter = reportingCurrency ? createCurrencyConverter(rates, reportingCurrency) : null;
+  const records = await loadTransactionRecords(client, { walletIds, startDate, endDate, converter });
+
+  const content = formatRecords(records, format, { startDate, endDate, reportingCurrency: converter?.reportingCurrency });
+  if (!filePath) {
+    return { format, count: records.length, content };
+  }
+  const resolved = path.resolve(filePath);
+  // Exports hold full financial history, so like the other local files they are
+  // only readable by the current user, even when an existing file is replaced.
+  await fs.writeFile(resolved, content, { encoding: 'utf8', mode: 0o600 });
+  await fs.chmod(resolved, 0o600);
+  return { format, count: records.length, filePath: resolved, bytes: Buffer.byteLength(content) };
+};
+
+export default exportTransactions;
@@ -0,0 +1,54 @@
+import { CategoryType } from './moneyloverClient.js';
+import { toDateString } from './dateUtils.js';
+
+// `getTransactions` responds with `{ daterange, transactions }`, where category and
+// wallet references are either populated objects or bare identifiers.
+
+export const extractTransactions = data => {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  return Array.isArray(data?.transactions) ? data.transactions : [];
+};
+
+export const getRefId = value => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value._id ?? value.id ?? null;
+  }
+  return String(value);
+};
+
+export const getTransactionCategoryId = transaction => getRefId(transaction?.category);
+
+export const getTransactionWalletId = transaction => getRefId(transaction?.account);
+
+export const getTransactionDate = transaction => toDateString(transaction?.displayDate ?? transaction?.date);
+
+export const getTransactionAmount = transaction => {
+  const amount = Number(transaction?.amount);
+  return Number.isFinite(amount) ? Math.abs(amount) : 0;
+};
+
+/**
+ * Resolves the category type of a transaction, preferring the populated category
+ * and falling back to a lookup map of categories keyed by identifier.
+ */
+export const getTransactionType = (transaction, categoriesById) => {
+  const category = transaction?.category;
+  if (category && typeof category === 'object' && typeof category.type !== 'undefined') {
+    return Number(category.type);
+  }
+  const known = categoriesById?.get?.(getTransactionCategoryId(transaction));
+  return typeof known?.type !== 'undefined' ? Number(known.type) : null;
+};
+
+export const isExpense = (transaction, categoriesById) =>
+  getTransactionType(transaction, categoriesById) === CategoryType.EXPENSE;
+
+export const isIncome = (transaction, categoriesById) =>
+  getTransactionType(transaction, categoriesById) === CategoryType.INCOME;
+
+export const roundAmount = value => Math.round(value * 100) / 100;
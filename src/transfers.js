@@ -0,0 +1,92 @@
+import { findSpecialCategory, getCategoryId } from './categories.js';
+
+export class WalletTransferError extends Error {
+  constructor(message, { detail } = {}) {
+    super(message);
+    this.name = 'WalletTransferError';
+    if (detail) {
+      this.detail = detail;
+    }
+  }
+}
+
+const getTransactionId = result => result?._id ?? result?.id ?? null;
+
+const requireTransferCategory = async (client, walletId, kind) => {
+  const categories = (await client.getCategories(walletId)) ?? [];
+  const category = findSpecialCategory(categories, kind);
+  const categoryId = getCategoryId(category);
+  if (!categoryId) {
+    const label = kind === 'OUTGOING_TRANSFER' ? 'outgoing' : 'incoming';
+    throw new WalletTransferError(`Wallet ${walletId} has no ${label} transfer category`, {
+      detail: { walletId }
+    });
+  }
+  return categoryId;
+};
+
+/**
+ * Moves money between two wallets by writing an outgoing transaction in the
+ * source wallet and a matching incoming transaction in the destination wallet.
+ * When the incoming write fails, the outgoing transaction is deleted again.
+ */
+export const transferBetweenWallets = async (client, params) => {
+  const { fromWalletId, toWalletId, amount, date, note = '' } = params ?? {};
+  if (!fromWalletId || !toWalletId) {
+    throw new Error('fromWalletId and toWalletId are required');
+  }
+  if (fromWalletId === toWalletId) {
+    throw new Error('fromWalletId and toWalletId must be different wallets');
+  }
+
+  const outgoingCategoryId = await requireTransferCategory(client, fromWalletId, 'OUTGOING_TRANSFER');
+  const incomingCategoryId = await requireTransferCategory(client, toWalletId, 'INCOMING_TRANSFER');
+
+  const outgoing = await client.addTransaction({
+    walletId: fromWalletId,
+    categoryId: outgoingCategoryId,
+    amount,
+    note,
+    date
+  });
+  const outgoingTransactionId = getTransactionId(outgoing);
+
+  let incoming;
+  try {
+    incoming = await client.addTransaction({
+      walletId: toWalletId,
+      categoryId: incomingCategoryId,
+      amount,
+      note,
+      date
+    });
+  } catch (error) {
+    const cause = error instanceof Error ? error.message : String(error);
+    if (!outgoingTransactionId) {
+      throw new WalletTransferError(
+        `Incoming transfer failed and the outgoing transaction could not be rolled back: ${cause}`,
+        { detail: { rolledBack: false, cause } }
+      );
+    }
+    try {
+      await client.deleteTransaction(outgoingTransactionId);
+    } catch (rollbackError) {
+      const rollbackCause = rollbackError instanceof Error ? rollbackError.message : String(rollbackError);
+      throw new WalletTransferError(
+        `Incoming transfer failed and rolling back outgoing transaction ${outgoingTransactionId} also failed: ${rollbackCause}`,
+        { detail: { rolledBack: false, outgoingTransactionId, cause, rollbackCause } }
+      );
+    }
+    throw new WalletTransferError(
+      `Incoming transfer failed; outgoing transaction ${outgoingTransactionId} was rolled back: ${cause}`,
+      { detail: { rolledBack: true, outgoingTransactionId, cause } }
+    );
+  }
+
+  return {
+    outgoingTransactionId,
+    incomingTransactionId: getTransactionId(incoming)
+  };
+};
+
+export default transferBetweenWallets;
@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from 'vitest';
+import { getComparisonRange, getTransactionSummary, summarizeTransactions } from '../src/analytics.js';
+
+const categories = [
+  { _id: 'food', name: 'Food', type: 2 },
+  { _id: 'restaurants', name: 'Restaurants', type: 2, parent: 'food' },
+  { _id: 'salary', name: 'Salary', type: 1 },
+  { _id: 'out', name: 'Outgoing Transfer', type: 2, metadata: 'outgoing_transfer0' }
+];
+const categoriesById = new Map(categories.map(category => [category._id, category]));
+
+const transactions = [
+  { amount: 100, category: 'food', displayDate: '2024-05-01', account: 'wallet-1', with: ['Budi'] },
+  { amount: 50, category: 'restaurants', displayDate: '2024-05-02', account: 'wallet-1', with: ['Budi', 'Sari'] },
+  { amount: 1000, category: 'salary', displayDate: '2024-05-25', account: 'wallet-2' },
+  { amount: 300, category: 'out', displayDate: '2024-05-26', account: 'wallet-1' }
+];
+
+describe('summarizeTransactions', () => {
+  it('rolls sub-categories up to their parent and excludes transfers', () => {
+    const summary = summarizeTransactions(transactions, { groupBy: 'parentCategory', categoriesById });
+
+    expect(summary.totals).toMatchObject({ count: 3, income: 1000, expense: 150, net: 850, averageExpense: 75 });
+    expect(summary.groups.map(group => [group.label, group.expense, group.income])).toEqual([
+      ['Salary', 0, 1000],
+      ['Food', 150, 0]
+    ]);
+  });
+
+  it('splits shared transactions between counterparties and sorts time groups chronologically', () => {
+    const byPerson = summarizeTransactions(transactions, { groupBy: 'counterparty', categoriesById });
+    expect(byPerson.groups.find(group => group.label === 'Sari').expense).toBe(25);
+    expect(byPerson.groups.find(group => group.label === 'Budi').expense).toBe(125);
+
+    const byWeek = summarizeTransactions(transactions, { groupBy: 'week', categoriesById, includeTransfers: true });
+    expect(byWeek.groups.map(group => group.key)).toEqual(['2024-W18', '2024-W21']);
+    expect(byWeek.totals.count).toBe(4);
+  });
+});
+
+describe('getComparisonRange', () => {
+  it('uses whole calendar months for month-aligned ranges', () => {
+    expect(getComparisonRange('2024-03-01', '2024-03-31', 'previous_period')).toEqual({
+      startDate: '2024-02-01',
+      endDate: '2024-02-29'
+    });
+    expect(getComparisonRange('2024-03-10', '2024-03-16', 'previous_period')).toEqual({
+      startDate: '2024-03-03',
+      endDate: '2024-03-09'
+    });
+    expect(getComparisonRange('2024-03-01', '2024-03-31', 'previous_year')).toEqual({
+      startDate: '2023-03-01',
+      endDate: '2023-03-31'
+    });
+  });
+});
+
+describe('getTransactionSummary', () => {
+  it('reports deltas against the comparison period', async () => {
+    const client = {
+      getWallets: vi.fn(async () => [{ _id: 'wallet-1', name: 'Cash' }]),
+      getCategories: vi.fn(async () => categories),
+      getTransactions: vi.fn(async (_walletId, startDate) => ({
+        transactions:
+          startDate === '2024-05-01'
+            ? [{ amount: 150, category: 'food', displayDate: '2024-05-03' }]
+            : [{ amount: 100, category: 'food', displayDate: '2024-04-03' }]
+      }))
+    };
+
+    const summary = await getTransactionSummary(client, {
+      walletId: 'wallet-1',
+      startDate: '2024-05-01',
+      endDate: '2024-05-31',
+      compareWith: 'previous_period'
+    });
+
+    expect(client.getTransactions).toHaveBeenLastCalledWith('wallet-1', '2024-04-01', '2024-04-30');
+    expect(summary.deltas.totals.expense).toEqual({ current: 150, previous: 100, change: 50, percentChange: 50 });
+    expect(summary.deltas.groups[0]).toMatchObject({ key: 'food', label: 'Food' });
+  });
+
+  it('converts wallets in other currencies and lists the rates used', async () => {
+    const client = {
+      getWallets: vi.fn(async () => [
+        { _id: 'wallet-1', name: 'Cash', currency: { c: 'IDR' } },
+        { _id: 'wallet-2', name: 'Card', currency: { c: 'USD' } }
+      ]),
+      getCategories: vi.fn(async () => categories),
+      getTransactions: vi.fn(async walletId => ({
+        transactions:
+          walletId === 'wallet-1'
+            ? [{ amount: 50000, category: 'food', displayDate: '2024-05-03', account: 'wallet-1' }]
+            : [{ amount: 10, category: 'food', displayDate: '2024-05-04', account: 'wallet-2' }]
+      }))
+    };
+    const range = { startDate: '2024-05-01', endDate: '2024-05-31' };
+
+    const mixed = await getTransactionSummary(client, range);
+    expect(mixed.warning).toMatch(/IDR, USD/);
+
+    const converted = await getTransactionSummary(client, {
+      ...range,
+      reportingCurrency: 'IDR',
+      rates: [{ from: 'USD', to: 'IDR', rate: 16000, date: '2024-05-01' }]
+    });
+    expect(converted.warning).toBeUndefined();
+    expect(converted.reportingCurrency).toBe('IDR');
+    expect(converted.totals).toMatchObject({ expense: 210000 });
+    expect(converted.totals.rates).toEqual([{ from: 'USD', to: 'IDR', rate: 16000, rateDate: '2024-05-01', count: 1 }]);
+  });
+});
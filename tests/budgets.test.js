@@ -0,0 +1,73 @@
+import { describe, expect, it, vi } from 'vitest';
+import { computeBudgetStatus, getBudgetStatuses } from '../src/budgets.js';
+
+const budget = {
+  budgetId: 'budget-1',
+  walletId: 'wallet-1',
+  categoryId: null,
+  amount: 300,
+  startDate: '2024-05-01',
+  endDate: '2024-05-30'
+};
+
+const expense = (amount, displayDate, categoryId = 'food') => ({
+  amount,
+  displayDate: `${displayDate}T00:00:00.000Z`,
+  category: { _id: categoryId, type: 2 }
+});
+
+describe('computeBudgetStatus', () => {
+  it('projects the overspend date from the current burn rate', () => {
+    const status = computeBudgetStatus(
+      budget,
+      [expense(100, '2024-05-02'), expense(50, '2024-05-08'), { amount: 999, displayDate: '2024-05-03', category: { type: 1 } }],
+      { today: '2024-05-10' }
+    );
+
+    expect(status).toMatchObject({
+      spent: 150,
+      remaining: 150,
+      percentUsed: 50,
+      overspent: false,
+      projectedOverspendDate: '2024-05-21',
+      transactionCount: 2
+    });
+  });
+
+  it('reports the day the budget was exceeded and no projection when on track', () => {
+    const overspent = computeBudgetStatus(budget, [expense(200, '2024-05-02'), expense(150, '2024-05-04')], {
+      today: '2024-05-10'
+    });
+    expect(overspent).toMatchObject({ spent: 350, remaining: -50, overspent: true, projectedOverspendDate: '2024-05-04' });
+
+    const onTrack = computeBudgetStatus(budget, [expense(20, '2024-05-02')], { today: '2024-05-20' });
+    expect(onTrack.projectedOverspendDate).toBeNull();
+  });
+});
+
+describe('getBudgetStatuses', () => {
+  it('counts expenses in the budget category and its children', async () => {
+    const client = {
+      getBudgets: vi.fn(async () => [
+        { _id: 'budget-1', account: 'wallet-1', category: 'food', amount: 300, start_date: '2024-05-01', end_date: '2024-05-30' }
+      ]),
+      getCategories: vi.fn(async () => [
+        { _id: 'food', type: 2 },
+        { _id: 'restaurants', type: 2, parent: 'food' },
+        { _id: 'rent', type: 2 }
+      ]),
+      getTransactions: vi.fn(async () => ({
+        transactions: [
+          { amount: 40, displayDate: '2024-05-02', category: 'food' },
+          { amount: 60, displayDate: '2024-05-03', category: 'restaurants' },
+          { amount: 1000, displayDate: '2024-05-01', category: 'rent' }
+        ]
+      }))
+    };
+
+    const [status] = await getBudgetStatuses(client, { now: new Date('2024-05-10T12:00:00Z') });
+
+    expect(client.getTransactions).toHaveBeenCalledWith('wallet-1', '2024-05-01', '2024-05-30');
+    expect(status).toMatchObject({ budgetId: 'budget-1', spent: 100, remaining: 200, transactionCount: 2 });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { buildCategoryTree, findSpecialCategory } from '../src/categories.js';
+
+describe('buildCategoryTree', () => {
+  it('nests categories under their parents with readable paths', () => {
+    const tree = buildCategoryTree([
+      { _id: 'food', name: 'Food', type: 2 },
+      { _id: 'restaurants', name: 'Restaurants', type: 2, parent: 'food' },
+      { _id: 'salary', name: 'Salary', type: 1 },
+      { _id: 'cafe', name: 'Cafe', type: 2, parent: { _id: 'food' } }
+    ]);
+
+    expect(tree.map(node => node.name)).toEqual(['Food', 'Salary']);
+    expect(tree[0].type).toBe('EXPENSE');
+    expect(tree[1].type).toBe('INCOME');
+    expect(tree[0].children.map(node => node.path)).toEqual(['Food > Restaurants', 'Food > Cafe']);
+  });
+
+  it('treats orphans as roots and breaks parent cycles', () => {
+    const tree = buildCategoryTree([
+      { _id: 'orphan', name: 'Orphan', type: 2, parent: 'missing' },
+      { _id: 'a', name: 'A', type: 2, parent: 'b' },
+      { _id: 'b', name: 'B', type: 2, parent: 'a' }
+    ]);
+
+    expect(tree.map(node => node.path)).toEqual(['Orphan', 'A']);
+    expect(tree[1].children.map(node => node.path)).toEqual(['A > B']);
+    expect(tree[1].children[0].children).toEqual([]);
+  });
+
+  it('promotes a cycle member rather than a descendant hanging off the cycle', () => {
+    const tree = buildCategoryTree([
+      { _id: 'leaf', name: 'Leaf', type: 2, parent: 'a' },
+      { _id: 'a', name: 'A', type: 2, parent: 'b' },
+      { _id: 'b', name: 'B', type: 2, parent: 'a' }
+    ]);
+
+    expect(tree.map(node => node.path)).toEqual(['A']);
+    expect(tree[0].children.map(node => node.path)).toEqual(['A > Leaf', 'A > B']);
+  });
+});
+
+describe('findSpecialCategory', () => {
+  it('matches built-in categories by metadata and type', () => {
+    const categories = [
+      { _id: 'in', name: 'Transfer masuk', type: 1, metadata: 'incoming_transfer0' },
+      { _id: 'out', name: 'Transfer keluar', type: 2, metadata: 'outgoing_transfer0' }
+    ];
+
+    expect(findSpecialCategory(categories, 'OUTGOING_TRANSFER')?._id).toBe('out');
+    expect(findSpecialCategory(categories, 'INCOMING_TRANSFER')?._id).toBe('in');
+    expect(findSpecialCategory([], 'INCOMING_TRANSFER')).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+import { Readable, Writable } from 'node:stream';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { FAKE_USER, startFakeMoneyloverServer } from '../src/fakeMoneyloverServer.js';
+
+const envKeys = [
+  'EMAIL',
+  'PASSWORD',
+  'MONEYLOVER_TOKEN',
+  'MONEYLOVER_API_URL',
+  'MONEYLOVER_OAUTH_URL',
+  'MONEYLOVER_DEFAULT_PROFILE',
+  'MONEYLOVER_MCP_DISABLE_ENV_FILE'
+];
+const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+
+const capture = () => {
+  let text = '';
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      text += chunk.toString();
+      callback();
+    }
+  });
+  return { stream, text: () => text };
+};
+
+describe('command-line interface', () => {
+  let fake;
+  let cache;
+  let runCli;
+
+  const run = async (argv, stdinText = '') => {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await runCli(argv, { stdout: stdout.stream, stderr: stderr.stream, stdin: Readable.from([stdinText]) });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  };
+
+  beforeEach(async () => {
+    fake = await startFakeMoneyloverServer({
+      wallets: [{ _id: 'wallet-cash', name: 'Cash', currency_id: 1 }],
+      categories: [
+        { _id: 'cat-food', account: 'wallet-cash', name: 'Food', type: 2 },
+        { _id: 'cat-salary', account: 'wallet-cash', name: 'Salary', type: 1 }
+      ]
+    });
+    Object.assign(process.env, {
+      MONEYLOVER_MCP_DISABLE_ENV_FILE: '1',
+      EMAIL: FAKE_USER.email,
+      PASSWORD: FAKE_USER.password,
+      MONEYLOVER_API_URL: fake.apiUrl,
+      MONEYLOVER_OAUTH_URL: fake.oauthUrl
+    });
+    delete process.env.MONEYLOVER_TOKEN;
+    delete process.env.MONEYLOVER_DEFAULT_PROFILE;
+    cache = {
+      readToken: vi.fn().mockResolvedValue(null),
+      writeToken: vi.fn().mockResolvedValue(),
+      removeToken: vi.fn().mockResolvedValue()
+    };
+    vi.doMock('../src/tokenCache.js', () => cache);
+    ({ runCli } = await import('../src/cliCommands.js'));
+  });
+
+  afterEach(async () => {
+    await fake.close();
+    vi.resetModules();
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (typeof value === 'undefined') {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('lists wallets and categories as tables or JSON', async () => {
+    const wallets = await run(['wallets']);
+    expect(wallets.code).toBe(0);
+    expect(wallets.stdout.split('\n')[0]).toMatch(/^ID\s+NAME\s+CURRENCY\s+BALANCE$/);
+    expect(wallets.stdout).toMatch(/wallet-cash\s+Cash/);
+    expect(cache.writeToken).toHaveBeenCalledWith(FAKE_USER.email, expect.any(String), { profile: 'default' });
+
+    const categories = await run(['categories', 'cash', '--json']);
+    expect(categories.code).toBe(0);
+    expect(JSON.parse(categories.stdout).map(category => category.name)).toEqual(['Food', 'Salary']);
+  });
+
+  it('adds, lists and exports transactions', async () => {
+    const added = await run([
+      'tx',
+      'add',
+      '--wallet',
+      'Cash',
+      '--category',
+      'Food',
+      '--amount',
+      '12.5',
+      '--date',
+      '2024-04-03',
+      '--note',
+      'Lunch'
+    ]);
+    expect(added.code).toBe(0);
+    expect(added.stdout).toMatch(/status\s+added/);
+    expect(fake.state.transactions).toEqual([expect.objectContaining({ category: 'cat-food', amount: 12.5 })]);
+
+    const listed = await run(['tx', 'list', '--from', '2024-04-01', '--to', '2024-04-30', '--json']);
+    expect(JSON.parse(listed.stdout)).toEqual([
+      expect.objectContaining({ date: '2024-04-03', wallet: 'Cash', category: 'Food', amount: -12.5, note: 'Lunch' })
+    ]);
+
+    const exported = await run(['export', '--format', 'csv', '--from', '2024-04-01', '--to', '2024-04-30']);
+    expect(exported.code).toBe(0);
+    expect(exported.stdout.trim().split('\n')).toHaveLength(2);
+    expect(exported.stdout).toContain('Lunch');
+  });
+
+  it('logs in with a password from stdin and reports usage and API errors', async () => {
+    const login = await run(['login', '--email', FAKE_USER.email, '--password-stdin', '--json'], `${FAKE_USER.password}\n`);
+    expect(login.code).toBe(0);
+    expect(JSON.parse(login.stdout)).toMatchObject({ name: 'default', email: FAKE_USER.email, hasToken: true });
+
+    const missing = await run(['login', '--email', FAKE_USER.email]);
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toContain('--password-stdin');
+
+    expect((await run(['tx', 'list', '--from', '2024-04-01'])).code).toBe(2);
+    expect((await run(['frobnicate'])).stderr).toContain('Unknown command: frobnicate');
+
+    const unknownWallet = await run(['categories', 'Nowhere', '--json']);
+    expect(unknownWallet.code).toBe(1);
+    expect(JSON.parse(unknownWallet.stderr)).toMatchObject({ error: 'NameResolutionError' });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, expect, it, vi } from 'vitest';
+import { importTransactionsCsv, parseAmount, parseCsv, parseDate } from '../src/csvImport.js';
+
+describe('CSV parsing helpers', () => {
+  it('handles quoted fields, doubled quotes and detected delimiters', () => {
+    const rows = parseCsv('Date;Description;Amount\r\n01/05/2024;"Coffee; ""large""";-25.000,00\n\n');
+    expect(rows).toEqual([
+      ['Date', 'Description', 'Amount'],
+      ['01/05/2024', 'Coffee; "large"', '-25.000,00']
+    ]);
+  });
+
+  it('parses dates and bank-formatted amounts', () => {
+    expect(parseDate('1/5/24', 'D/M/YY')).toBe('2024-05-01');
+    expect(parseDate('05.31.2024', 'MM.DD.YYYY')).toBe('2024-05-31');
+    expect(() => parseDate('31/02/2024', 'DD/MM/YYYY')).toThrow('not a valid calendar date');
+    expect(() => parseDate('15/01/2024', 'DD/MM/YY')).toThrow('does not match format DD/MM/YY');
+    expect(parseAmount('1.234,56', { decimalSeparator: ',' })).toBe(1234.56);
+    expect(parseAmount('(1,234.50)')).toBe(-1234.5);
+    expect(parseAmount('Rp 15.000 DR', { decimalSeparator: ',' })).toBe(-15000);
+    expect(parseAmount('Rp -15.000', { decimalSeparator: ',' })).toBe(-15000);
+    expect(parseAmount('12.50-DR')).toBe(-12.5);
+    expect(() => parseAmount('IDR 1-000')).toThrow('is not a number');
+    expect(parseAmount('')).toBeNull();
+  });
+});
+
+describe('importTransactionsCsv', () => {
+  const resolver = {
+    resolveWalletId: vi.fn(async (_client, wallet) => (wallet === 'Cash' ? 'w-cash' : wallet)),
+    resolveCategoryId: vi.fn(async (_client, _walletId, category) => {
+      if (category === 'Unknown') {
+        throw Object.assign(new Error('Unknown category "Unknown"'), { code: 'UNKNOWN_NAME' });
+      }
+      return `c-${category.toLowerCase()}`;
+    })
+  };
+
+  const csv = [
+    'Tanggal,Keterangan,Debit,Kredit',
+    '01/05/2024,GRAB FOOD,"25.000,00",',
+    '02/05/2024,GAJI,,"10.000.000,00"',
+    '03/05/2024,Mystery,"1.000,00",'
+  ].join('\n');
+
+  const options = {
+    text: csv,
+    walletId: 'Cash',
+    columns: { date: 'Tanggal', note: 'Keterangan', debit: 'Debit', credit: 'Kredit' },
+    dateFormat: 'DD/MM/YYYY',
+    decimalSeparator: ',',
+    incomeCategoryId: 'Salary',
+    expenseCategoryId: 'Unknown',
+    categoryRules: [{ pattern: 'grab', category: 'Food' }],
+    resolver
+  };
+
+  it('previews the exact payloads in dry-run mode without writing', async () => {
+    const client = { addTransaction: vi.fn() };
+
+    const report = await importTransactionsCsv(client, { ...options, dryRun: true });
+
+    expect(client.addTransaction).not.toHaveBeenCalled();
+    expect(report).toMatchObject({ dryRun: true, total: 3, previewed: 2, failed: 1 });
+    expect(report.rows[0]).toEqual({
+      row: 2,
+      status: 'preview',
+      payload: {
+        with: [],
+        account: 'w-cash',
+        category: 'c-food',
+        amount: '25000',
+        note: 'GRAB FOOD',
+        displayDate: '2024-05-01'
+      }
+    });
+    expect(report.rows[1].payload).toMatchObject({ category: 'c-salary', amount: '10000000' });
+    expect(report.rows[2]).toMatchObject({ row: 4, status: 'failed', code: 'UNKNOWN_NAME' });
+  });
+
+  it('writes each row and reports per-row failures', async () => {
+    const client = {
+      addTransaction: vi
+        .fn()
+        .mockResolvedValueOnce({ _id: 'tx-1' })
+        .mockRejectedValueOnce(new Error('HTTP 500'))
+    };
+
+    const report = await importTransactionsCsv(client, options);
+
+    expect(client.addTransaction).toHaveBeenCalledTimes(2);
+    expect(report).toMatchObject({ imported: 1, failed: 2 });
+    expect(report.rows.map(row => row.status)).toEqual(['imported', 'failed', 'failed']);
+    expect(report.rows[0].transactionId).toBe('tx-1');
+    expect(report.rows[1].error).toBe('HTTP 500');
+  });
+
+  it('stops at errors that affect every row and validates missing options', async () => {
+    const expired = Object.assign(new Error('user_unauthenticated'), { code: 1 });
+    const client = { addTransaction: vi.fn().mockRejectedValue(expired) };
+
+    await expect(
+      importTransactionsCsv(client, { ...options, isFatalError: error => error.code === 1 })
+    ).rejects.toBe(expired);
+    expect(client.addTransaction).toHaveBeenCalledTimes(1);
+    await expect(importTransactionsCsv(client)).rejects.toThrow('columns.date is required');
+  });
+
+  it('accepts zero-based column indexes including the first column', async () => {
+    const client = { addTransaction: vi.fn() };
+
+    const report = await importTransactionsCsv(client, {
+      text: '2024-05-07,Coffee,-12.50\n',
+      walletId: 'Cash',
+      columns: { date: 0, note: 1, amount: 2 },
+      hasHeader: false,
+      expenseCategoryId: 'Food',
+      dryRun: true,
+      resolver
+    });
+
+    expect(report.rows).toHaveLength(1);
+    expect(report.rows[0]).toMatchObject({ status: 'preview', payload: { displayDate: '2024-05-07', note: 'Coffee' } });
+  });
+});
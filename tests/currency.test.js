@@ -0,0 +1,105 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, expect, it } from 'vitest';
+import {
+  CurrencyConversionError,
+  convertWalletBalances,
+  createCurrencyConverter,
+  findExchangeRate
+} from '../src/currency.js';
+import { createExchangeRateStore } from '../src/exchangeRateStore.js';
+
+const rates = [
+  { from: 'USD', to: 'IDR', rate: 15000, date: '2024-01-01' },
+  { from: 'USD', to: 'IDR', rate: 16000, date: '2024-05-01' },
+  { from: 'EUR', to: 'USD', rate: 1.1, date: '2024-04-15' }
+];
+
+describe('findExchangeRate', () => {
+  it('uses the latest rate dated on or before the day, inverting when needed', () => {
+    expect(findExchangeRate(rates, 'USD', 'IDR', '2024-04-30')).toEqual({ from: 'USD', to: 'IDR', rate: 15000, rateDate: '2024-01-01' });
+    expect(findExchangeRate(rates, 'USD', 'IDR', '2024-05-20').rate).toBe(16000);
+    expect(findExchangeRate(rates, 'IDR', 'USD', '2024-05-20').rate).toBeCloseTo(1 / 16000);
+  });
+
+  it('crosses through an intermediate currency and never uses future rates', () => {
+    expect(findExchangeRate(rates, 'EUR', 'IDR', '2024-05-20')).toMatchObject({
+      rate: 17600,
+      rateDate: '2024-04-15',
+      via: 'USD'
+    });
+    expect(() => findExchangeRate(rates, 'EUR', 'IDR', '2024-03-01')).toThrow(CurrencyConversionError);
+  });
+});
+
+describe('createCurrencyConverter', () => {
+  it('reports the rate and rate date used for each figure', () => {
+    const converter = createCurrencyConverter(rates, 'idr');
+    expect(converter.convert(12.5, 'usd', '2024-05-02T10:00:00.000Z')).toEqual({
+      amount: 200000,
+      currency: 'IDR',
+      originalAmount: 12.5,
+      originalCurrency: 'USD',
+      rate: 16000,
+      rateDate: '2024-05-01'
+    });
+    expect(converter.convert(5000, 'IDR', '2024-05-02')).toMatchObject({ amount: 5000, rate: 1, rateDate: null });
+    expect(() => converter.convert(1, null, '2024-05-02')).toThrow(/source currency is unknown/);
+  });
+});
+
+describe('convertWalletBalances', () => {
+  it('converts balances and skips excluded wallets in the total', () => {
+    const result = convertWalletBalances(
+      [
+        { _id: 'w-idr', name: 'Cash', currency: { c: 'IDR' }, balance: [{ IDR: 500000 }] },
+        { _id: 'w-usd', name: 'Card', currency: { c: 'USD' }, balance: 10 },
+        { _id: 'w-eur', name: 'Savings', currency: { c: 'EUR' }, balance: 100, exclude_total: true }
+      ],
+      { rates, reportingCurrency: 'IDR', date: '2024-05-31' }
+    );
+
+    expect(result.total).toBe(660000);
+    expect(result.wallets[1].converted).toMatchObject({ amount: 160000, rate: 16000, rateDate: '2024-05-01' });
+    expect(result.wallets[2]).toMatchObject({ excludedFromTotal: true, converted: { amount: 1760000, via: 'USD' } });
+  });
+
+  it('reports wallets that cannot be converted without failing the others', () => {
+    const result = convertWalletBalances(
+      [
+        { _id: 'w-usd', name: 'Card', currency: { c: 'USD' }, balance: 10 },
+        { _id: 'w-jpy', name: 'Yen', currency: { c: 'JPY' }, balance: 1000 },
+        { _id: 'w-none', name: 'Unknown', balance: 5 }
+      ],
+      { rates, reportingCurrency: 'IDR', date: '2024-05-31' }
+    );
+
+    expect(result.total).toBe(160000);
+    expect(result.wallets[1]).toMatchObject({ converted: null, code: 'RATE_NOT_FOUND' });
+    expect(result.wallets[2]).toMatchObject({ converted: null, code: 'UNKNOWN_CURRENCY' });
+  });
+});
+
+describe('createExchangeRateStore', () => {
+  it('replaces entries with the same pair and date', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-rates-'));
+    try {
+      const store = createExchangeRateStore(path.join(tmpDir, 'rates.json'));
+      await store.set({ from: 'USD', to: 'IDR', rate: 15000, date: '2024-05-01' });
+      await store.set({ from: 'EUR', to: 'IDR', rate: 17000, date: '2024-05-01' });
+      await store.set({ from: 'USD', to: 'IDR', rate: 16000, date: '2024-05-01' });
+
+      const stored = await store.list();
+      expect(stored.map(rate => [rate.from, rate.rate])).toEqual([
+        ['EUR', 17000],
+        ['USD', 16000]
+      ]);
+      await store.remove({ from: 'EUR', to: 'IDR', date: '2024-05-01' });
+      expect(await store.list()).toHaveLength(1);
+      await expect(store.remove({ from: 'EUR', to: 'IDR', date: '2024-05-01' })).rejects.toThrow(/not found/);
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it, vi } from 'vitest';
+import { computeDebtBalances, getDebtBalances, recordRepayment } from '../src/debts.js';
+
+const categories = [
+  { _id: 'debt', name: 'Debt', type: 1, metadata: 'debt0' },
+  { _id: 'loan', name: 'Loan', type: 2, metadata: 'loan0' },
+  { _id: 'repayment', name: 'Repayment', type: 2, metadata: 'repayment0' },
+  { _id: 'collection', name: 'Debt Collection', type: 1, metadata: 'debt_collection0' },
+  { _id: 'food', name: 'Food', type: 2 }
+];
+const categoriesById = new Map(categories.map(category => [category._id, category]));
+
+describe('computeDebtBalances', () => {
+  it('nets loans against collections and debts against repayments per counterparty', () => {
+    const balances = computeDebtBalances(
+      [
+        { amount: 500, category: 'loan', with: ['Budi'] },
+        { amount: 200, category: 'collection', with: ['budi'] },
+        { amount: 100, category: 'debt', with: ['Sari'] },
+        { amount: 100, category: 'repayment', with: [{ name: 'Sari' }] },
+        { amount: 60, category: 'loan', with: ['Budi', 'Andi'] },
+        { amount: 75, category: 'food', with: ['Budi'] }
+      ],
+      categoriesById
+    );
+
+    expect(balances).toEqual([
+      { counterparty: 'Budi', borrowed: 0, repaid: 0, lent: 530, collected: 200, youOwe: 0, owedToYou: 330, net: 330 },
+      { counterparty: 'Andi', borrowed: 0, repaid: 0, lent: 30, collected: 0, youOwe: 0, owedToYou: 30, net: 30 },
+      { counterparty: 'Sari', borrowed: 100, repaid: 100, lent: 0, collected: 0, youOwe: 0, owedToYou: 0, net: 0 }
+    ]);
+  });
+});
+
+describe('getDebtBalances', () => {
+  it('leaves settled counterparties out by default', async () => {
+    const client = {
+      getCategories: vi.fn(async () => categories),
+      getTransactions: vi.fn(async () => ({
+        transactions: [
+          { amount: 100, category: 'debt', with: ['Sari'] },
+          { amount: 100, category: 'repayment', with: ['Sari'] },
+          { amount: 40, category: 'debt', with: ['Tono'] }
+        ]
+      }))
+    };
+
+    const balances = await getDebtBalances(client, { walletId: 'wallet-1', now: new Date('2024-05-10T00:00:00Z') });
+
+    expect(client.getTransactions).toHaveBeenCalledWith('wallet-1', '2000-01-01', '2024-05-10');
+    expect(balances.map(entry => entry.counterparty)).toEqual(['Tono']);
+    expect(balances[0].youOwe).toBe(40);
+  });
+});
+
+describe('recordRepayment', () => {
+  it('writes loan collections to the debt collection category with the counterparty', async () => {
+    const client = {
+      getCategories: vi.fn(async () => categories),
+      addTransaction: vi.fn(async () => ({ _id: 'tx-1' }))
+    };
+
+    await recordRepayment(client, {
+      kind: 'LOAN',
+      walletId: 'wallet-1',
+      person: ' Budi ',
+      amount: '200',
+      date: '2024-05-01'
+    });
+
+    expect(client.addTransaction).toHaveBeenCalledWith({
+      walletId: 'wallet-1',
+      categoryId: 'collection',
+      amount: '200',
+      note: undefined,
+      date: '2024-05-01',
+      with: ['Budi']
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it, vi } from 'vitest';
+import { findDuplicateGroups, removeTransactions } from '../src/duplicates.js';
+
+const tx = (id, fields) => ({ _id: id, account: 'w-1', category: 'food', amount: 25000, displayDate: '2024-05-02', ...fields });
+
+describe('findDuplicateGroups', () => {
+  it('groups same-amount entries with similar notes within the date window', () => {
+    const groups = findDuplicateGroups([
+      tx('a', { note: 'Lunch at Warung' }),
+      tx('b', { note: 'lunch at warung', displayDate: '2024-05-03' }),
+      tx('c', { note: 'Lunch at Warung Padang', displayDate: '2024-05-03' }),
+      tx('d', { note: 'Lunch at Warung', displayDate: '2024-05-06' }),
+      tx('e', { note: 'Groceries' }),
+      tx('f', { note: 'Lunch at Warung', category: 'transport' })
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].transactions.map(item => item.id)).toEqual(['a', 'b', 'c']);
+    expect(groups[0].suggestedKeepId).toBe('c');
+    expect(groups[0].suggestedRemoveIds).toEqual(['a', 'b']);
+    expect(groups[0].confidence).toBeGreaterThan(0.8);
+    expect(groups[0].confidence).toBeLessThanOrEqual(1);
+  });
+
+  it('honours tunable rules', () => {
+    const transactions = [tx('a', { note: 'Taxi' }), tx('b', { note: 'Taxi', category: 'transport', displayDate: '2024-05-05' })];
+
+    expect(findDuplicateGroups(transactions)).toEqual([]);
+    const loose = findDuplicateGroups(transactions, { sameCategory: false, maxDaysApart: 3 });
+    expect(loose).toHaveLength(1);
+    expect(loose[0].confidence).toBeLessThan(findDuplicateGroups([tx('x', { note: 'Taxi' }), tx('y', { note: 'Taxi' })])[0].confidence);
+  });
+});
+
+describe('removeTransactions', () => {
+  it('reports each deletion separately', async () => {
+    const client = {
+      deleteTransaction: vi.fn().mockResolvedValueOnce(true).mockRejectedValueOnce(new Error('not found'))
+    };
+
+    const result = await removeTransactions(client, ['a', 'b']);
+
+    expect(result).toEqual({
+      deleted: 1,
+      failed: 1,
+      results: [
+        { transactionId: 'a', status: 'deleted' },
+        { transactionId: 'b', status: 'failed', error: 'not found' }
+      ]
+    });
+  });
+});
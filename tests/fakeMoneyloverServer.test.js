@@ -0,0 +1,204 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { FAKE_USER, startFakeMoneyloverServer } from '../src/fakeMoneyloverServer.js';
+import { MoneyloverApiError, MoneyloverClient, MoneyloverHttpError } from '../src/moneyloverClient.js';
+
+const envKeys = ['EMAIL', 'PASSWORD', 'MONEYLOVER_TOKEN', 'MONEYLOVER_API_URL', 'MONEYLOVER_OAUTH_URL', 'MONEYLOVER_MCP_DISABLE_ENV_FILE'];
+const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+
+describe('fake Money Lover server', () => {
+  let fake;
+
+  const login = () =>
+    MoneyloverClient.getToken(FAKE_USER.email, FAKE_USER.password, { baseUrl: fake.apiUrl, oauthUrl: fake.oauthUrl });
+
+  beforeEach(async () => {
+    fake = await startFakeMoneyloverServer({
+      wallets: [{ _id: 'wallet-cash', name: 'Cash', currency_id: 1 }],
+      categories: [
+        { _id: 'cat-food', account: 'wallet-cash', name: 'Food', type: 2 },
+        { _id: 'cat-salary', account: 'wallet-cash', name: 'Salary', type: 1 }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await fake.close();
+    vi.resetModules();
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (typeof value === 'undefined') {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('logs in and manages wallets, categories and transactions over HTTP', async () => {
+    const token = await login();
+    expect(token.split('.')).toHaveLength(3);
+
+    const client = new MoneyloverClient(token, { baseUrl: fake.apiUrl });
+    await expect(client.getUserInfo()).resolves.toEqual({ email: FAKE_USER.email });
+
+    const wallet = await client.createWallet({ name: 'Bank', currencyId: 2 });
+    const category = await client.createCategory({ walletId: wallet._id, name: 'Rent', type: 'expense' });
+    const income = await client.createCategory({ walletId: wallet._id, name: 'Pay', type: 'income' });
+    await client.addTransaction({ walletId: wallet._id, categoryId: income._id, amount: '500', date: '2024-04-01' });
+    const added = await client.addTransaction({
+      walletId: wallet._id,
+      categoryId: category._id,
+      amount: '120',
+      note: 'April rent',
+      date: '2024-04-02'
+    });
+    expect(added).toMatchObject({ category: { _id: category._id, name: 'Rent' }, amount: 120, note: 'April rent' });
+
+    await client.editTransaction({
+      transactionId: added._id,
+      walletId: wallet._id,
+      categoryId: category._id,
+      amount: '150',
+      date: '2024-05-02'
+    });
+    const april = await client.getTransactions(wallet._id, '2024-04-01', '2024-04-30');
+    expect(april.transactions.map(transaction => transaction.amount)).toEqual([500]);
+
+    const wallets = await client.getWallets();
+    expect(wallets.find(item => item._id === wallet._id).balance).toBe(350);
+
+    await client.deleteTransaction(added._id);
+    await client.deleteCategory(category._id);
+    expect((await client.getCategories(wallet._id)).map(item => item.name)).toEqual(['Pay']);
+    await client.deleteWallet(wallet._id);
+    expect((await client.getWallets()).map(item => item._id)).toEqual(['wallet-cash']);
+  });
+
+  it('rejects bad credentials, unknown tokens and unknown records', async () => {
+    await expect(
+      MoneyloverClient.getToken(FAKE_USER.email, 'wrong', { baseUrl: fake.apiUrl, oauthUrl: fake.oauthUrl })
+    ).rejects.toThrow('Failed to retrieve access token: HTTP 401');
+
+    await expect(new MoneyloverClient('not-a-token', { baseUrl: fake.apiUrl }).getWallets()).rejects.toMatchObject({
+      code: 1,
+      message: 'user_unauthenticated'
+    });
+
+    const client = new MoneyloverClient(await login(), { baseUrl: fake.apiUrl });
+    const error = await client.deleteTransaction('missing').catch(err => err);
+    expect(error).toBeInstanceOf(MoneyloverApiError);
+    expect(error.message).toBe('transaction_not_found');
+
+    fake.revokeTokens();
+    await expect(client.getWallets()).rejects.toMatchObject({ code: 1 });
+  });
+
+  it('injects failures and honours idempotency keys', async () => {
+    const client = new MoneyloverClient(await login(), { baseUrl: fake.apiUrl, sleep: async () => {} });
+    const params = { walletId: 'wallet-cash', categoryId: 'cat-food', amount: '12', date: '2024-04-03' };
+
+    fake.failNext('transaction/add', { status: 503 });
+    const first = await client.addTransaction(params, { idempotencyKey: 'key-1' });
+    const again = await client.addTransaction(params, { idempotencyKey: 'key-1' });
+    expect(again._id).toBe(first._id);
+    expect(fake.state.transactions).toHaveLength(1);
+    expect(fake.requests.filter(request => request.path === '/api/transaction/add')).toHaveLength(3);
+
+    fake.failNext('/api/wallet/list', { status: 500, times: 5 });
+    await expect(client.getWallets()).rejects.toBeInstanceOf(MoneyloverHttpError);
+  });
+
+  it('serves the MCP server when pointed at it through the environment', async () => {
+    process.env.MONEYLOVER_MCP_DISABLE_ENV_FILE = '1';
+    process.env.EMAIL = FAKE_USER.email;
+    process.env.PASSWORD = FAKE_USER.password;
+    process.env.MONEYLOVER_API_URL = fake.apiUrl;
+    process.env.MONEYLOVER_OAUTH_URL = fake.oauthUrl;
+    delete process.env.MONEYLOVER_TOKEN;
+    vi.doMock('../src/tokenCache.js', () => ({
+      readToken: vi.fn().mockResolvedValue(null),
+      writeToken: vi.fn().mockResolvedValue(),
+      removeToken: vi.fn().mockResolvedValue()
+    }));
+
+    const { createMoneyloverServer } = await import('../src/server.js');
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const mcpClient = new Client({ name: 'test-client', version: '0.0.0' });
+    await createMoneyloverServer().connect(serverTransport);
+    await mcpClient.connect(clientTransport);
+
+    try {
+      const added = await mcpClient.callTool({
+        name: 'add_transaction',
+        arguments: { walletId: 'Cash', categoryId: 'Food', amount: '25', date: '2024-04-04', note: 'Lunch' }
+      });
+      expect(added.isError).toBeFalsy();
+      expect(fake.state.transactions).toEqual([expect.objectContaining({ account: 'wallet-cash', category: 'cat-food', amount: 25 })]);
+
+      const listed = await mcpClient.callTool({
+        name: 'get_transactions',
+        arguments: { walletId: 'Cash', startDate: '2024-04-01', endDate: '2024-04-30' }
+      });
+      expect(listed.structuredContent.transactions).toEqual([expect.objectContaining({ note: 'Lunch' })]);
+    } finally {
+      await mcpClient.close();
+    }
+  });
+
+  it('queues and replays writes only with the session of their profile', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-outbox-'));
+    Object.assign(process.env, {
+      MONEYLOVER_MCP_DISABLE_ENV_FILE: '1',
+      EMAIL: FAKE_USER.email,
+      PASSWORD: FAKE_USER.password,
+      MONEYLOVER_API_URL: fake.apiUrl,
+      MONEYLOVER_OAUTH_URL: fake.oauthUrl
+    });
+    delete process.env.MONEYLOVER_TOKEN;
+    vi.doMock('../src/storage.js', async importOriginal => ({ ...(await importOriginal()), CACHE_DIR: tmpDir }));
+    vi.doMock('../src/tokenCache.js', () => ({
+      readToken: vi.fn().mockResolvedValue(null),
+      writeToken: vi.fn().mockResolvedValue(),
+      removeToken: vi.fn().mockResolvedValue()
+    }));
+
+    const { createMoneyloverServer } = await import('../src/server.js');
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const mcpClient = new Client({ name: 'test-client', version: '0.0.0' });
+    await createMoneyloverServer().connect(serverTransport);
+    await mcpClient.connect(clientTransport);
+    const call = (name, args = {}) => mcpClient.callTool({ name, arguments: args });
+    const transaction = { walletId: 'wallet-cash', categoryId: 'cat-food', amount: '25', date: '2024-04-04' };
+
+    try {
+      const token = await login();
+      fake.failNext('transaction/add', { status: 502 });
+      expect((await call('add_transaction', { ...transaction, token })).isError).toBe(true);
+      expect((await call('list_pending_writes')).structuredContent.items).toEqual([]);
+
+      fake.failNext('transaction/add', { status: 502 });
+      const queued = await call('add_transaction', transaction);
+      expect(queued.structuredContent).toMatchObject({ queued: true });
+      expect((await call('list_pending_writes')).structuredContent.items).toEqual([
+        expect.objectContaining({ owner: FAKE_USER.email })
+      ]);
+
+      await call('get_wallets', { token });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(fake.state.transactions).toEqual([]);
+      expect((await call('flush_pending_writes', { token })).isError).toBe(true);
+
+      const flushed = await call('flush_pending_writes');
+      expect(flushed.structuredContent.flushed).toHaveLength(1);
+      expect(fake.state.transactions).toHaveLength(1);
+    } finally {
+      await mcpClient.close();
+      vi.doUnmock('../src/storage.js');
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,127 @@
+import http from 'node:http';
+import { afterEach, describe, expect, it } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { z } from 'zod';
+import { isAuthorized, startHttpServer } from '../src/httpServer.js';
+import { resolveServerOptions } from '../src/serverOptions.js';
+
+// Each session gets its own server; the counter proves state is not shared.
+const createCounterServer = () => {
+  const server = new McpServer({ name: 'test', version: '0.0.0' });
+  let calls = 0;
+  server.registerTool('count', { inputSchema: { step: z.number().optional() } }, async ({ step = 1 }) => {
+    calls += step;
+    return { content: [{ type: 'text', text: String(calls) }] };
+  });
+  return server;
+};
+
+const connect = async (url, token) => {
+  const client = new Client({ name: 'test-client', version: '0.0.0' });
+  const transport = new StreamableHTTPClientTransport(url, {
+    requestInit: token ? { headers: { Authorization: `Bearer ${token}` } } : undefined
+  });
+  await client.connect(transport);
+  return { client, transport };
+};
+
+describe('startHttpServer', () => {
+  let running;
+
+  afterEach(async () => {
+    await running?.close();
+    running = null;
+  });
+
+  it('rejects requests without the bearer token', async () => {
+    running = await startHttpServer({ createServer: createCounterServer, port: 0, authToken: 'secret' });
+
+    const response = await fetch(running.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })
+    });
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toMatch(/^Bearer/);
+    await expect(connect(running.url, 'wrong')).rejects.toThrow();
+    expect(running.sessions.size).toBe(0);
+  });
+
+  it('keeps separate state per session and ends sessions on close', async () => {
+    running = await startHttpServer({ createServer: createCounterServer, port: 0, authToken: 'secret' });
+    const first = await connect(running.url, 'secret');
+    const second = await connect(running.url, 'secret');
+
+    await first.client.callTool({ name: 'count', arguments: { step: 5 } });
+    const firstResult = await first.client.callTool({ name: 'count', arguments: {} });
+    const secondResult = await second.client.callTool({ name: 'count', arguments: {} });
+
+    expect(firstResult.content[0].text).toBe('6');
+    expect(secondResult.content[0].text).toBe('1');
+    expect(running.sessions.size).toBe(2);
+    expect(first.transport.sessionId).not.toBe(second.transport.sessionId);
+
+    await first.transport.terminateSession();
+    expect(running.sessions.has(first.transport.sessionId)).toBe(false);
+    await Promise.all([first.client.close(), second.client.close()]);
+  });
+
+  it('rejects requests naming another host on a loopback server', async () => {
+    running = await startHttpServer({ createServer: createCounterServer, port: 0 });
+    const post = host =>
+      new Promise((resolve, reject) => {
+        const req = http.request(running.url, {
+          method: 'POST',
+          headers: { Host: host, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' }
+        });
+        req.on('response', res => {
+          res.resume();
+          resolve(res.statusCode);
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }));
+      });
+
+    expect(await post('evil.example')).toBe(403);
+    expect(await post(`evil.example:${running.url.port}`)).toBe(403);
+    expect(running.sessions.size).toBe(0);
+
+    const { client } = await connect(running.url);
+    expect((await client.callTool({ name: 'count', arguments: {} })).content[0].text).toBe('1');
+    await client.close();
+  });
+
+  it('refuses to listen beyond loopback without a token', async () => {
+    await expect(startHttpServer({ createServer: createCounterServer, host: '0.0.0.0', port: 0 })).rejects.toThrow(
+      /auth token is required/
+    );
+  });
+});
+
+describe('isAuthorized', () => {
+  it('accepts only the exact bearer token', () => {
+    expect(isAuthorized('Bearer secret', 'secret')).toBe(true);
+    expect(isAuthorized('bearer secret', 'secret')).toBe(true);
+    expect(isAuthorized('Bearer secret2', 'secret')).toBe(false);
+    expect(isAuthorized(undefined, 'secret')).toBe(false);
+    expect(isAuthorized(undefined, undefined)).toBe(true);
+  });
+});
+
+describe('resolveServerOptions', () => {
+  it('prefers command-line flags over environment variables', () => {
+    const env = { MONEYLOVER_MCP_TRANSPORT: 'http', MONEYLOVER_MCP_PORT: '8080', MONEYLOVER_MCP_HTTP_TOKEN: ' t0k ' };
+    expect(resolveServerOptions([], {})).toMatchObject({ transport: 'stdio', host: '127.0.0.1', port: 3333, path: '/mcp' });
+    expect(resolveServerOptions(['--port', '9000', '--host=0.0.0.0'], env)).toMatchObject({
+      transport: 'http',
+      host: '0.0.0.0',
+      port: 9000,
+      authToken: 't0k'
+    });
+    expect(resolveServerOptions(['--http'], {}).transport).toBe('http');
+    expect(() => resolveServerOptions(['--transport', 'ws'], {})).toThrow(/transport must be/);
+    expect(() => resolveServerOptions(['--port', 'abc'], {})).toThrow(/Invalid port/);
+  });
+});
@@ -0,0 +1,98 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MirrorError, createCachedClient, getSyncStatus, markMirrorStale, syncMirror } from '../src/mirror.js';
+import { createMirrorStore } from '../src/mirrorStore.js';
+import { createLookupCache } from '../src/resolver.js';
+
+const transactions = [
+  { _id: 'tx-1', amount: 10, category: 'food', displayDate: '2024-03-05T00:00:00.000Z' },
+  { _id: 'tx-2', amount: 20, category: 'food', displayDate: '2024-04-10T00:00:00.000Z' },
+  { _id: 'tx-3', amount: 30, category: 'food', displayDate: '2024-05-02T00:00:00.000Z' }
+];
+
+const createClient = () => ({
+  getWallets: vi.fn(async () => [{ _id: 'w-1', name: 'Cash' }]),
+  getCategories: vi.fn(async () => [{ _id: 'food', name: 'Food', type: 2 }]),
+  getTransactions: vi.fn(async (_walletId, startDate, endDate) => ({
+    transactions: transactions.filter(tx => tx.displayDate.slice(0, 10) >= startDate && tx.displayDate.slice(0, 10) <= endDate)
+  }))
+});
+
+const at = iso => () => new Date(iso);
+
+describe('offline mirror', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-mirror-'));
+    store = createMirrorStore(path.join(tmpDir, 'mirror.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('fetches contiguous windows in one request and skips settled months afterwards', async () => {
+    const client = createClient();
+    const range = { startDate: '2024-03-01', endDate: '2024-05-20' };
+
+    const first = await syncMirror(client, store, { ...range, clock: at('2024-05-20T10:00:00Z') });
+    expect(client.getTransactions).toHaveBeenCalledTimes(1);
+    expect(client.getTransactions).toHaveBeenCalledWith('w-1', '2024-03-01', '2024-05-31');
+    expect(first.wallets[0]).toMatchObject({ refreshedWindows: ['2024-03', '2024-04', '2024-05'], added: 3 });
+
+    client.getTransactions.mockClear();
+    const second = await syncMirror(client, store, { ...range, clock: at('2024-05-21T10:00:00Z') });
+    expect(client.getTransactions).toHaveBeenCalledWith('w-1', '2024-05-01', '2024-05-31');
+    expect(second.wallets[0]).toMatchObject({ refreshedWindows: ['2024-05'], skippedWindows: 2, added: 0 });
+  });
+
+  it('refreshes windows marked stale by writes', async () => {
+    const client = createClient();
+    const range = { startDate: '2024-03-01', endDate: '2024-04-30' };
+    await syncMirror(client, store, { ...range, clock: at('2024-06-01T00:00:00Z') });
+
+    await markMirrorStale(store, { transactions: [{ transactionId: 'tx-1' }] }, { clock: at('2024-06-02T00:00:00Z') });
+    expect((await getSyncStatus(store)).wallets[0]).toMatchObject({
+      categoryCount: 1,
+      transactionCount: 2,
+      staleWindows: ['2024-03']
+    });
+
+    client.getTransactions.mockClear();
+    await syncMirror(client, store, { ...range, clock: at('2024-06-03T00:00:00Z') });
+    expect(client.getTransactions).toHaveBeenCalledTimes(1);
+    expect(client.getTransactions).toHaveBeenCalledWith('w-1', '2024-03-01', '2024-03-31');
+    expect((await getSyncStatus(store)).wallets[0].staleWindows).toEqual([]);
+  });
+
+  it('answers reads from the mirror and falls back according to the mode', async () => {
+    await syncMirror(createClient(), store, { startDate: '2024-03-01', endDate: '2024-04-30', clock: at('2024-06-01T00:00:00Z') });
+
+    const offline = createCachedClient(store, { mode: 'offline' });
+    expect(await offline.getWallets()).toEqual([{ _id: 'w-1', name: 'Cash' }]);
+    expect((await offline.getTransactions('w-1', '2024-03-06', '2024-04-30')).transactions.map(tx => tx._id)).toEqual(['tx-2']);
+    await expect(offline.getTransactions('w-1', '2024-05-01', '2024-05-31')).rejects.toBeInstanceOf(MirrorError);
+
+    const live = vi.fn(async request => request(createClient()));
+    const preferCache = createCachedClient(store, { mode: 'prefer_cache', live });
+    await preferCache.getTransactions('w-1', '2024-03-01', '2024-03-31');
+    expect(live).not.toHaveBeenCalled();
+    expect((await preferCache.getTransactions('w-1', '2024-05-01', '2024-05-31')).transactions).toHaveLength(1);
+    expect(live).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps name lookups of different mirrors apart', async () => {
+    const other = createMirrorStore(path.join(tmpDir, 'other-mirror.json'));
+    const otherClient = { ...createClient(), getWallets: vi.fn(async () => [{ _id: 'w-2', name: 'Cash' }]) };
+    await syncMirror(createClient(), store, { startDate: '2024-03-01', endDate: '2024-03-31', clock: at('2024-06-01T00:00:00Z') });
+    await syncMirror(otherClient, other, { startDate: '2024-03-01', endDate: '2024-03-31', clock: at('2024-06-01T00:00:00Z') });
+
+    const lookupCache = createLookupCache();
+    expect(await lookupCache.resolveWalletId(createCachedClient(store, { mode: 'offline' }), 'Cash')).toBe('w-1');
+    expect(await lookupCache.resolveWalletId(createCachedClient(other, { mode: 'offline' }), 'Cash')).toBe('w-2');
+  });
+});
@@ -1,5 +1,5 @@
 import { afterAll, beforeEach, describe, expect, it, vi } from 'vitest';
-import { MoneyloverClient, MoneyloverApiError } from '../src/moneyloverClient.js';
+import { MoneyloverClient, MoneyloverApiError, MoneyloverHttpError, CategoryType } from '../src/moneyloverClient.js';
 
 const { Response } = globalThis;
 
@@ -75,4 +75,266 @@ describe('MoneyloverClient', () => {
 
     expect(data).toEqual({ email: 'user@example.com' });
   });
+
+  it('sends the transaction id and validated fields when editing a transaction', async () => {
+    global.fetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 0, data: { _id: 'tx-1' } }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+
+    const client = new MoneyloverClient('secure-token');
+    await client.editTransaction({
+      transactionId: 'tx-1',
+      walletId: 'wallet-1',
+      categoryId: 'category-1',
+      amount: '15000',
+      note: 'Lunch',
+      date: '2024-05-01'
+    });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://web.moneylover.me/api/transaction/edit');
+    expect(JSON.parse(options.body)).toEqual({
+      _id: 'tx-1',
+      with: [],
+      account: 'wallet-1',
+      category: 'category-1',
+      amount: '15000',
+      note: 'Lunch',
+      displayDate: '2024-05-01'
+    });
+  });
+
+  it('rejects transaction edits without a transaction id', async () => {
+    const client = new MoneyloverClient('secure-token');
+    await expect(
+      client.editTransaction({ walletId: 'wallet-1', categoryId: 'category-1', amount: '1', date: '2024-05-01' })
+    ).rejects.toThrow('transactionId is required');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('deletes a transaction by id', async () => {
+    global.fetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 0, data: true }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+
+    const client = new MoneyloverClient('secure-token');
+    await client.deleteTransaction('tx-1');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://web.moneylover.me/api/transaction/delete');
+    expect(JSON.parse(options.body)).toEqual({ _id: 'tx-1' });
+  });
+
+  it('only sends provided fields when editing a wallet', async () => {
+    global.fetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 0, data: {} }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+
+    const client = new MoneyloverClient('secure-token');
+    await client.editWallet({ walletId: 'wallet-1', archived: true });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://web.moneylover.me/api/wallet/edit');
+    expect(JSON.parse(options.body)).toEqual({ _id: 'wallet-1', archived: true });
+  });
+
+  it('maps category types and parents when creating a category', async () => {
+    global.fetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 0, data: { _id: 'category-2' } }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+
+    const client = new MoneyloverClient('secure-token');
+    await client.createCategory({ walletId: 'wallet-1', name: 'Restaurants', type: 'expense', parentId: 'food' });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://web.moneylover.me/api/category/add');
+    expect(JSON.parse(options.body)).toEqual({
+      account: 'wallet-1',
+      name: 'Restaurants',
+      type: CategoryType.EXPENSE,
+      icon: 'icon',
+      parent: 'food'
+    });
+    await expect(client.createCategory({ walletId: 'wallet-1', name: 'X', type: 3 })).rejects.toThrow(
+      'type must be INCOME or EXPENSE'
+    );
+  });
+
+  it('reports the HTTP status of failed responses', async () => {
+    global.fetch.mockResolvedValueOnce(new Response('Service Unavailable', { status: 503 }));
+
+    const client = new MoneyloverClient('secure-token', { retries: 0 });
+    const error = await client.getWallets().catch(err => err);
+    expect(error).toBeInstanceOf(MoneyloverHttpError);
+    expect(error.status).toBe(503);
+  });
+
+  it('sends an Idempotency-Key header when adding a transaction with a key', async () => {
+    global.fetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 0, data: { _id: 'tx-1' } }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+
+    const client = new MoneyloverClient('secure-token');
+    await client.addTransaction(
+      { walletId: 'wallet-1', categoryId: 'food', amount: '10', date: '2024-04-01' },
+      { idempotencyKey: 'key-1' }
+    );
+
+    const [, options] = global.fetch.mock.calls[0];
+    expect(options.headers.get('Idempotency-Key')).toBe('key-1');
+  });
+
+  it('retries reads on transient failures with growing, jittered delays', async () => {
+    global.fetch
+      .mockResolvedValueOnce(new Response('Bad Gateway', { status: 502 }))
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(
+        new Response(JSON.stringify({ error: 0, data: [{ _id: 'wallet-1' }] }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        })
+      );
+    const sleep = vi.fn(async () => {});
+
+    const client = new MoneyloverClient('secure-token', { sleep, random: () => 0.5, retryBaseDelayMs: 100 });
+    await expect(client.getWallets()).resolves.toEqual([{ _id: 'wallet-1' }]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([50, 100]);
+  });
+
+  it('honours Retry-After and gives up after the configured retries', async () => {
+    global.fetch.mockImplementation(
+      async () => new Response('Too Many Requests', { status: 429, headers: { 'Retry-After': '2' } })
+    );
+    const sleep = vi.fn(async () => {});
+
+    const client = new MoneyloverClient('secure-token', { sleep, retries: 1 });
+    await expect(client.getTransactions('wallet-1', '2024-04-01', '2024-04-30')).rejects.toMatchObject({ status: 429 });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledWith(2000);
+  });
+
+  it('retries writes only when they carry an idempotency key', async () => {
+    global.fetch.mockImplementation(async () => new Response('Service Unavailable', { status: 503 }));
+    const sleep = vi.fn(async () => {});
+    const client = new MoneyloverClient('secure-token', { sleep, retries: 2 });
+    const params = { walletId: 'wallet-1', categoryId: 'food', amount: '10', date: '2024-04-01' };
+
+    await expect(client.addTransaction(params)).rejects.toBeInstanceOf(MoneyloverHttpError);
+    await expect(client.deleteTransaction('tx-1')).rejects.toBeInstanceOf(MoneyloverHttpError);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    await expect(client.addTransaction(params, { idempotencyKey: 'key-1' })).rejects.toBeInstanceOf(MoneyloverHttpError);
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+  });
+
+  it('does not repeat keyed writes that may already have been applied', async () => {
+    const created = [];
+    global.fetch
+      .mockImplementationOnce(async () => {
+        created.push('tx-1');
+        throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+      })
+      .mockImplementation(async () => {
+        created.push(`tx-${created.length + 1}`);
+        return new Response('Bad Gateway', { status: 502 });
+      });
+    const sleep = vi.fn(async () => {});
+    const client = new MoneyloverClient('secure-token', { sleep, retries: 2 });
+    const params = { walletId: 'wallet-1', categoryId: 'food', amount: '10', date: '2024-04-01' };
+
+    await expect(client.addTransaction(params, { idempotencyKey: 'key-1' })).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    expect(created).toEqual(['tx-1']);
+
+    await expect(client.addTransaction(params, { idempotencyKey: 'key-2' })).rejects.toMatchObject({ status: 502 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('aborts requests that exceed the timeout', async () => {
+    global.fetch.mockImplementation(
+      (_url, { signal }) =>
+        new Promise((_resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        })
+    );
+
+    const client = new MoneyloverClient('secure-token', { timeoutMs: 20, retries: 0 });
+    const error = await client.getUserInfo().catch(err => err);
+
+    expect(error).toBeInstanceOf(MoneyloverHttpError);
+    expect(error).toMatchObject({ code: 'ETIMEDOUT', message: 'Money Lover API request timed out after 20 ms' });
+  });
+
+  it('runs requests through the configured limiter', async () => {
+    global.fetch.mockImplementation(
+      async () =>
+        new Response(JSON.stringify({ error: 0, data: [] }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        })
+    );
+    const limiter = { schedule: vi.fn(task => task()) };
+
+    const client = new MoneyloverClient('secure-token', { limiter });
+    await client.getWallets();
+    await client.getBudgets();
+
+    expect(limiter.schedule).toHaveBeenCalledTimes(2);
+  });
+
+  it('records validated writes without sending them in dry-run mode', async () => {
+    global.fetch.mockResolvedValueOnce(
+      new Response(JSON.stringify({ error: 0, data: [{ _id: 'w-1' }] }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+
+    const client = new MoneyloverClient('secure-token', { dryRun: true });
+    await expect(client.getWallets()).resolves.toEqual([{ _id: 'w-1' }]);
+    await client.addTransaction(
+      { walletId: 'w-1', categoryId: 'c-1', amount: '10', date: '2024-04-01' },
+      { idempotencyKey: 'key-1' }
+    );
+    await client.deleteWallet('w-2');
+    await expect(client.createWallet({ name: 'Bank' })).rejects.toThrow('currencyId');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(client.plannedRequests).toEqual([
+      {
+        method: 'POST',
+        path: '/transaction/add',
+        url: 'https://web.moneylover.me/api/transaction/add',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'key-1' },
+        body: expect.objectContaining({ account: 'w-1', category: 'c-1', amount: '10', displayDate: '2024-04-01' })
+      },
+      expect.objectContaining({ path: '/wallet/delete', body: { _id: 'w-2' } })
+    ]);
+    expect(JSON.stringify(client.plannedRequests)).not.toContain('secure-token');
+  });
+
+  it('rejects invalid request options', () => {
+    expect(() => new MoneyloverClient('secure-token', { timeoutMs: -1 })).toThrow('timeoutMs must be a non-negative integer');
+    expect(() => new MoneyloverClient('secure-token', { maxConcurrentRequests: 0 })).toThrow(
+      'maxConcurrent must be a positive integer'
+    );
+  });
 });
@@ -0,0 +1,149 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFitidStore } from '../src/fitidStore.js';
+import { importOfx, parseOfx } from '../src/ofxImport.js';
+
+const sgmlStatement = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><TRNUID>1<STMTRS>
+<CURDEF>IDR
+<BANKACCTFROM><BANKID>014<ACCTID>123456<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST><DTSTART>20240501<DTEND>20240531
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240502120000[+7:WIB]<TRNAMT>-25000.00<FITID>A1<NAME>GRAB<MEMO>Food &amp; drinks</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240525<TRNAMT>10000000<FITID>A2<NAME>PAYROLL</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240503<TRNAMT>-15000<FITID>A3<NAME>Coffee</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const xmlStatement = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS>
+<CURDEF>USD</CURDEF>
+<CCACCTFROM><ACCTID>4111</ACCTID></CCACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20240510</DTPOSTED><TRNAMT>-12.5</TRNAMT><FITID>X9</FITID><NAME>Books</NAME></STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+describe('parseOfx', () => {
+  it('reads SGML and XML statements', () => {
+    const [bank] = parseOfx(sgmlStatement);
+    expect(bank).toMatchObject({ accountId: '123456', currency: 'IDR' });
+    expect(bank.transactions[0]).toEqual({
+      fitid: 'A1',
+      type: 'DEBIT',
+      date: '2024-05-02',
+      amount: -25000,
+      name: 'GRAB',
+      memo: 'Food & drinks'
+    });
+
+    const [card] = parseOfx(xmlStatement);
+    expect(card).toMatchObject({ accountId: '4111', currency: 'USD' });
+    expect(card.transactions).toEqual([
+      { fitid: 'X9', type: 'DEBIT', date: '2024-05-10', amount: -12.5, name: 'Books', memo: '' }
+    ]);
+  });
+});
+
+describe('importOfx', () => {
+  let tmpDir;
+  let fitidStore;
+  const resolver = {
+    resolveWalletId: async (_client, wallet) => wallet,
+    resolveCategoryId: async (_client, _walletId, category) => category
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-ofx-'));
+    fitidStore = createFitidStore(path.join(tmpDir, 'fitids.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('skips existing transactions and never re-imports a FITID', async () => {
+    let nextId = 0;
+    const client = {
+      getTransactions: vi.fn(async () => ({
+        transactions: [{ _id: 'manual', amount: 15000, displayDate: '2024-05-03', note: 'coffee' }]
+      })),
+      addTransaction: vi.fn(async () => ({ _id: `tx-${(nextId += 1)}` }))
+    };
+    const options = {
+      text: sgmlStatement,
+      walletId: 'w-1',
+      expenseCategoryId: 'c-other-expense',
+      incomeCategoryId: 'c-salary',
+      resolver,
+      fitidStore
+    };
+
+    const first = await importOfx(client, options);
+    expect(client.getTransactions).toHaveBeenCalledWith('w-1', '2024-05-02', '2024-05-25');
+    expect(first).toMatchObject({ imported: 2, skipped: 1, failed: 0 });
+    expect(first.entries.map(entry => [entry.fitid, entry.status, entry.reason])).toEqual([
+      ['A1', 'imported', undefined],
+      ['A2', 'imported', undefined],
+      ['A3', 'skipped', 'existing_transaction']
+    ]);
+    expect(client.addTransaction).toHaveBeenNthCalledWith(1, {
+      walletId: 'w-1',
+      categoryId: 'c-other-expense',
+      amount: '25000',
+      note: 'GRAB - Food & drinks',
+      date: '2024-05-02'
+    });
+
+    const second = await importOfx(client, options);
+    expect(second).toMatchObject({ imported: 0, skipped: 3 });
+    expect(second.entries.every(entry => entry.reason === 'fitid_imported')).toBe(true);
+    expect(client.addTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  it('records nothing in dry-run mode', async () => {
+    const client = { getTransactions: vi.fn(async () => ({ transactions: [] })), addTransaction: vi.fn() };
+
+    const report = await importOfx(client, {
+      text: xmlStatement,
+      walletId: 'w-card',
+      categoryId: 'c-books',
+      dryRun: true,
+      resolver,
+      fitidStore
+    });
+
+    expect(report).toMatchObject({ previewed: 1, imported: 0 });
+    expect(report.entries[0].payload).toMatchObject({ account: 'w-card', category: 'c-books', amount: '12.5' });
+    expect(client.addTransaction).not.toHaveBeenCalled();
+    expect(await fitidStore.getImported('w-card')).toEqual({});
+  });
+
+  it('imports an entry repeated within a file once and stops at fatal errors', async () => {
+    const repeated = xmlStatement.replace(/<STMTTRN>.*<\/STMTTRN>/, match => `${match}\n${match}`);
+    const client = {
+      getTransactions: vi.fn(async () => ({ transactions: [] })),
+      addTransaction: vi.fn(async () => ({ _id: 'tx-1' }))
+    };
+    const options = { text: repeated, walletId: 'w-card', categoryId: 'c-books', resolver, fitidStore };
+
+    const report = await importOfx(client, options);
+    expect(report.entries.map(entry => [entry.status, entry.reason])).toEqual([
+      ['imported', undefined],
+      ['skipped', 'fitid_imported']
+    ]);
+    expect(client.addTransaction).toHaveBeenCalledTimes(1);
+
+    const expired = Object.assign(new Error('user_unauthenticated'), { code: 1 });
+    client.addTransaction.mockRejectedValue(expired);
+    await expect(
+      importOfx(client, { ...options, walletId: 'w-other', isFatalError: error => error.code === 1 })
+    ).rejects.toBe(expired);
+  });
+});
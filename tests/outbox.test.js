@@ -0,0 +1,153 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { flushOutbox, submitWrite, executeWrite } from '../src/outbox.js';
+import { createOutboxStore } from '../src/outboxStore.js';
+
+const serverError = () => Object.assign(new Error('Request failed with status 503'), { status: 503 });
+const networkError = () => new TypeError('fetch failed');
+
+const payload = (overrides = {}) => ({
+  walletId: 'w-1',
+  categoryId: 'food',
+  amount: '10',
+  note: 'Lunch',
+  date: '2024-04-01',
+  ...overrides
+});
+
+const createClient = () => ({
+  addTransaction: vi.fn(async params => ({ _id: `tx-${params.note}` })),
+  getTransactions: vi.fn(async () => ({ transactions: [] }))
+});
+
+const run = client => item => executeWrite(client, item);
+
+describe('outbox', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-outbox-'));
+    store = createOutboxStore(path.join(tmpDir, 'outbox.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('queues writes that fail with a server or network error and rethrows other errors', async () => {
+    const client = createClient();
+    client.addTransaction.mockRejectedValueOnce(serverError()).mockRejectedValueOnce(new Error('Invalid amount'));
+
+    const queued = await submitWrite(store, { kind: 'add_transaction', payload: payload() }, run(client));
+    expect(queued).toMatchObject({ queued: true, item: { status: 'pending', attempts: 1, ambiguous: false } });
+    expect(queued.item.lastError).toMatchObject({ kind: 'server', status: 503 });
+
+    await expect(
+      submitWrite(store, { kind: 'add_transaction', payload: payload({ note: 'Dinner' }) }, run(client))
+    ).rejects.toThrow('Invalid amount');
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  it('never writes twice for the same idempotency key', async () => {
+    const client = createClient();
+    client.addTransaction.mockRejectedValueOnce(networkError());
+    const write = { kind: 'add_transaction', payload: payload(), idempotencyKey: 'key-1' };
+
+    const first = await submitWrite(store, write, run(client));
+    const again = await submitWrite(store, write, run(client));
+    expect(again).toMatchObject({ queued: true, item: { id: first.item.id } });
+    expect(client.addTransaction).toHaveBeenCalledTimes(1);
+
+    await flushOutbox(client, store);
+    const afterFlush = await submitWrite(store, write, run(client));
+    expect(afterFlush).toEqual({ duplicate: true, idempotencyKey: 'key-1', result: { _id: 'tx-Lunch' } });
+    expect(client.addTransaction).toHaveBeenCalledTimes(2);
+    expect(client.addTransaction.mock.calls[1][1]).toEqual({ idempotencyKey: 'key-1' });
+  });
+
+  it('replays in order and stops at the first transient failure', async () => {
+    const client = createClient();
+    client.addTransaction.mockRejectedValue(serverError());
+    for (const note of ['one', 'two', 'three']) {
+      await submitWrite(store, { kind: 'add_transaction', payload: payload({ note }) }, run(client));
+    }
+
+    client.addTransaction.mockReset();
+    client.addTransaction
+      .mockResolvedValueOnce({ _id: 'tx-one' })
+      .mockRejectedValueOnce(serverError())
+      .mockResolvedValue({ _id: 'tx-later' });
+
+    const report = await flushOutbox(client, store);
+    expect(report.flushed.map(entry => entry.payload.note)).toEqual(['one']);
+    expect(report).toMatchObject({ stopped: true, remaining: 2 });
+    expect(client.addTransaction).toHaveBeenCalledTimes(2);
+
+    const [second] = await store.list();
+    expect(second).toMatchObject({ status: 'pending', attempts: 2, payload: { note: 'two' } });
+
+    const next = await flushOutbox(client, store);
+    expect(next.flushed.map(entry => entry.payload.note)).toEqual(['two', 'three']);
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('marks writes the API rejects as failed and skips them until retried', async () => {
+    const client = createClient();
+    client.addTransaction.mockRejectedValueOnce(networkError());
+    await submitWrite(store, { kind: 'add_transaction', payload: payload() }, run(client));
+
+    client.addTransaction.mockRejectedValueOnce(new Error('Category not found'));
+    const report = await flushOutbox(client, store);
+    expect(report).toMatchObject({ flushed: [], stopped: false, remaining: 1 });
+    expect(report.failed[0].error).toBe('Category not found');
+    expect((await store.list())[0].status).toBe('failed');
+
+    expect((await flushOutbox(client, store)).flushed).toEqual([]);
+    expect((await flushOutbox(client, store, { includeFailed: true })).flushed).toHaveLength(1);
+  });
+
+  it('does not post again when a write without a response was already applied', async () => {
+    const client = createClient();
+    client.addTransaction.mockRejectedValueOnce(networkError());
+    await submitWrite(store, { kind: 'add_transaction', payload: payload() }, run(client));
+
+    client.getTransactions.mockResolvedValueOnce({
+      transactions: [{ _id: 'tx-applied', amount: 10, category: { _id: 'food' }, note: 'Lunch', displayDate: '2024-04-01' }]
+    });
+    const report = await flushOutbox(client, store);
+
+    expect(report.flushed[0].result).toMatchObject({ alreadyApplied: true, transaction: { _id: 'tx-applied' } });
+    expect(client.addTransaction).toHaveBeenCalledTimes(1);
+    expect(client.getTransactions).toHaveBeenCalledWith('w-1', '2024-04-01', '2024-04-01');
+  });
+
+  it('aborts a flush on a fatal error without touching the item', async () => {
+    const client = createClient();
+    client.addTransaction.mockRejectedValueOnce(serverError());
+    await submitWrite(store, { kind: 'add_transaction', payload: payload() }, run(client));
+
+    client.addTransaction.mockRejectedValueOnce(new Error('Token expired'));
+    await expect(flushOutbox(client, store, { isFatalError: () => true })).rejects.toThrow('Token expired');
+    expect((await store.list())[0]).toMatchObject({ status: 'pending', attempts: 1 });
+  });
+
+  it('only replays items queued for the flushing account and can refuse to queue', async () => {
+    const client = createClient();
+    client.addTransaction.mockRejectedValueOnce(serverError()).mockRejectedValueOnce(serverError());
+    await submitWrite(store, { kind: 'add_transaction', payload: payload({ note: 'A' }), owner: 'a@example.com' }, run(client));
+    await submitWrite(store, { kind: 'add_transaction', payload: payload({ note: 'B' }), owner: 'b@example.com' }, run(client));
+
+    const report = await flushOutbox(client, store, { owner: 'b@example.com' });
+    expect(report.flushed.map(entry => entry.payload.note)).toEqual(['B']);
+    expect(await store.list()).toEqual([expect.objectContaining({ owner: 'a@example.com' })]);
+
+    client.addTransaction.mockRejectedValueOnce(serverError());
+    await expect(
+      submitWrite(store, { kind: 'add_transaction', payload: payload({ note: 'C' }) }, run(client), { queue: false })
+    ).rejects.toThrow('503');
+    expect(await store.list()).toHaveLength(1);
+  });
+});
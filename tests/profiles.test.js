@@ -0,0 +1,201 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { startFakeMoneyloverServer } from '../src/fakeMoneyloverServer.js';
+import {
+  DEFAULT_PROFILE,
+  createProfileSession,
+  getDefaultProfileName,
+  getProfileFilePath,
+  loadProfiles,
+  resolveProfile
+} from '../src/profiles.js';
+
+const jwt = claims =>
+  `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.sig`;
+
+const tokenCache = () => ({
+  readToken: vi.fn().mockResolvedValue(null),
+  writeToken: vi.fn().mockResolvedValue(),
+  removeToken: vi.fn().mockResolvedValue()
+});
+
+describe('profiles', () => {
+  it('reads the default and named profiles from the environment', () => {
+    const profiles = loadProfiles({
+      EMAIL: 'me@example.com',
+      PASSWORD: 'secret',
+      MONEYLOVER_PROFILE_HOME_EMAIL: 'home@example.com',
+      MONEYLOVER_PROFILE_HOME_PASSWORD: 'home-secret',
+      MONEYLOVER_PROFILE_MY_WORK_TOKEN: 'work-token',
+      MONEYLOVER_PROFILE_EMPTY_EMAIL: '  '
+    });
+
+    expect([...profiles.keys()]).toEqual([DEFAULT_PROFILE, 'home', 'my_work']);
+    expect(profiles.get('home')).toEqual({
+      name: 'home',
+      email: 'home@example.com',
+      password: 'home-secret',
+      directToken: ''
+    });
+    expect(profiles.get('my_work').directToken).toBe('work-token');
+    expect(resolveProfile(profiles, 'HOME').name).toBe('home');
+    expect(() => resolveProfile(profiles, 'office')).toThrow(
+      expect.objectContaining({ code: 'UNKNOWN_PROFILE', detail: { profiles: ['default', 'home', 'my_work'] } })
+    );
+    expect(getDefaultProfileName({ MONEYLOVER_DEFAULT_PROFILE: 'Home' })).toBe('home');
+    expect(getProfileFilePath('home', 'mirror.json')).toMatch(/profiles[\\/]home[\\/]mirror\.json$/);
+  });
+
+  it('caches a token per profile and refreshes it on demand', async () => {
+    const cache = tokenCache();
+    const login = vi.fn().mockResolvedValueOnce('token-1').mockResolvedValueOnce('token-2');
+    const session = createProfileSession(
+      { name: 'home', email: 'home@example.com', password: 'secret', directToken: '' },
+      { login, ...cache }
+    );
+
+    const [first, concurrent] = await Promise.all([session.getToken(), session.getToken()]);
+    expect([first, concurrent]).toEqual(['token-1', 'token-1']);
+    expect(login).toHaveBeenCalledTimes(1);
+    expect(cache.writeToken).toHaveBeenCalledWith('home@example.com', 'token-1', { profile: 'home' });
+
+    await expect(session.getToken(true)).resolves.toBe('token-2');
+    expect(cache.removeToken).toHaveBeenCalledWith('home@example.com', { profile: 'home' });
+  });
+
+  it('uses a token adopted from the login tool when no credentials are configured', async () => {
+    const session = createProfileSession(
+      { name: 'spare', email: '', password: '', directToken: '' },
+      { login: vi.fn(), ...tokenCache() }
+    );
+
+    await expect(session.getToken()).resolves.toBeNull();
+    session.setToken('adopted');
+    await expect(session.getToken()).resolves.toBe('adopted');
+  });
+
+  it('refreshes a token ahead of its expiry and reports the session status', async () => {
+    let now = Date.parse('2024-05-01T12:00:00Z');
+    const seconds = () => Math.floor(now / 1000);
+    const cached = jwt({ iat: seconds() - 600, exp: seconds() + 3000 });
+    const fresh = jwt({ iat: seconds() + 2900, exp: seconds() + 6500 });
+    const cache = { ...tokenCache(), readToken: vi.fn().mockResolvedValue(cached) };
+    const login = vi.fn().mockResolvedValueOnce(fresh).mockRejectedValue(new Error('offline'));
+    const session = createProfileSession(
+      { name: 'default', email: 'me@example.com', password: 'secret', directToken: '' },
+      { login, ...cache, refreshSkewMs: 120_000, now: () => now }
+    );
+
+    await expect(session.getStatus()).resolves.toMatchObject({
+      email: 'me@example.com',
+      hasToken: true,
+      source: 'cache',
+      ageSeconds: 600,
+      expiresInSeconds: 3000,
+      expired: false,
+      refreshDue: false
+    });
+    await expect(session.getToken()).resolves.toBe(cached);
+    expect(login).not.toHaveBeenCalled();
+
+    now += 2900 * 1000;
+    await expect(session.getToken()).resolves.toBe(fresh);
+    expect(login).toHaveBeenCalledTimes(1);
+    expect(cache.writeToken).toHaveBeenCalledWith('me@example.com', fresh, { profile: 'default' });
+    await expect(session.getStatus()).resolves.toMatchObject({ source: 'login', expiresInSeconds: 3600 });
+
+    // A failed early refresh keeps the still-valid token.
+    now += 3500 * 1000;
+    await expect(session.getToken()).resolves.toBe(fresh);
+    now += 200 * 1000;
+    await expect(session.getToken()).rejects.toThrow('offline');
+  });
+});
+
+describe('profiles in the MCP server', () => {
+  const envKeys = [
+    'EMAIL',
+    'PASSWORD',
+    'MONEYLOVER_TOKEN',
+    'MONEYLOVER_API_URL',
+    'MONEYLOVER_OAUTH_URL',
+    'MONEYLOVER_DEFAULT_PROFILE',
+    'MONEYLOVER_PROFILE_WORK_EMAIL',
+    'MONEYLOVER_PROFILE_WORK_PASSWORD',
+    'MONEYLOVER_MCP_DISABLE_ENV_FILE'
+  ];
+  const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+  let fake;
+  let mcpClient;
+
+  afterEach(async () => {
+    await mcpClient?.close();
+    await fake?.close();
+    vi.resetModules();
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (typeof value === 'undefined') {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('acts on the account of the requested profile', async () => {
+    fake = await startFakeMoneyloverServer({
+      users: [
+        { email: 'home@example.com', password: 'home-secret' },
+        { email: 'work@example.com', password: 'work-secret' }
+      ]
+    });
+    Object.assign(process.env, {
+      MONEYLOVER_MCP_DISABLE_ENV_FILE: '1',
+      EMAIL: 'home@example.com',
+      PASSWORD: 'home-secret',
+      MONEYLOVER_PROFILE_WORK_EMAIL: 'work@example.com',
+      MONEYLOVER_PROFILE_WORK_PASSWORD: 'work-secret',
+      MONEYLOVER_API_URL: fake.apiUrl,
+      MONEYLOVER_OAUTH_URL: fake.oauthUrl
+    });
+    delete process.env.MONEYLOVER_TOKEN;
+    delete process.env.MONEYLOVER_DEFAULT_PROFILE;
+    const cache = tokenCache();
+    vi.doMock('../src/tokenCache.js', () => cache);
+
+    const { createMoneyloverServer } = await import('../src/server.js');
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    mcpClient = new Client({ name: 'test-client', version: '0.0.0' });
+    await createMoneyloverServer().connect(serverTransport);
+    await mcpClient.connect(clientTransport);
+
+    const listed = await mcpClient.callTool({ name: 'list_profiles', arguments: {} });
+    expect(listed.structuredContent).toEqual({
+      defaultProfile: 'default',
+      profiles: [
+        { name: 'default', email: 'home@example.com', authentication: 'password', isDefault: true },
+        { name: 'work', email: 'work@example.com', authentication: 'password', isDefault: false }
+      ]
+    });
+
+    const home = await mcpClient.callTool({ name: 'get_user_info', arguments: {} });
+    const work = await mcpClient.callTool({ name: 'get_user_info', arguments: { profile: 'work' } });
+    expect(home.structuredContent).toEqual({ email: 'home@example.com' });
+    expect(work.structuredContent).toEqual({ email: 'work@example.com' });
+    expect(cache.writeToken).toHaveBeenCalledWith('work@example.com', expect.any(String), { profile: 'work' });
+
+    const status = await mcpClient.callTool({ name: 'get_session_status', arguments: { profile: 'work' } });
+    expect(status.structuredContent).toMatchObject({
+      name: 'work',
+      email: 'work@example.com',
+      hasToken: true,
+      source: 'login',
+      expired: false
+    });
+    expect(status.structuredContent.expiresInSeconds).toBeGreaterThan(3500);
+
+    const unknown = await mcpClient.callTool({ name: 'get_user_info', arguments: { profile: 'office' } });
+    expect(unknown.isError).toBe(true);
+    expect(unknown.structuredContent).toMatchObject({ code: 'UNKNOWN_PROFILE' });
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { buildBudgetCheckupPrompt, buildCategorizeAndLogPrompt, buildMonthlyReviewPrompt } from '../src/prompts.js';
+
+describe('prompt templates', () => {
+  it('builds a monthly review with exact tool arguments for the month', () => {
+    const text = buildMonthlyReviewPrompt({ walletId: 'Cash', month: '2024-02', reportingCurrency: 'IDR' });
+
+    expect(text).toContain('startDate: "2024-02-01", endDate: "2024-02-29", groupBy: "parentCategory"');
+    expect(text).toContain('reportingCurrency: "IDR"');
+    expect(text).toContain('get_budget_status with walletId: "Cash"');
+    expect(() => buildMonthlyReviewPrompt({ walletId: 'Cash', month: '2024-2' })).toThrow(/YYYY-MM/);
+  });
+
+  it('asks for the wallet only when none is given and defaults dates to today', () => {
+    const today = new Date('2024-05-10T08:00:00Z');
+    const withoutWallet = buildCategorizeAndLogPrompt({ text: 'Nasi goreng 25k', today });
+    const withWallet = buildCategorizeAndLogPrompt({ text: 'Nasi goreng 25k', walletId: 'Cash', today });
+
+    expect(withoutWallet).toContain('Call get_wallets');
+    expect(withWallet).not.toContain('Call get_wallets');
+    expect(withWallet).toContain('Nasi goreng 25k');
+    expect(withWallet).toContain('default to 2024-05-10');
+  });
+
+  it('scopes the budget checkup to the current month', () => {
+    const text = buildBudgetCheckupPrompt({ today: new Date('2024-05-10T08:00:00Z') });
+
+    expect(text).toContain('for all wallets as of 2024-05-10');
+    expect(text).toContain('startDate: "2024-05-01", endDate: "2024-05-10"');
+  });
+});
@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createRateLimiter } from '../src/rateLimiter.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+};
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('caps the number of tasks in flight and starts them in order', async () => {
+    const limiter = createRateLimiter({ maxConcurrent: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+    const results = gates.map((gate, index) =>
+      limiter.schedule(async () => {
+        started.push(index);
+        await gate.promise;
+        return index;
+      })
+    );
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0, 1]);
+    expect(limiter.pending).toBe(1);
+
+    gates[1].resolve();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[0].resolve();
+    gates[2].resolve();
+    await expect(Promise.all(results)).resolves.toEqual([0, 1, 2]);
+    expect(limiter.active).toBe(0);
+  });
+
+  it('delays tasks beyond the per-interval budget', async () => {
+    const limiter = createRateLimiter({ maxPerInterval: 2, intervalMs: 1000 });
+    const started = [];
+    const results = [0, 1, 2].map(index => limiter.schedule(() => started.push(index)));
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0, 1]);
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(started).toEqual([0, 1]);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(started).toEqual([0, 1, 2]);
+    await Promise.all(results);
+  });
+
+  it('propagates task failures without blocking the queue', async () => {
+    const limiter = createRateLimiter({ maxConcurrent: 1 });
+    const failing = limiter.schedule(() => {
+      throw new Error('boom');
+    });
+    const next = limiter.schedule(() => 'ok');
+
+    await expect(failing).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ok');
+  });
+
+  it('validates its limits', () => {
+    expect(() => createRateLimiter({ maxConcurrent: 0 })).toThrow('maxConcurrent must be a positive integer');
+    expect(() => createRateLimiter({ intervalMs: 1.5 })).toThrow('intervalMs must be a positive integer');
+  });
+});
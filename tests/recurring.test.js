@@ -0,0 +1,103 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createRecurringStore } from '../src/recurringStore.js';
+import {
+  createRecurringRule,
+  getDueOccurrences,
+  listRecurringRules,
+  runDueRecurring,
+  setRecurringRulePaused
+} from '../src/recurring.js';
+
+const baseRule = {
+  walletId: 'wallet-1',
+  categoryId: 'rent',
+  amount: '1500000',
+  note: 'Rent',
+  frequency: 'MONTHLY',
+  startDate: '2024-01-31'
+};
+
+const clockAt = date => () => new Date(`${date}T09:00:00.000Z`);
+
+describe('getDueOccurrences', () => {
+  it('clamps monthly occurrences to the end of shorter months and honours count', () => {
+    const rule = { ...baseRule, interval: 1, count: 3, endDate: null, lastOccurrence: null };
+    expect(getDueOccurrences(rule, '2024-12-31')).toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+  });
+
+  it('skips occurrences up to the last posted one', () => {
+    const rule = { ...baseRule, frequency: 'WEEKLY', interval: 2, startDate: '2024-05-01', lastOccurrence: '2024-05-15' };
+    expect(getDueOccurrences(rule, '2024-06-01')).toEqual(['2024-05-29']);
+  });
+});
+
+describe('runDueRecurring', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-recurring-'));
+    store = createRecurringStore(path.join(tmpDir, 'recurring.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('posts each due occurrence exactly once across runs', async () => {
+    const rule = await createRecurringRule(store, baseRule);
+    const client = { addTransaction: vi.fn(async ({ date }) => ({ _id: `tx-${date}` })) };
+
+    const first = await runDueRecurring(client, store, { clock: clockAt('2024-03-05') });
+    const second = await runDueRecurring(client, store, { clock: clockAt('2024-03-05') });
+    const third = await runDueRecurring(client, store, { clock: clockAt('2024-04-01') });
+
+    expect(first.posted.map(entry => entry.date)).toEqual(['2024-01-31', '2024-02-29']);
+    expect(second.posted).toEqual([]);
+    expect(third.posted).toEqual([{ ruleId: rule.id, date: '2024-03-31', transactionId: 'tx-2024-03-31' }]);
+    expect(client.addTransaction).toHaveBeenCalledTimes(3);
+    expect(client.addTransaction).toHaveBeenLastCalledWith({
+      walletId: 'wallet-1',
+      categoryId: 'rent',
+      amount: '1500000',
+      note: 'Rent',
+      date: '2024-03-31',
+      with: []
+    });
+    expect((await store.get(rule.id)).postedCount).toBe(3);
+  });
+
+  it('keeps progress when a later occurrence fails and retries it on the next run', async () => {
+    await createRecurringRule(store, baseRule);
+    const client = {
+      addTransaction: vi
+        .fn()
+        .mockResolvedValueOnce({ _id: 'tx-1' })
+        .mockRejectedValueOnce(new Error('HTTP 502'))
+        .mockResolvedValue({ _id: 'tx-2' })
+    };
+
+    const first = await runDueRecurring(client, store, { clock: clockAt('2024-03-05') });
+    const second = await runDueRecurring(client, store, { clock: clockAt('2024-03-05') });
+
+    expect(first.posted.map(entry => entry.date)).toEqual(['2024-01-31']);
+    expect(first.failed).toEqual([expect.objectContaining({ date: '2024-02-29', error: 'HTTP 502' })]);
+    expect(second.posted.map(entry => entry.date)).toEqual(['2024-02-29']);
+  });
+
+  it('skips paused rules and occurrences missed while paused', async () => {
+    const rule = await createRecurringRule(store, { ...baseRule, startDate: '2024-01-01' });
+    const client = { addTransaction: vi.fn(async () => ({ _id: 'tx' })) };
+
+    await setRecurringRulePaused(store, rule.id, true);
+    expect((await runDueRecurring(client, store, { clock: clockAt('2024-03-05') })).posted).toEqual([]);
+
+    await setRecurringRulePaused(store, rule.id, false, { clock: clockAt('2024-03-05') });
+    const [listed] = await listRecurringRules(store, { clock: clockAt('2024-03-05') });
+    expect(listed).toMatchObject({ paused: false, lastOccurrence: '2024-03-01', nextOccurrence: '2024-04-01', dueCount: 0 });
+    expect(client.addTransaction).not.toHaveBeenCalled();
+  });
+});
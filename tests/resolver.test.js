@@ -0,0 +1,79 @@
+import { describe, expect, it, vi } from 'vitest';
+import { NameResolutionError, createLookupCache, resolveByName } from '../src/resolver.js';
+
+const wallets = [
+  { _id: 'w-cash', name: 'Cash' },
+  { _id: 'w-bca', name: 'BCA Tabungan' },
+  { _id: 'w-bca-biz', name: 'BCA Bisnis' }
+];
+
+const categories = [
+  { _id: 'c-food', name: 'Food & Beverage', type: 2 },
+  { _id: 'c-rest', name: 'Restaurants', type: 2, parent: 'c-food' },
+  { _id: 'c-cafe', name: 'Café', type: 2, parent: 'c-food' },
+  { _id: 'c-salary', name: 'Salary', type: 1 }
+];
+
+const createClient = () => ({
+  token: 'token-1',
+  getWallets: vi.fn(async () => wallets),
+  getCategories: vi.fn(async () => categories)
+});
+
+describe('resolveByName', () => {
+  const options = wallets.map(wallet => ({ id: wallet._id, label: wallet.name, names: [wallet.name] }));
+
+  it('matches identifiers, case-insensitive names and close misspellings', () => {
+    expect(resolveByName(options, 'w-cash', { kind: 'wallet' })).toBe('w-cash');
+    expect(resolveByName(options, '  cash ', { kind: 'wallet' })).toBe('w-cash');
+    expect(resolveByName(options, 'tabungan', { kind: 'wallet' })).toBe('w-bca');
+    expect(resolveByName(options, 'Cahs', { kind: 'wallet' })).toBe('w-cash');
+    expect(resolveByName(options, '0123456789abcdef01234567', { kind: 'wallet' })).toBe('0123456789abcdef01234567');
+  });
+
+  it('lists candidates instead of guessing for ambiguous or unknown names', () => {
+    let error;
+    try {
+      resolveByName(options, 'bca', { kind: 'wallet' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(NameResolutionError);
+    expect(error.code).toBe('AMBIGUOUS_NAME');
+    expect(error.detail.candidates.map(candidate => candidate.id)).toEqual(['w-bca', 'w-bca-biz']);
+
+    expect(() => resolveByName(options, 'Mandiri', { kind: 'wallet' })).toThrow(
+      expect.objectContaining({ code: 'UNKNOWN_NAME', detail: expect.objectContaining({ query: 'Mandiri' }) })
+    );
+  });
+});
+
+describe('createLookupCache', () => {
+  it('resolves category names and paths within a wallet using cached lists', async () => {
+    const cache = createLookupCache();
+    const client = createClient();
+
+    const walletId = await cache.resolveWalletId(client, 'CASH');
+    expect(await cache.resolveCategoryId(client, walletId, 'cafe')).toBe('c-cafe');
+    expect(await cache.resolveCategoryId(client, walletId, 'food & beverage > restaurants')).toBe('c-rest');
+    expect(await cache.resolveWalletId(client, 'Cash')).toBe('w-cash');
+
+    expect(client.getWallets).toHaveBeenCalledTimes(1);
+    expect(client.getCategories).toHaveBeenCalledTimes(1);
+    expect(client.getCategories).toHaveBeenCalledWith('w-cash');
+  });
+
+  it('reloads lists after the time-to-live or an invalidation', async () => {
+    let now = 0;
+    const cache = createLookupCache({ ttlMs: 1000, clock: () => now });
+    const client = createClient();
+
+    await cache.resolveWalletId(client, 'Cash');
+    now = 1500;
+    await cache.resolveWalletId(client, 'Cash');
+    cache.invalidate();
+    await cache.resolveWalletId(client, 'Cash');
+
+    expect(client.getWallets).toHaveBeenCalledTimes(3);
+  });
+});
@@ -106,7 +106,7 @@ describe('Money Lover MCP server env token resolution', () => {
     expect(getToken).toHaveBeenCalledTimes(1);
     expect(constructedTokens).toEqual(['token-from-env']);
     expect(readToken).toHaveBeenCalledTimes(1);
-    expect(writeToken).toHaveBeenCalledWith('user@example.com', 'token-from-env');
+    expect(writeToken).toHaveBeenCalledWith('user@example.com', 'token-from-env', { profile: 'default' });
     expect(removeToken).not.toHaveBeenCalled();
   });
 
@@ -187,9 +187,9 @@ describe('Money Lover MCP server env token resolution', () => {
     const resolved = await __test.runWithResolvedToken('', token => Promise.resolve(token));
 
     expect(resolved).toBe('token-from-env');
-    expect(getToken).toHaveBeenCalledWith('user@example.com', 'secret');
-    expect(readToken).toHaveBeenCalledWith('user@example.com');
-    expect(writeToken).toHaveBeenCalledWith('user@example.com', 'token-from-env');
+    expect(getToken).toHaveBeenCalledWith('user@example.com', 'secret', {});
+    expect(readToken).toHaveBeenCalledWith('user@example.com', { profile: 'default' });
+    expect(writeToken).toHaveBeenCalledWith('user@example.com', 'token-from-env', { profile: 'default' });
     expect(removeToken).not.toHaveBeenCalled();
   });
 
@@ -244,9 +244,9 @@ describe('Money Lover MCP server env token resolution', () => {
       const result = await __test.runWithClient(undefined, client => client.getUserInfo());
 
       expect(result).toEqual({ token: 'env-file-token' });
-      expect(getToken).toHaveBeenCalledWith('file@example.com', 'file-pass');
-      expect(writeToken).toHaveBeenCalledWith('file@example.com', 'env-file-token');
-      expect(readToken).toHaveBeenCalledWith('file@example.com');
+      expect(getToken).toHaveBeenCalledWith('file@example.com', 'file-pass', {});
+      expect(writeToken).toHaveBeenCalledWith('file@example.com', 'env-file-token', { profile: 'default' });
+      expect(readToken).toHaveBeenCalledWith('file@example.com', { profile: 'default' });
       expect(removeToken).not.toHaveBeenCalled();
     } finally {
       await fs.rm(tmpDir, { recursive: true, force: true });
@@ -355,7 +355,7 @@ describe('Money Lover MCP server env token resolution', () => {
     expect(callCount).toBe(2);
     expect(getToken).toHaveBeenCalledTimes(1);
     expect(readToken).toHaveBeenCalledTimes(2);
-    expect(removeToken).toHaveBeenCalledWith('user@example.com');
-    expect(writeToken).toHaveBeenCalledWith('user@example.com', 'refreshed-token');
+    expect(removeToken).toHaveBeenCalledWith('user@example.com', { profile: 'default' });
+    expect(writeToken).toHaveBeenCalledWith('user@example.com', 'refreshed-token', { profile: 'default' });
   });
 });
@@ -0,0 +1,119 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const WALLET_ID = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const CATEGORY_ID = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+
+const envKeys = ['MONEYLOVER_TOKEN', 'MONEYLOVER_MCP_DISABLE_ENV_FILE', 'EMAIL', 'PASSWORD'];
+const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+
+const client = {
+  getWallets: vi.fn(async () => [{ _id: WALLET_ID, name: 'Cash' }]),
+  getCategories: vi.fn(async () => [{ _id: CATEGORY_ID, name: 'Food', type: 2 }]),
+  getTransactions: vi.fn(async () => ({ transactions: [{ _id: 'tx-1', amount: 10 }] })),
+  addTransaction: vi.fn(async () => ({ _id: 'tx-2' }))
+};
+
+const connect = async () => {
+  vi.doMock('../src/tokenCache.js', () => ({
+    readToken: vi.fn().mockResolvedValue(null),
+    writeToken: vi.fn().mockResolvedValue(),
+    removeToken: vi.fn().mockResolvedValue()
+  }));
+  vi.doMock('../src/moneyloverClient.js', async importOriginal => ({
+    ...(await importOriginal()),
+    MoneyloverClient: class {
+      constructor(token) {
+        this.token = token;
+        Object.assign(this, client);
+      }
+    }
+  }));
+
+  const { createMoneyloverServer } = await import('../src/server.js');
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const mcpClient = new Client({ name: 'test-client', version: '0.0.0' });
+  await createMoneyloverServer().connect(serverTransport);
+  await mcpClient.connect(clientTransport);
+  return mcpClient;
+};
+
+describe('Money Lover MCP resources and prompts', () => {
+  let mcpClient;
+
+  beforeEach(() => {
+    vi.resetModules();
+    vi.clearAllMocks();
+    process.env.MONEYLOVER_MCP_DISABLE_ENV_FILE = '1';
+    process.env.MONEYLOVER_TOKEN = 'env-token';
+    delete process.env.EMAIL;
+    delete process.env.PASSWORD;
+  });
+
+  afterEach(async () => {
+    await mcpClient?.close();
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (typeof value === 'undefined') {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('lists wallet resources and reads monthly transactions', async () => {
+    mcpClient = await connect();
+
+    const { resources } = await mcpClient.listResources();
+    expect(resources.map(resource => resource.uri)).toEqual(
+      expect.arrayContaining(['moneylover://wallets', `moneylover://wallet/${WALLET_ID}/categories`])
+    );
+
+    const result = await mcpClient.readResource({ uri: 'moneylover://wallet/Cash/transactions/2024-02' });
+    expect(client.getTransactions).toHaveBeenCalledWith(WALLET_ID, '2024-02-01', '2024-02-29');
+    expect(JSON.parse(result.contents[0].text)).toMatchObject({ startDate: '2024-02-01', transactions: [{ _id: 'tx-1' }] });
+
+    await expect(mcpClient.readResource({ uri: `moneylover://wallet/${WALLET_ID}/transactions/2024-13` })).rejects.toThrow(
+      /YYYY-MM/
+    );
+  });
+
+  it('lists the static resources when tokens are only passed per tool', async () => {
+    delete process.env.MONEYLOVER_TOKEN;
+    mcpClient = await connect();
+
+    const { resources } = await mcpClient.listResources();
+    expect(resources.map(resource => resource.uri)).toEqual(['moneylover://wallets']);
+    const completion = await mcpClient.complete({
+      ref: { type: 'ref/resource', uri: 'moneylover://wallet/{walletId}/categories' },
+      argument: { name: 'walletId', value: '' }
+    });
+    expect(completion.completion.values).toEqual([]);
+    expect(client.getWallets).not.toHaveBeenCalled();
+  });
+
+  it('notifies clients that resources changed after a write tool succeeds', async () => {
+    mcpClient = await connect();
+    const notified = new Promise(resolve => mcpClient.setNotificationHandler(ResourceListChangedNotificationSchema, resolve));
+
+    const result = await mcpClient.callTool({
+      name: 'add_transaction',
+      arguments: { walletId: WALLET_ID, categoryId: CATEGORY_ID, amount: '10', date: '2024-02-03' }
+    });
+
+    expect(result.isError).toBeFalsy();
+    await expect(notified).resolves.toMatchObject({ method: 'notifications/resources/list_changed' });
+  });
+
+  it('registers the workflow prompts', async () => {
+    mcpClient = await connect();
+
+    const { prompts } = await mcpClient.listPrompts();
+    expect(prompts.map(prompt => prompt.name)).toEqual(['monthly_review', 'categorize_and_log', 'budget_checkup']);
+
+    const result = await mcpClient.getPrompt({ name: 'monthly_review', arguments: { walletId: 'Cash', month: '2024-03' } });
+    expect(result.messages[0].content.text).toContain('endDate: "2024-03-31"');
+  });
+});
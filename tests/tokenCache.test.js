@@ -0,0 +1,116 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { decryptJson, encryptJson } from '../src/encryption.js';
+
+const envKeys = ['MONEYLOVER_TOKEN_CACHE_KEY', 'MONEYLOVER_TOKEN_CACHE_KEY_FILE'];
+const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+
+describe('encryption', () => {
+  it('round-trips JSON and rejects a wrong passphrase or context', async () => {
+    const envelope = await encryptJson({ token: 'secret-token' }, 'correct horse', 'ctx');
+    expect(JSON.stringify(envelope)).not.toContain('secret-token');
+    expect(envelope).toMatchObject({ algorithm: 'aes-256-gcm', kdf: { name: 'scrypt' } });
+
+    await expect(decryptJson(envelope, 'correct horse', 'ctx')).resolves.toEqual({ token: 'secret-token' });
+    await expect(decryptJson(envelope, 'battery staple', 'ctx')).rejects.toMatchObject({ name: 'DecryptionError' });
+    await expect(decryptJson(envelope, 'correct horse', 'other')).rejects.toMatchObject({ name: 'DecryptionError' });
+  });
+});
+
+describe('token cache', () => {
+  let tmpDir;
+  let tokenCache;
+
+  const readFile = async name => JSON.parse(await fs.readFile(path.join(tmpDir, name), 'utf8'));
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-tokens-'));
+    for (const key of envKeys) {
+      delete process.env[key];
+    }
+    vi.doMock('../src/storage.js', async importOriginal => ({ ...(await importOriginal()), CACHE_DIR: tmpDir }));
+    tokenCache = await import('../src/tokenCache.js');
+  });
+
+  afterEach(async () => {
+    vi.doUnmock('../src/storage.js');
+    vi.resetModules();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (typeof value === 'undefined') {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('encrypts tokens when a key is configured and fails clearly on a wrong or missing key', async () => {
+    process.env.MONEYLOVER_TOKEN_CACHE_KEY = 'first-key';
+    await tokenCache.writeToken('me@example.com', 'jwt-1', { profile: 'work' });
+
+    const [name] = await fs.readdir(tmpDir);
+    const stored = await readFile(name);
+    expect(stored.token).toBeUndefined();
+    expect(JSON.stringify(stored)).not.toContain('jwt-1');
+    await expect(tokenCache.readToken('me@example.com', { profile: 'work' })).resolves.toBe('jwt-1');
+
+    process.env.MONEYLOVER_TOKEN_CACHE_KEY = 'second-key';
+    await expect(tokenCache.readToken('me@example.com', { profile: 'work' })).rejects.toMatchObject({
+      name: 'TokenCacheError',
+      code: 'WRONG_KEY'
+    });
+
+    delete process.env.MONEYLOVER_TOKEN_CACHE_KEY;
+    await expect(tokenCache.readToken('me@example.com', { profile: 'work' })).rejects.toMatchObject({
+      code: 'KEY_REQUIRED'
+    });
+  });
+
+  it('migrates plaintext entries once a key file is configured', async () => {
+    await tokenCache.writeToken('me@example.com', 'jwt-plain');
+    const [name] = await fs.readdir(tmpDir);
+    expect(await readFile(name)).toMatchObject({ token: 'jwt-plain' });
+
+    const keyFile = path.join(tmpDir, 'key.txt');
+    await fs.writeFile(keyFile, 'file-key\n');
+    process.env.MONEYLOVER_TOKEN_CACHE_KEY_FILE = keyFile;
+
+    await expect(tokenCache.readToken('me@example.com')).resolves.toBe('jwt-plain');
+    const migrated = await readFile(name);
+    expect(migrated.token).toBeUndefined();
+    await expect(
+      decryptJson(migrated.encrypted, 'file-key', 'moneylover-mcp-token:default:me@example.com')
+    ).resolves.toMatchObject({ token: 'jwt-plain' });
+  });
+
+  it('stores the JWT expiry and ignores expired entries', async () => {
+    const jwt = exp => `e30.${Buffer.from(JSON.stringify({ exp })).toString('base64url')}.sig`;
+    const valid = jwt(Math.floor(Date.now() / 1000) + 3600);
+    await tokenCache.writeToken('me@example.com', valid);
+    const [name] = await fs.readdir(tmpDir);
+    expect((await readFile(name)).expiresAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    await expect(tokenCache.readToken('me@example.com')).resolves.toBe(valid);
+
+    await tokenCache.writeToken('me@example.com', jwt(Math.floor(Date.now() / 1000) - 60));
+    await expect(tokenCache.readToken('me@example.com')).resolves.toBeNull();
+  });
+
+  it('clears the tokens of one email under every profile or all tokens', async () => {
+    process.env.MONEYLOVER_TOKEN_CACHE_KEY = 'key';
+    await tokenCache.writeToken('me@example.com', 'jwt-1');
+    await tokenCache.writeToken('me@example.com', 'jwt-2', { profile: 'work' });
+    await tokenCache.writeToken('other@example.com', 'jwt-3');
+    await fs.writeFile(path.join(tmpDir, 'mirror.json'), JSON.stringify({ wallets: [] }));
+
+    await expect(tokenCache.clearTokens({ email: 'me@example.com' })).resolves.toBe(2);
+    await expect(tokenCache.readToken('me@example.com', { profile: 'work' })).resolves.toBeNull();
+    await expect(tokenCache.readToken('other@example.com')).resolves.toBe('jwt-3');
+
+    process.env.MONEYLOVER_TOKEN_CACHE_KEY = 'lost-key';
+    await expect(tokenCache.clearTokens()).resolves.toBe(1);
+    expect(await fs.readdir(tmpDir)).toEqual(['mirror.json']);
+  });
+});
@@ -0,0 +1,188 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { FAKE_USER, startFakeMoneyloverServer } from '../src/fakeMoneyloverServer.js';
+import { resolveServerOptions } from '../src/serverOptions.js';
+import { READ_ONLY, createToolFilter, parseToolList } from '../src/toolPolicy.js';
+
+const envKeys = ['EMAIL', 'PASSWORD', 'MONEYLOVER_TOKEN', 'MONEYLOVER_API_URL', 'MONEYLOVER_OAUTH_URL', 'MONEYLOVER_MCP_DISABLE_ENV_FILE'];
+const originalEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+
+describe('tool policy', () => {
+  it('filters tools by read-only annotation, allowlist and blocklist', () => {
+    const readOnly = createToolFilter({ readOnly: true, blockedTools: ['get_budgets'] });
+    expect(readOnly.isEnabled('get_wallets', { annotations: READ_ONLY })).toBe(true);
+    expect(readOnly.isEnabled('get_budgets', { annotations: READ_ONLY })).toBe(false);
+    expect(readOnly.isEnabled('add_transaction', {})).toBe(false);
+    expect(() => readOnly.assertKnownTools()).not.toThrow();
+
+    const allowlist = createToolFilter({ allowedTools: ['get_wallets', 'get_walets'] });
+    expect(allowlist.isEnabled('get_wallets', {})).toBe(true);
+    expect(allowlist.isEnabled('add_transaction', {})).toBe(false);
+    expect(() => allowlist.assertKnownTools()).toThrow('Unknown tool name(s) in the tool configuration: get_walets');
+
+    expect(parseToolList(' get_wallets, get_budgets  sync ')).toEqual(['get_wallets', 'get_budgets', 'sync']);
+    expect(parseToolList(' , ')).toBeUndefined();
+    expect(
+      resolveServerOptions(['--read-only', '--tools', 'get_wallets,sync'], { MONEYLOVER_MCP_DISABLED_TOOLS: 'sync' })
+    ).toMatchObject({ readOnly: true, allowedTools: ['get_wallets', 'sync'], blockedTools: ['sync'] });
+    expect(resolveServerOptions([], { MONEYLOVER_MCP_READ_ONLY: 'true' }).readOnly).toBe(true);
+  });
+});
+
+describe('tool policy and dry runs in the MCP server', () => {
+  let fake;
+  let mcpClient;
+
+  const connect = async (options = {}) => {
+    vi.doMock('../src/tokenCache.js', () => ({
+      readToken: vi.fn().mockResolvedValue(null),
+      writeToken: vi.fn().mockResolvedValue(),
+      removeToken: vi.fn().mockResolvedValue()
+    }));
+    const { createMoneyloverServer } = await import('../src/server.js');
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    mcpClient = new Client({ name: 'test-client', version: '0.0.0' });
+    await createMoneyloverServer(options).connect(serverTransport);
+    await mcpClient.connect(clientTransport);
+    return mcpClient;
+  };
+
+  afterEach(async () => {
+    await mcpClient?.close();
+    mcpClient = undefined;
+    await fake?.close();
+    fake = undefined;
+    vi.resetModules();
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (typeof value === 'undefined') {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  it('hides write tools in read-only mode and honours allowlists', async () => {
+    const readOnly = await connect({ readOnly: true });
+    const { tools } = await readOnly.listTools();
+    const names = tools.map(tool => tool.name);
+    expect(names).toEqual(expect.arrayContaining(['get_wallets', 'get_transactions', 'export_transactions']));
+    for (const write of ['login', 'add_transaction', 'delete_wallet', 'transfer_between_wallets', 'set_exchange_rate']) {
+      expect(names).not.toContain(write);
+    }
+    const exportTool = tools.find(tool => tool.name === 'export_transactions');
+    expect(exportTool.inputSchema.properties).not.toHaveProperty('filePath');
+    await mcpClient.close();
+
+    const limited = await connect({ allowedTools: ['get_wallets', 'add_transaction'], blockedTools: ['add_transaction'] });
+    expect((await limited.listTools()).tools.map(tool => tool.name)).toEqual(['get_wallets']);
+
+    const { createMoneyloverServer } = await import('../src/server.js');
+    expect(() => createMoneyloverServer({ blockedTools: ['delete_everything'] })).toThrow('delete_everything');
+  });
+
+  it('returns the requests of a dry run without writing anything', async () => {
+    fake = await startFakeMoneyloverServer({
+      wallets: [
+        { _id: 'wallet-cash', name: 'Cash', currency_id: 1 },
+        { _id: 'wallet-bank', name: 'Bank', currency_id: 1 }
+      ],
+      categories: [
+        { _id: 'cat-food', account: 'wallet-cash', name: 'Food', type: 2 },
+        { _id: 'out-cash', account: 'wallet-cash', name: 'Outgoing Transfer', type: 2, metadata: 'outgoing_transfer0' },
+        { _id: 'in-bank', account: 'wallet-bank', name: 'Incoming Transfer', type: 1, metadata: 'incoming_transfer0' }
+      ]
+    });
+    Object.assign(process.env, {
+      MONEYLOVER_MCP_DISABLE_ENV_FILE: '1',
+      EMAIL: FAKE_USER.email,
+      PASSWORD: FAKE_USER.password,
+      MONEYLOVER_API_URL: fake.apiUrl,
+      MONEYLOVER_OAUTH_URL: fake.oauthUrl
+    });
+    delete process.env.MONEYLOVER_TOKEN;
+    const client = await connect();
+
+    const added = await client.callTool({
+      name: 'add_transaction',
+      arguments: { walletId: 'Cash', categoryId: 'Food', amount: '25', date: '2024-04-04', note: 'Lunch', dryRun: true }
+    });
+    expect(added.isError).toBeFalsy();
+    expect(added.structuredContent).toEqual({
+      dryRun: true,
+      requests: [
+        expect.objectContaining({
+          path: '/transaction/add',
+          body: expect.objectContaining({ account: 'wallet-cash', category: 'cat-food', note: 'Lunch' })
+        })
+      ]
+    });
+
+    const transfer = await client.callTool({
+      name: 'transfer_between_wallets',
+      arguments: { fromWalletId: 'Cash', toWalletId: 'Bank', amount: '10', date: '2024-04-05', dry_run: true }
+    });
+    expect(transfer.isError).toBeFalsy();
+    expect(transfer.structuredContent.requests.map(request => request.body.account)).toEqual(['wallet-cash', 'wallet-bank']);
+
+    const invalid = await client.callTool({
+      name: 'add_transaction',
+      arguments: { walletId: 'Cash', categoryId: 'Nowhere', amount: '25', date: '2024-04-04', dryRun: true }
+    });
+    expect(invalid.isError).toBe(true);
+
+    expect(fake.state.transactions).toEqual([]);
+    expect(fake.requests.filter(request => !/\/(list|login-url|token)$/.test(request.path))).toEqual([]);
+  });
+
+  it('leaves queued writes alone in read-only mode', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-read-only-'));
+    fake = await startFakeMoneyloverServer({
+      wallets: [{ _id: 'wallet-cash', name: 'Cash', currency_id: 1 }],
+      categories: [{ _id: 'cat-food', account: 'wallet-cash', name: 'Food', type: 2 }]
+    });
+    Object.assign(process.env, {
+      MONEYLOVER_MCP_DISABLE_ENV_FILE: '1',
+      EMAIL: FAKE_USER.email,
+      PASSWORD: FAKE_USER.password,
+      MONEYLOVER_API_URL: fake.apiUrl,
+      MONEYLOVER_OAUTH_URL: fake.oauthUrl
+    });
+    delete process.env.MONEYLOVER_TOKEN;
+    vi.doMock('../src/storage.js', async importOriginal => ({ ...(await importOriginal()), CACHE_DIR: tmpDir }));
+    const addRequests = () => fake.requests.filter(request => request.path === '/api/transaction/add');
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    try {
+      const writer = await connect();
+      fake.failNext('transaction/add', { status: 502 });
+      const queued = await writer.callTool({
+        name: 'add_transaction',
+        arguments: { walletId: 'wallet-cash', categoryId: 'cat-food', amount: '25', date: '2024-04-04' }
+      });
+      expect(queued.structuredContent).toMatchObject({ queued: true });
+      await mcpClient.close();
+
+      const readOnly = await connect({ readOnly: true });
+      expect((await readOnly.callTool({ name: 'get_wallets', arguments: {} })).isError).toBeFalsy();
+      await readOnly.readResource({ uri: 'moneylover://wallets' });
+      await readOnly.listResources();
+      await settle();
+      expect(addRequests()).toHaveLength(1);
+      expect(fake.state.transactions).toEqual([]);
+      await mcpClient.close();
+
+      const regular = await connect();
+      await regular.callTool({ name: 'get_wallets', arguments: {} });
+      await settle();
+      expect(fake.state.transactions).toHaveLength(1);
+    } finally {
+      vi.doUnmock('../src/storage.js');
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, expect, it, vi } from 'vitest';
+import { exportTransactions } from '../src/transactionExport.js';
+
+const createClient = () => ({
+  getWallets: vi.fn(async () => [{ _id: 'w-1', name: 'Cash', currency: { c: 'IDR' } }]),
+  getCategories: vi.fn(async () => [
+    { _id: 'food', name: 'Food', type: 2 },
+    { _id: 'rest', name: 'Restaurants', type: 2, parent: 'food' },
+    { _id: 'salary', name: 'Salary', type: 1 }
+  ]),
+  getTransactions: vi.fn(async () => ({
+    transactions: [
+      { _id: 'tx-2', amount: 1000000, category: 'salary', displayDate: '2024-05-25T00:00:00.000Z', note: 'May' },
+      { _id: 'tx-1', amount: 45000, category: 'rest', displayDate: '2024-05-02', note: 'Dinner, "fancy"', with: ['Budi'] }
+    ]
+  }))
+});
+
+const range = { startDate: '2024-05-01', endDate: '2024-05-31' };
+
+describe('exportTransactions', () => {
+  it('renders CSV with resolved category paths and signed amounts', async () => {
+    const result = await exportTransactions(createClient(), { ...range, format: 'csv' });
+
+    expect(result.count).toBe(2);
+    expect(result.content.split('\r\n')).toEqual([
+      'Date,Wallet,Category,Type,Amount,Currency,Note,With,ID',
+      '2024-05-02,Cash,Food > Restaurants,expense,-45000,IDR,"Dinner, ""fancy""",Budi,tx-1',
+      '2024-05-25,Cash,Salary,income,1000000,IDR,May,,tx-2',
+      ''
+    ]);
+  });
+
+  it('renders QIF and OFX statements per wallet', async () => {
+    const qif = await exportTransactions(createClient(), { ...range, format: 'qif' });
+    expect(qif.content).toContain('!Account\nNCash\nTBank\n^\n!Type:Bank\nD05/02/2024\nT-45000\nPBudi\nMDinner, "fancy"\nLFood:Restaurants\n^');
+
+    const ofx = await exportTransactions(createClient(), { ...range, format: 'ofx' });
+    expect(ofx.content).toContain('<CURDEF>IDR</CURDEF>');
+    expect(ofx.content).toContain('<TRNTYPE>DEBIT</TRNTYPE>');
+    expect(ofx.content).toContain('<FITID>tx-1</FITID>');
+    expect(ofx.content).toContain('<DTSTART>20240501</DTSTART>');
+
+    const unknownCurrency = createClient();
+    unknownCurrency.getWallets.mockResolvedValue([{ _id: 'w-1', name: 'Cash' }]);
+    await expect(exportTransactions(unknownCurrency, { ...range, format: 'ofx' })).rejects.toThrow(
+      'Wallet Cash has no known currency'
+    );
+  });
+
+  it('adds reporting currency columns to CSV and rejects them for OFX', async () => {
+    const options = { ...range, reportingCurrency: 'USD', rates: [{ from: 'USD', to: 'IDR', rate: 15000, date: '2024-04-01' }] };
+    const result = await exportTransactions(createClient(), { ...options, format: 'csv' });
+
+    const [header, first] = result.content.split('\r\n');
+    expect(header).toBe('Date,Wallet,Category,Type,Amount,Currency,Note,With,ID,Amount (USD),Rate,Rate Date');
+    expect(first.split(',').slice(-3)).toEqual(['-3', String(1 / 15000), '2024-04-01']);
+    await expect(exportTransactions(createClient(), { ...options, format: 'ofx' })).rejects.toThrow(/csv and jsonl/);
+  });
+
+  it('writes JSON Lines to a file when a path is given', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'moneylover-export-'));
+    try {
+      const filePath = path.join(tmpDir, 'export.jsonl');
+      const result = await exportTransactions(createClient(), { ...range, format: 'jsonl', filePath });
+
+      expect(result).toMatchObject({ format: 'jsonl', count: 2, filePath });
+      expect((await fs.stat(filePath)).mode & 0o777).toBe(0o600);
+      const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(lines[0]).toMatchObject({ id: 'tx-1', category: 'Restaurants', categoryPath: 'Food > Restaurants', amount: -45000 });
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, it, vi } from 'vitest';
+import { transferBetweenWallets, WalletTransferError } from '../src/transfers.js';
+
+const createClient = overrides => ({
+  getCategories: vi.fn(async walletId =>
+    walletId === 'wallet-a'
+      ? [
+          { _id: 'food', name: 'Food', type: 2 },
+          { _id: 'out-a', name: 'Outgoing Transfer', type: 2, metadata: 'outgoing_transfer0' }
+        ]
+      : [{ _id: 'in-b', name: 'Incoming Transfer', type: 1, metadata: 'incoming_transfer0' }]
+  ),
+  addTransaction: vi.fn(async ({ walletId }) => ({ _id: `tx-${walletId}` })),
+  deleteTransaction: vi.fn(async () => true),
+  ...overrides
+});
+
+const params = {
+  fromWalletId: 'wallet-a',
+  toWalletId: 'wallet-b',
+  amount: '50000',
+  date: '2024-05-01',
+  note: 'Savings'
+};
+
+describe('transferBetweenWallets', () => {
+  it('writes outgoing and incoming transactions with the transfer categories', async () => {
+    const client = createClient();
+
+    const result = await transferBetweenWallets(client, params);
+
+    expect(result).toEqual({ outgoingTransactionId: 'tx-wallet-a', incomingTransactionId: 'tx-wallet-b' });
+    expect(client.addTransaction).toHaveBeenNthCalledWith(1, {
+      walletId: 'wallet-a',
+      categoryId: 'out-a',
+      amount: '50000',
+      note: 'Savings',
+      date: '2024-05-01'
+    });
+    expect(client.addTransaction).toHaveBeenNthCalledWith(2, {
+      walletId: 'wallet-b',
+      categoryId: 'in-b',
+      amount: '50000',
+      note: 'Savings',
+      date: '2024-05-01'
+    });
+    expect(client.deleteTransaction).not.toHaveBeenCalled();
+  });
+
+  it('rolls back the outgoing transaction when the incoming write fails', async () => {
+    const client = createClient({
+      addTransaction: vi
+        .fn()
+        .mockResolvedValueOnce({ _id: 'tx-out' })
+        .mockRejectedValueOnce(new Error('HTTP 502'))
+    });
+
+    const promise = transferBetweenWallets(client, params);
+
+    await expect(promise).rejects.toBeInstanceOf(WalletTransferError);
+    await expect(promise).rejects.toMatchObject({
+      detail: { rolledBack: true, outgoingTransactionId: 'tx-out', cause: 'HTTP 502' }
+    });
+    expect(client.deleteTransaction).toHaveBeenCalledWith('tx-out');
+  });
+
+  it('fails before writing when a wallet lacks a transfer category', async () => {
+    const client = createClient({ getCategories: vi.fn(async () => []) });
+
+    await expect(transferBetweenWallets(client, params)).rejects.toThrow('no outgoing transfer category');
+    expect(client.addTransaction).not.toHaveBeenCalled();
+  });
+});